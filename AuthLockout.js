@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A lockout triggered by too many attempts, kept for admins to review
+const authLockoutSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['login', 'login_2fa', 'verify_phone', 'resend_otp', 'forgot_password'],
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Account the attempts were aimed at, when one exists
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  attempts: Number,
+  lockoutCount: Number,
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  releasedAt: Date,
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNote: String
+}, {
+  timestamps: true
+});
+
+authLockoutSchema.index({ createdAt: -1 });
+authLockoutSchema.index({ user: 1, createdAt: -1 });
+authLockoutSchema.index({ reviewedAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuthLockout', authLockoutSchema);
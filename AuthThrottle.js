@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Attempt counter for one action, per account identifier or per IP
+const authThrottleSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['login', 'login_2fa', 'verify_phone', 'resend_otp', 'forgot_password', 'guardian_link'],
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Normalised email/phone or user ID for account counters; the client IP otherwise.
+  // Counted whether or not an account exists, so lockouts don't reveal which ones do
+  key: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: Date,
+  // Each lockout doubles the next one until the counter expires
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  // Last OTP or email sent, for the resend cooldown
+  lastSentAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authThrottleSchema.index({ action: 1, scope: 1, key: 1 }, { unique: true });
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
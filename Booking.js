@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const { getBookingInstants } = require('../utils/timezoneUtils');
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+const bookingSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor',
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['demo', 'regular', 'assessment', 'group'],
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  class: {
+    type: String,
+    required: true
+  },
+  board: {
+    type: String,
+    required: true
+  },
+  // UTC-midnight day and "HH:MM" times in the tutor's timezone
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  // Absolute start and end of the session
+  startsAt: Date,
+  endsAt: Date,
+  duration: {
+    type: Number,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['online', 'offline'],
+    required: true
+  },
+  location: mongoose.Schema.Types.Mixed,
+  topics: [String],
+  // Bumped on every change calendars need to pick up, as the iCalendar SEQUENCE
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  pricing: {
+    // Price before any coupon discount
+    listAmount: Number,
+    discount: Number,
+    // Part of the discount that came from the student's membership
+    membershipDiscount: Number,
+    couponCode: String,
+    baseAmount: Number,
+    tax: Number,
+    totalAmount: Number
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'],
+    default: 'scheduled'
+  },
+  statusHistory: [{
+    status: String,
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  payment: {
+    status: {
+      type: String,
+      // Gateway orders are pending until captured; captures that don't match the price are held under review
+      enum: ['pending', 'paid', 'under_review', 'failed', 'refunded', 'partial_refund']
+    },
+    // Prepaid methods record the package or membership the session was drawn from as the transaction
+    method: {
+      type: String,
+      enum: ['razorpay', 'stripe', 'fake', 'wallet', 'package', 'membership']
+    },
+    transactionId: String,
+    paymentId: String,
+    // Amount and currency the gateway captured
+    amount: Number,
+    currency: String,
+    paidAt: Date,
+    failureReason: String,
+    failedAt: Date,
+    reviewReason: String,
+    reviewNote: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    // Latest settled refund and the total refunded so far
+    refundId: String,
+    refundAmount: Number,
+    refundedAt: Date,
+    // Every refund against the payment; pending ones still count against the refundable amount
+    refunds: [{
+      refundId: String,
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+      },
+      reason: String,
+      provider: String,
+      processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      requestedAt: Date,
+      processedAt: Date,
+      lastCheckedAt: Date,
+      failureReason: String
+    }]
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: String,
+    cancelledAt: Date,
+    refundEligible: Boolean,
+    refundAmount: Number,
+    refundPercentage: Number,
+    tutorPenalty: Number,
+    // Policy the cancellation was made under; "Default" is the 2 hour rule
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    policyName: String,
+    hoursBefore: Number
+  },
+  // Who missed the session and the terms it was settled under
+  noShow: {
+    party: {
+      type: String,
+      enum: ['student', 'tutor', 'both']
+    },
+    detectedAt: Date,
+    refundEligible: Boolean,
+    refundAmount: Number,
+    refundPercentage: Number,
+    tutorPenalty: Number,
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    policyName: String
+  }
+}, {
+  timestamps: true
+});
+
+// Hours left until a booking's session starts
+const getHoursUntilStart = (booking) => (getBookingInstants(booking).startsAt.getTime() - Date.now()) / HOUR_IN_MS;
+
+bookingSchema.index({ student: 1, scheduledDate: -1 });
+bookingSchema.index({ tutor: 1, scheduledDate: 1, status: 1 });
+bookingSchema.index({ status: 1, scheduledDate: 1 });
+bookingSchema.index({ 'payment.transactionId': 1 });
+bookingSchema.index({ 'payment.refunds.status': 1 });
+
+// Bookings can be cancelled up to 2 hours before the session
+bookingSchema.methods.canBeCancelled = function() {
+  return ['scheduled', 'confirmed'].includes(this.status) && getHoursUntilStart(this) >= 2;
+};
+
+// Full refund a day or more ahead, half refund after that
+bookingSchema.methods.calculateRefundAmount = function() {
+  const totalAmount = (this.pricing && this.pricing.totalAmount) || 0;
+  return getHoursUntilStart(this) >= 24 ? totalAmount : Math.round(totalAmount * 50) / 100;
+};
+
+// Change the status, keeping a history of the changes
+bookingSchema.methods.updateStatus = async function(status, reason) {
+  this.status = status;
+  this.statusHistory.push({ status, reason, changedAt: new Date() });
+  return await this.save();
+};
+
+// Scheduled and confirmed sessions of a student or tutor over the next few days
+bookingSchema.statics.findUpcomingSessions = function(profileId, role, days = 7) {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  return this.find({
+    [role === 'tutor' ? 'tutor' : 'student']: profileId,
+    status: { $in: ['scheduled', 'confirmed'] },
+    scheduledDate: { $gte: today, $lte: new Date(today.getTime() + days * 24 * HOUR_IN_MS) }
+  })
+    .populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName lastName avatar' } })
+    .populate({ path: 'tutor', select: 'user', populate: { path: 'user', select: 'firstName lastName avatar' } })
+    .sort({ scheduledDate: 1, startTime: 1 });
+};
+
+// Bookings and revenue by status for bookings made between two dates
+bookingSchema.statics.getStats = function(startDate, endDate) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        revenue: { $sum: '$pricing.totalAmount' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Occurrence dates and times are in the tutor's timezone, like the bookings made for them
+const occurrenceSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: String,
+  endTime: String,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'conflict', 'cancelled', 'paused'],
+    default: 'booked'
+  },
+  conflictReason: String
+});
+
+const bookingSeriesSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor',
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['demo', 'regular', 'assessment', 'group'],
+    default: 'regular'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  class: {
+    type: String,
+    required: true
+  },
+  board: {
+    type: String,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  // Timezone of startTime/endTime and the recurrence days (the requester's)
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  // Timezone of the occurrence times (the tutor's)
+  tutorTimezone: String,
+  duration: {
+    type: Number,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['online', 'offline'],
+    required: true
+  },
+  location: mongoose.Schema.Types.Mixed,
+  topics: [String],
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly'],
+      default: 'weekly'
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      max: 4,
+      default: 1
+    },
+    daysOfWeek: {
+      type: [Number],
+      required: true
+    }
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  pricing: {
+    baseAmount: Number,
+    tax: Number,
+    totalAmount: Number
+  },
+  occurrences: [occurrenceSchema],
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled', 'completed'],
+    default: 'active'
+  },
+  pausedAt: Date,
+  cancellation: {
+    reason: String,
+    cancelledBy: String,
+    cancelledAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+bookingSeriesSchema.index({ student: 1, status: 1 });
+bookingSeriesSchema.index({ tutor: 1, status: 1 });
+
+// Occurrences that are still ahead of the given date
+bookingSeriesSchema.methods.getFutureOccurrences = function(fromDate = new Date()) {
+  const today = new Date(fromDate);
+  today.setUTCHours(0, 0, 0, 0);
+
+  return this.occurrences.filter(occurrence => occurrence.date >= today);
+};
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const ruleSchema = new mongoose.Schema({
+  // Rule applies when the booking is cancelled at least this many hours before it starts
+  minHoursBefore: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  refundPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  // Share of the session's base amount charged to the tutor
+  tutorPenaltyPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  sessionType: {
+    type: String,
+    enum: ['demo', 'regular', 'assessment', 'group'],
+    required: true
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['student', 'tutor', 'admin'],
+    required: true
+  },
+  rules: {
+    type: [ruleSchema],
+    validate: {
+      validator: rules => rules.length > 0,
+      message: 'At least one rule is required'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cancellationPolicySchema.index({ sessionType: 1, cancelledBy: 1, isActive: 1 });
+
+// Shortest notice any rule accepts
+cancellationPolicySchema.virtual('minimumNotice').get(function() {
+  return Math.min(...this.rules.map(rule => rule.minHoursBefore));
+});
+
+// Rule with the longest notice period that the given notice still meets
+cancellationPolicySchema.methods.getRule = function(hoursBefore) {
+  return this.rules
+    .filter(rule => hoursBefore >= rule.minHoursBefore)
+    .sort((a, b) => b.minHoursBefore - a.minHoursBefore)[0] || null;
+};
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Cap on the amount a percentage discount can take off
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Session amount before tax that a booking must reach
+  minAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  // Total redemptions across all students; unlimited when unset
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty restriction lists don't restrict
+  restrictions: {
+    subjects: [String],
+    classes: [String],
+    tutors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tutor'
+    }],
+    firstBookingOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
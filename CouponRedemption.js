@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Released redemptions no longer count towards the coupon's limits
+  status: {
+    type: String,
+    enum: ['applied', 'released'],
+    default: 'applied'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, student: 1, status: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
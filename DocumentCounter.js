@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Gap-free sequence per document series, e.g. invoice numbers for one financial year
+const documentCounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('DocumentCounter', documentCounterSchema);
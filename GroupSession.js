@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const participantSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  status: {
+    type: String,
+    enum: ['enrolled', 'left', 'cancelled'],
+    default: 'enrolled'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  leftAt: Date
+});
+
+const groupSessionSchema = new mongoose.Schema({
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  class: {
+    type: String,
+    required: true
+  },
+  board: {
+    type: String,
+    required: true
+  },
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['online', 'offline'],
+    required: true
+  },
+  location: mongoose.Schema.Types.Mixed,
+  topics: [String],
+  capacity: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  seatsTaken: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  pricePerSeat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pricing: {
+    baseAmount: Number,
+    tax: Number,
+    totalAmount: Number
+  },
+  participants: [participantSchema],
+  status: {
+    type: String,
+    enum: ['open', 'full', 'in_progress', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: String,
+    cancelledAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+groupSessionSchema.index({ tutor: 1, scheduledDate: 1, status: 1 });
+groupSessionSchema.index({ subject: 1, class: 1, scheduledDate: 1 });
+
+groupSessionSchema.virtual('seatsAvailable').get(function() {
+  return Math.max(this.capacity - this.seatsTaken, 0);
+});
+
+// Find the enrolled participant entry of a student
+groupSessionSchema.methods.findParticipant = function(studentId) {
+  return this.participants.find(participant =>
+    participant.student.toString() === studentId.toString() && participant.status === 'enrolled'
+  );
+};
+
+module.exports = mongoose.model('GroupSession', groupSessionSchema);
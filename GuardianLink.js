@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A parent account's link to a child's student profile, active once the child consents
+// or the parent enters the code sent to the child's phone
+const guardianLinkSchema = new mongoose.Schema({
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  relationship: {
+    type: String,
+    enum: ['father', 'mother', 'guardian'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  // Hashed one-time code texted to the child
+  verification: {
+    codeHash: String,
+    expiresAt: Date
+  },
+  // Requests sent and codes tried in the current window. Kept across resends, rejections and
+  // revokes, so a parent can't reset them by asking again
+  requestLimit: {
+    windowStartedAt: Date,
+    requests: {
+      type: Number,
+      default: 0
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  verifiedBy: {
+    type: String,
+    enum: ['student_consent', 'phone_code']
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  linkedAt: Date,
+  respondedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+guardianLinkSchema.index({ parent: 1, student: 1 }, { unique: true });
+guardianLinkSchema.index({ parent: 1, status: 1 });
+guardianLinkSchema.index({ student: 1, status: 1 });
+
+module.exports = mongoose.model('GuardianLink', guardianLinkSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  address: String,
+  state: String,
+  gstin: String
+}, {
+  _id: false
+});
+
+const invoiceItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sacCode: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // Sequential per type and financial year, e.g. INV/2627/000001
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  // An invoice covers one booking, one prepaid package or one membership fee
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  studentPackage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentPackage'
+  },
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
+  },
+  // Gateway payment or invoice ID of the membership fee
+  membershipPaymentId: String,
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor'
+  },
+  // Invoice a credit note reduces
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  refundId: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplier: partySchema,
+  recipient: partySchema,
+  tutorName: String,
+  tutorGstin: String,
+  placeOfSupply: String,
+  items: [invoiceItemSchema],
+  taxRate: {
+    type: Number,
+    required: true
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  totalTax: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  }
+}, {
+  timestamps: true
+});
+
+// One tax invoice per booking or package
+invoiceSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { type: 'invoice', booking: { $exists: true } } });
+invoiceSchema.index({ studentPackage: 1 }, { unique: true, partialFilterExpression: { type: 'invoice', studentPackage: { $exists: true } } });
+invoiceSchema.index({ membershipPaymentId: 1 }, { unique: true, partialFilterExpression: { type: 'invoice', membershipPaymentId: { $exists: true } } });
+invoiceSchema.index({ student: 1, issuedAt: -1 });
+invoiceSchema.index({ refundId: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
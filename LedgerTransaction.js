@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const LEDGER_ACCOUNTS = [
+  'gateway_clearing',
+  'tax_payable',
+  'platform_commission',
+  'penalty_income',
+  'tutor_payable',
+  'bank',
+  'student_wallet',
+  'package_liability',
+  'package_breakage',
+  'referral_expense',
+  'membership_revenue',
+  'membership_benefits'
+];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  // Set on tutor_payable lines, whose balance is what the platform owes that tutor
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const ledgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['booking_payment', 'refund', 'tutor_penalty', 'payout', 'wallet_top_up', 'package_purchase', 'package_expiry', 'referral_reward', 'membership_payment'],
+    required: true
+  },
+  // Identifies the business event, so posting the same event twice is a no-op
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor'
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  studentPackage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentPackage'
+  },
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
+  },
+  description: String,
+  lines: [ledgerLineSchema],
+  // Split of a booking payment, reused to reverse refunds at the same rate
+  split: {
+    amount: Number,
+    tax: Number,
+    commission: Number,
+    tutorShare: Number,
+    commissionRate: Number,
+    fundingAccount: String
+  }
+}, {
+  timestamps: true
+});
+
+ledgerTransactionSchema.index({ 'lines.tutor': 1, createdAt: 1 });
+ledgerTransactionSchema.index({ booking: 1, type: 1 });
+
+// Every transaction must balance; totals are compared in paise to avoid float drift
+ledgerTransactionSchema.pre('validate', function(next) {
+  const toPaise = (amount) => Math.round(amount * 100);
+  const debits = this.lines.reduce((sum, line) => sum + toPaise(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toPaise(line.credit), 0);
+
+  if (this.lines.length < 2 || debits !== credits) {
+    this.invalidate('lines', 'Ledger transaction debits must equal credits');
+  }
+  next();
+});
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const OPEN_MEMBERSHIP_STATUSES = ['pending', 'active', 'past_due'];
+
+const membershipPaymentSchema = new mongoose.Schema({
+  // Gateway payment (Razorpay) or invoice (Stripe) ID of the charge
+  gatewayPaymentId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['paid', 'failed'],
+    required: true
+  },
+  amount: Number,
+  currency: String,
+  periodStart: Date,
+  periodEnd: Date,
+  failureReason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const membershipSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MembershipPlan',
+    required: true
+  },
+  // Terms the student subscribed on; later plan changes apply to new subscribers only
+  planName: String,
+  interval: {
+    type: String,
+    enum: ['monthly', 'annual'],
+    required: true
+  },
+  pricing: {
+    baseAmount: Number,
+    tax: Number,
+    totalAmount: Number
+  },
+  entitlements: {
+    freeDemoSessions: Number,
+    chatAccess: Boolean,
+    discountPercentage: Number
+  },
+  provider: {
+    type: String,
+    enum: ['razorpay', 'stripe'],
+    required: true
+  },
+  gatewaySubscriptionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gatewayCustomerId: String,
+  // Hosted page where the student can pay or update their payment method
+  managementUrl: String,
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'past_due', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  demoSessionsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: Date,
+  endedAt: Date,
+  // Failed renewals: the membership stays usable until the grace period ends
+  dunning: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    firstFailedAt: Date,
+    lastFailedAt: Date,
+    failureReason: String,
+    nextRetryAt: Date,
+    graceEndsAt: Date,
+    lastReminderAt: Date
+  },
+  payments: [membershipPaymentSchema]
+}, {
+  timestamps: true
+});
+
+// A student has at most one membership that is open or being paid for
+membershipSchema.index(
+  { student: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_MEMBERSHIP_STATUSES } } }
+);
+membershipSchema.index({ status: 1, 'dunning.graceEndsAt': 1 });
+
+// Whether the membership's entitlements currently apply
+membershipSchema.methods.isEntitled = function(now = new Date()) {
+  if (this.status === 'active') {
+    return true;
+  }
+  return this.status === 'past_due' && Boolean(this.dunning.graceEndsAt) && this.dunning.graceEndsAt > now;
+};
+
+module.exports = mongoose.model('Membership', membershipSchema);
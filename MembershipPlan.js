@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const membershipPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  interval: {
+    type: String,
+    enum: ['monthly', 'annual'],
+    required: true
+  },
+  // Price per billing period before GST
+  price: {
+    type: Number,
+    required: true,
+    min: [1, 'Price must be greater than 0']
+  },
+  entitlements: {
+    // Demo sessions per billing period paid for by the membership
+    freeDemoSessions: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    chatAccess: {
+      type: Boolean,
+      default: true
+    },
+    // Taken off regular session prices before tax
+    discountPercentage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    }
+  },
+  // Plan and price IDs created on each gateway the first time someone subscribes
+  gatewayPlans: {
+    razorpay: String,
+    stripe: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+membershipPlanSchema.index({ isActive: 1, price: 1 });
+
+module.exports = mongoose.model('MembershipPlan', membershipPlanSchema);
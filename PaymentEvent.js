@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'fake'],
+    required: true
+  },
+  // Gateway's event ID, used to skip redelivered webhooks
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ booking: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'paid'],
+    default: 'requested'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  // Bank transfer or UTR reference of the payment to the tutor
+  transactionReference: String,
+  ledgerTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction'
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ tutor: 1, status: 1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
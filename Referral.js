@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const referralSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // A student can be referred only once
+  referee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // Rewarded once the referee completes their first paid session
+  status: {
+    type: String,
+    enum: ['pending', 'rewarded'],
+    default: 'pending'
+  },
+  referrerReward: {
+    type: Number,
+    default: 0
+  },
+  refereeReward: {
+    type: Number,
+    default: 0
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  rewardedAt: Date
+}, {
+  timestamps: true
+});
+
+referralSchema.index({ referrer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const proposalSchema = new mongoose.Schema({
+  proposedBy: {
+    type: String,
+    enum: ['student', 'tutor'],
+    required: true
+  },
+  proposedByUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slots: [{
+    scheduledDate: {
+      type: Date,
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    }
+  }],
+  message: String,
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'countered', 'withdrawn'],
+    default: 'pending'
+  },
+  acceptedSlot: mongoose.Schema.Types.ObjectId,
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+const rescheduleRequestSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  originalSlot: {
+    scheduledDate: Date,
+    startTime: String,
+    endTime: String
+  },
+  proposals: [proposalSchema],
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'declined', 'withdrawn'],
+    default: 'open'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+rescheduleRequestSchema.index({ booking: 1, createdAt: -1 });
+
+// Latest proposal in the negotiation
+rescheduleRequestSchema.virtual('currentProposal').get(function() {
+  return this.proposals[this.proposals.length - 1];
+});
+
+// Close the negotiation and the latest proposal with the given outcome
+rescheduleRequestSchema.methods.resolve = function(status) {
+  this.currentProposal.status = status;
+  this.currentProposal.respondedAt = Date.now();
+  this.status = status;
+  this.resolvedAt = Date.now();
+};
+
+module.exports = mongoose.model('RescheduleRequest', rescheduleRequestSchema);
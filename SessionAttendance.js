@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const attendanceEventSchema = new mongoose.Schema({
+  party: {
+    type: String,
+    enum: ['student', 'tutor'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['check_in', 'check_out'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'session_room'],
+    default: 'manual'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // Device position for offline sessions, checked against the booking location
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  distanceMeters: Number,
+  withinGeofence: Boolean
+});
+
+const sessionAttendanceSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor',
+    required: true
+  },
+  studentCheckIn: Date,
+  studentCheckOut: Date,
+  tutorCheckIn: Date,
+  tutorCheckOut: Date,
+  events: [attendanceEventSchema],
+  outcome: {
+    type: String,
+    enum: ['completed', 'student_no_show', 'tutor_no_show', 'both_no_show']
+  },
+  resolvedAt: Date,
+  autoResolved: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+sessionAttendanceSchema.index({ tutor: 1, outcome: 1 });
+
+// Session started once both parties were checked in
+sessionAttendanceSchema.virtual('actualStartedAt').get(function() {
+  if (!this.studentCheckIn || !this.tutorCheckIn) {
+    return null;
+  }
+  return this.studentCheckIn > this.tutorCheckIn ? this.studentCheckIn : this.tutorCheckIn;
+});
+
+// Session ended when the first party checked out
+sessionAttendanceSchema.virtual('actualEndedAt').get(function() {
+  const checkOuts = [this.studentCheckOut, this.tutorCheckOut].filter(Boolean);
+  return checkOuts.length ? new Date(Math.min(...checkOuts)) : null;
+});
+
+// Record a check-in or check-out, keeping the first of each per party
+sessionAttendanceSchema.methods.recordEvent = function(party, type, source, userId, position = {}) {
+  const at = new Date();
+  this.events.push({ party, type, source, user: userId, at, ...position });
+
+  if (type === 'check_in' && !this[`${party}CheckIn`]) {
+    this[`${party}CheckIn`] = at;
+  }
+  if (type === 'check_out' && !this[`${party}CheckOut`]) {
+    this[`${party}CheckOut`] = at;
+  }
+};
+
+module.exports = mongoose.model('SessionAttendance', sessionAttendanceSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const sessionPackageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Package name is required'],
+    trim: true,
+    maxlength: [100, 'Package name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Packages without a tutor are platform packages usable with any tutor of the subject
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor'
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true
+  },
+  hours: {
+    type: Number,
+    required: true,
+    min: [1, 'A package must contain at least one hour']
+  },
+  // Price before GST
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  validityDays: {
+    type: Number,
+    default: 90,
+    min: [1, 'Validity must be at least one day']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+sessionPackageSchema.index({ tutor: 1, isActive: 1 });
+sessionPackageSchema.index({ subject: 1, isActive: 1 });
+
+sessionPackageSchema.virtual('pricePerHour').get(function() {
+  return Math.round((this.price / this.hours) * 100) / 100;
+});
+
+module.exports = mongoose.model('SessionPackage', sessionPackageSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const RECONCILIATION_LINE_STATUSES = ['matched', 'missing_booking', 'amount_mismatch', 'refund_not_reflected', 'unrecognised'];
+
+const reconciliationLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['payment', 'refund', 'other'],
+    required: true
+  },
+  transactionId: String,
+  refundId: String,
+  settlementId: String,
+  settledAt: Date,
+  // Amount the gateway settled, against what we have booked for it
+  reportedAmount: Number,
+  bookedAmount: Number,
+  fee: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  currency: String,
+  status: {
+    type: String,
+    enum: RECONCILIATION_LINE_STATUSES,
+    required: true
+  },
+  // What the line was matched to
+  source: {
+    type: String,
+    enum: ['booking', 'wallet_top_up', 'membership']
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  note: String
+}, {
+  _id: false
+});
+
+const settlementReconciliationSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay', 'stripe', 'fake'],
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  // Hash of the file contents, so a report is only imported once
+  checksum: {
+    type: String,
+    required: true
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  periodStart: Date,
+  periodEnd: Date,
+  summary: {
+    lines: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    missingBooking: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    refundNotReflected: { type: Number, default: 0 },
+    unrecognised: { type: Number, default: 0 },
+    grossAmount: { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    taxes: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 }
+  },
+  lines: [reconciliationLineSchema]
+}, {
+  timestamps: true
+});
+
+settlementReconciliationSchema.index({ provider: 1, checksum: 1 }, { unique: true });
+settlementReconciliationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SettlementReconciliation', settlementReconciliationSchema);
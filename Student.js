@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const studentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  currentClass: {
+    type: String,
+    required: true
+  },
+  board: {
+    type: String,
+    required: true
+  },
+  school: String,
+  subjectsOfInterest: [String],
+  learningPreferences: {
+    mode: {
+      type: String,
+      enum: ['online', 'offline', 'both']
+    },
+    pace: String,
+    preferredTimes: [String]
+  },
+  parentInfo: {
+    name: String,
+    email: String,
+    phone: String,
+    relationship: String
+  },
+  goals: [String],
+  emergencyContact: {
+    name: String,
+    phone: String,
+    relationship: String
+  },
+  specialRequirements: String,
+  favoriteTutors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor'
+  }],
+  // Assessment results, oldest first
+  progress: [{
+    subject: {
+      type: String,
+      required: true
+    },
+    tutor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tutor'
+    },
+    assessment: {
+      score: Number,
+      totalQuestions: Number,
+      correctAnswers: Number
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  stats: {
+    totalSessions: {
+      type: Number,
+      default: 0
+    },
+    completedSessions: {
+      type: Number,
+      default: 0
+    },
+    missedSessions: {
+      type: Number,
+      default: 0
+    },
+    averageScore: {
+      type: Number,
+      default: 0
+    }
+  },
+  attendancePercentage: {
+    type: Number,
+    default: 0
+  },
+  notifications: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: true
+    },
+    push: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Code other students sign up with to be referred by this one
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+studentSchema.index({ currentClass: 1, board: 1 });
+
+// Share of the optional profile sections the student has filled in
+studentSchema.virtual('profileCompletionPercentage').get(function() {
+  const sections = [
+    this.school,
+    this.subjectsOfInterest && this.subjectsOfInterest.length,
+    this.learningPreferences && this.learningPreferences.mode,
+    this.parentInfo && this.parentInfo.name,
+    this.goals && this.goals.length,
+    this.emergencyContact && this.emergencyContact.phone
+  ];
+  return Math.round(sections.filter(Boolean).length / sections.length * 100);
+});
+
+// Record an assessment result and update the average score
+studentSchema.methods.addProgress = function(subject, tutorId, assessment) {
+  this.progress.push({ subject, tutor: tutorId || undefined, assessment, date: new Date() });
+  this.stats.averageScore = this.calculateOverallProgress();
+};
+
+// Average assessment score across all subjects, out of 100
+studentSchema.methods.calculateOverallProgress = function() {
+  const scores = this.progress
+    .map(entry => entry.assessment && entry.assessment.score)
+    .filter(score => typeof score === 'number');
+  if (!scores.length) {
+    return 0;
+  }
+  return Math.round(scores.reduce((total, score) => total + score, 0) / scores.length);
+};
+
+// Work out the share of sessions the student attended
+studentSchema.methods.updateAttendanceStats = function() {
+  const { totalSessions, completedSessions } = this.stats;
+  this.attendancePercentage = totalSessions ? Math.round(completedSessions / totalSessions * 100) : 0;
+  return this.attendancePercentage;
+};
+
+// Students in a class and board, with their names
+studentSchema.statics.findByClassAndBoard = function(currentClass, board) {
+  return this.find({ currentClass, board }).populate('user', 'firstName lastName avatar');
+};
+
+module.exports = mongoose.model('Student', studentSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const packageUsageSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['draw', 'return'],
+    required: true
+  },
+  minutes: {
+    type: Number,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const studentPackageSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionPackage',
+    required: true
+  },
+  // Copied from the package so later edits don't change what was bought
+  name: String,
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  minutesPurchased: {
+    type: Number,
+    required: true
+  },
+  minutesRemaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pricing: {
+    baseAmount: Number,
+    tax: Number,
+    totalAmount: Number
+  },
+  purchasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'exhausted', 'expired'],
+    default: 'active'
+  },
+  expiredMinutes: Number,
+  usage: [packageUsageSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+studentPackageSchema.index({ student: 1, status: 1 });
+studentPackageSchema.index({ status: 1, expiresAt: 1 });
+
+studentPackageSchema.virtual('hoursRemaining').get(function() {
+  return Math.round((this.minutesRemaining / 60) * 100) / 100;
+});
+
+module.exports = mongoose.model('StudentPackage', studentPackageSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Convert an "HH:MM" time string to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, mins] = time.split(':').map(Number);
+  return hours * 60 + mins;
+};
+
+const tutorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  bio: {
+    type: String,
+    maxlength: 1000
+  },
+  qualifications: [{
+    degree: String,
+    institution: String,
+    year: Number
+  }],
+  experience: {
+    totalYears: {
+      type: Number,
+      default: 0
+    },
+    description: String
+  },
+  subjects: [{
+    name: {
+      type: String,
+      required: true
+    },
+    classes: [String],
+    boards: [String],
+    pricePerHour: {
+      type: Number,
+      required: true
+    }
+  }],
+  teachingModes: [{
+    type: String,
+    enum: ['online', 'offline']
+  }],
+  // Weekly schedule, as "HH:MM" times in the tutor's timezone
+  availability: [{
+    day: {
+      type: String,
+      enum: DAYS
+    },
+    slots: [{
+      startTime: String,
+      endTime: String
+    }]
+  }],
+  demoSlots: [{
+    date: Date,
+    startTime: String,
+    endTime: String,
+    subject: String,
+    class: String,
+    isBooked: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  socialLinks: {
+    linkedin: String,
+    website: String,
+    youtube: String
+  },
+  kyc: {
+    aadhaarNumber: String,
+    aadhaarDocument: String,
+    panNumber: String,
+    panDocument: String,
+    verificationStatus: {
+      type: String,
+      enum: ['not_submitted', 'pending', 'verified', 'rejected'],
+      default: 'not_submitted'
+    },
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String
+  },
+  // GST registration printed on invoices for the tutor's sessions
+  gstin: String,
+  rating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+  reviews: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    comment: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  stats: {
+    totalSessions: {
+      type: Number,
+      default: 0
+    },
+    completedSessions: {
+      type: Number,
+      default: 0
+    },
+    totalStudents: {
+      type: Number,
+      default: 0
+    }
+  },
+  isAvailableForBooking: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+tutorSchema.index({ 'subjects.name': 1 });
+tutorSchema.index({ 'kyc.verificationStatus': 1, isAvailableForBooking: 1 });
+
+// Share of the profile sections the tutor has filled in
+tutorSchema.virtual('profileCompletionPercentage').get(function() {
+  const sections = [
+    this.bio,
+    this.qualifications && this.qualifications.length,
+    this.experience && this.experience.totalYears !== undefined,
+    this.subjects && this.subjects.length,
+    this.teachingModes && this.teachingModes.length,
+    this.availability && this.availability.length,
+    this.kyc && this.kyc.verificationStatus === 'verified'
+  ];
+  return Math.round(sections.filter(Boolean).length / sections.length * 100);
+});
+
+// Check the weekly schedule covers a session on a UTC-midnight date, in the tutor's timezone
+tutorSchema.methods.isAvailable = function(date, startTime, endTime) {
+  const day = DAYS[new Date(date).getUTCDay()];
+  const schedule = (this.availability || []).find(entry => entry.day === day);
+  if (!schedule) {
+    return false;
+  }
+
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  return schedule.slots.some(slot => toMinutes(slot.startTime) <= start && end <= toMinutes(slot.endTime));
+};
+
+module.exports = mongoose.model('Tutor', tutorSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const recoveryCodeSchema = new mongoose.Schema({
+  // SHA-256 of the code; codes are shown to the user once
+  hash: {
+    type: String,
+    required: true
+  },
+  usedAt: Date
+}, {
+  _id: false
+});
+
+const twoFactorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP secrets are stored encrypted
+  secret: String,
+  // Secret being enrolled, until the user confirms it with a code
+  pendingSecret: String,
+  pendingCreatedAt: Date,
+  // Last TOTP time step accepted, so a code can't be replayed
+  lastUsedStep: Number,
+  recoveryCodes: [recoveryCodeSchema],
+  enabledAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TwoFactor', twoFactorSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Whether users of a role must use two-factor authentication
+const twoFactorPolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['student', 'tutor', 'employee', 'admin', 'parent'],
+    required: true,
+    unique: true
+  },
+  required: {
+    type: Boolean,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
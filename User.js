@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const userSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    unique: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: 6,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['student', 'tutor', 'admin', 'employee', 'parent'],
+    default: 'student'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'suspended', 'pending', 'rejected'],
+    default: 'active'
+  },
+  dateOfBirth: Date,
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String,
+    country: {
+      type: String,
+      default: 'India'
+    }
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number]
+  },
+  // IANA timezone that session times are shown to the user in
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  avatar: String,
+
+  // Verification
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: String,
+  phoneVerificationOTP: String,
+  otpExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+
+  // Secret in the user's iCalendar feed URL
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+
+  // Employees
+  employeeId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  department: String,
+  permissions: [String],
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+
+  lastLogin: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+userSchema.index({ role: 1, status: 1 });
+userSchema.index({ location: '2dsphere' }, { sparse: true });
+
+userSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, 12);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a candidate password against the stored hash
+userSchema.methods.comparePassword = async function(candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Generate an employee ID, e.g. EMP482913
+userSchema.methods.generateEmployeeId = function() {
+  return `EMP${Date.now().toString().slice(-6)}`;
+};
+
+// Count users by role and status
+userSchema.statics.getStats = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: '$role',
+        total: { $sum: 1 },
+        active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Recently rotated-out tokens, to spot a stolen refresh token being replayed
+  rotatedTokenHashes: [String],
+  deviceName: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedIp: String,
+  // When the session passed two-factor authentication, if it did
+  twoFactorVerifiedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'password_change', 'account_status', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+userSessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+userSessionSchema.index({ rotatedTokenHashes: 1 });
+// Expired sessions are removed a week after they lapse
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
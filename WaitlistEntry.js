@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  tutor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tutor',
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['demo', 'regular', 'assessment', 'group'],
+    default: 'regular'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  class: {
+    type: String,
+    required: true
+  },
+  board: {
+    type: String,
+    required: true
+  },
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['online', 'offline'],
+    required: true
+  },
+  location: mongoose.Schema.Types.Mixed,
+  topics: [String],
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: Date,
+  holdExpiresAt: Date,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ tutor: 1, scheduledDate: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ student: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+// Check if the slot is currently held for this entry
+waitlistEntrySchema.methods.isHoldActive = function() {
+  return this.status === 'offered' && this.holdExpiresAt > Date.now();
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const walletSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
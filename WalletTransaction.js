@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['top_up', 'booking_payment', 'package_purchase', 'cancellation_refund', 'no_show_refund', 'referral_reward', 'reversal'],
+    required: true
+  },
+  // Identifies the business event, so the same top-up or refund is never applied twice
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  studentPackage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentPackage'
+  },
+  description: String
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ student: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -4,10 +4,26 @@ const User = require('../models/User');
 const Student = require('../models/Student');
 const Tutor = require('../models/Tutor');
 const Booking = require('../models/Booking');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Payout = require('../models/Payout');
+const SessionPackage = require('../models/SessionPackage');
+const Coupon = require('../models/Coupon');
+const Referral = require('../models/Referral');
+const MembershipPlan = require('../models/MembershipPlan');
+const Membership = require('../models/Membership');
+const AuthLockout = require('../models/AuthLockout');
 const { authenticateToken, authorizeRoles, checkPermission } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { COMMISSION_RATE, MINIMUM_WITHDRAWAL, getTutorBalance, debitPayout } = require('../utils/earningsService');
+const { REFERRER_REWARD, REFEREE_REWARD } = require('../utils/referralService');
+const { revokeUserSessions, disconnectSessions } = require('../utils/sessionService');
+const { getRequiredRoles, setRequiredRoles, disableTwoFactor } = require('../utils/twoFactorService');
+const { releaseLockout } = require('../utils/authThrottleService');
 
 const router = express.Router();
 
+const TWO_FACTOR_ROLES = ['student', 'tutor', 'employee', 'admin', 'parent'];
+
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
 // @access  Private (Admin)
@@ -258,7 +274,7 @@ router.put('/employees/:id/approve', authenticateToken, authorizeRoles('admin'),
 // @route   GET /api/admin/users
 // @access  Private (Admin)
 router.get('/users', authenticateToken, authorizeRoles('admin'), [
-  query('role').optional().isIn(['student', 'tutor', 'employee', 'admin']),
+  query('role').optional().isIn(['student', 'tutor', 'employee', 'admin', 'parent']),
   query('status').optional().isIn(['active', 'inactive', 'pending', 'suspended', 'rejected']),
   query('search').optional().isString(),
   query('page').optional().isInt({ min: 1 }),
@@ -360,6 +376,12 @@ router.put('/users/:id/status', authenticateToken, authorizeRoles('admin'), [
       });
     }
 
+    // Suspended and deactivated users lose their sessions and chat connections at once
+    if (status !== 'active') {
+      const sessionIds = await revokeUserSessions(user._id, 'account_status');
+      disconnectSessions(req.app.get('io'), sessionIds);
+    }
+
     res.json({
       success: true,
       message: 'User status updated successfully',
@@ -375,6 +397,211 @@ router.put('/users/:id/status', authenticateToken, authorizeRoles('admin'), [
   }
 });
 
+// @desc    Get the roles that must use two-factor authentication
+// @route   GET /api/admin/two-factor-policy
+// @access  Private (Admin)
+router.get('/two-factor-policy', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { requiredRoles: await getRequiredRoles() }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor policy'
+    });
+  }
+});
+
+// @desc    Make two-factor authentication mandatory or optional per role
+// @route   PUT /api/admin/two-factor-policy
+// @access  Private (Admin)
+router.put('/two-factor-policy', authenticateToken, authorizeRoles('admin'), [
+  body('roles').isObject().withMessage('Roles must map each role to true or false'),
+  body('roles').custom(roles => Object.entries(roles).every(([role, required]) =>
+    TWO_FACTOR_ROLES.includes(role) && typeof required === 'boolean'
+  )).withMessage(`Roles must be among ${TWO_FACTOR_ROLES.join(', ')} and set to true or false`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const requiredRoles = await setRequiredRoles(req.body.roles, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: { requiredRoles }
+    });
+
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update two-factor policy'
+    });
+  }
+});
+
+// @desc    Reset a user's two-factor authentication, e.g. after a lost device
+// @route   DELETE /api/admin/users/:id/two-factor
+// @access  Private (Admin)
+router.delete('/users/:id/two-factor', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await disableTwoFactor(user._id);
+
+    // Existing sessions were verified with the old device
+    const sessionIds = await revokeUserSessions(user._id, 'revoked');
+    disconnectSessions(req.app.get('io'), sessionIds);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user must set it up again at next login if their role requires it.'
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+// @desc    Get lockouts from repeated failed logins, OTP guesses and reset requests
+// @route   GET /api/admin/auth-lockouts
+// @access  Private (Admin)
+router.get('/auth-lockouts', authenticateToken, authorizeRoles('admin'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('action').optional().isIn(['login', 'login_2fa', 'verify_phone', 'resend_otp', 'forgot_password']),
+  query('scope').optional().isIn(['account', 'ip']),
+  query('status').optional().isIn(['active', 'unreviewed', 'reviewed']),
+  query('user').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, action, scope, status, user } = req.query;
+
+    let query = {};
+    if (action) query.action = action;
+    if (scope) query.scope = scope;
+    if (user) query.user = user;
+    if (status === 'active') {
+      query.lockedUntil = { $gt: new Date() };
+      query.releasedAt = null;
+    }
+    if (status === 'unreviewed') query.reviewedAt = null;
+    if (status === 'reviewed') query.reviewedAt = { $ne: null };
+
+    const lockouts = await AuthLockout.find(query)
+      .populate('user', 'firstName lastName email phone role status')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuthLockout.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalLockouts: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get auth lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lockouts'
+    });
+  }
+});
+
+// @desc    Mark a lockout reviewed, optionally lifting it early
+// @route   PUT /api/admin/auth-lockouts/:id/review
+// @access  Private (Admin)
+router.put('/auth-lockouts/:id/review', authenticateToken, authorizeRoles('admin'), [
+  body('release').optional().isBoolean().withMessage('release must be a boolean'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { release = false, note } = req.body;
+
+    let lockout = await AuthLockout.findById(req.params.id);
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    if (release) {
+      lockout = await releaseLockout(lockout, req.user._id, note);
+    } else {
+      lockout.reviewedAt = new Date();
+      lockout.reviewedBy = req.user._id;
+      if (note) lockout.reviewNote = note;
+      await lockout.save();
+    }
+
+    res.json({
+      success: true,
+      message: release ? 'Lockout lifted' : 'Lockout marked as reviewed',
+      data: { lockout }
+    });
+
+  } catch (error) {
+    console.error('Review auth lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review lockout'
+    });
+  }
+});
+
 // @desc    Get system analytics
 // @route   GET /api/admin/analytics
 // @access  Private (Admin)
@@ -485,6 +712,1123 @@ router.get('/analytics', authenticateToken, authorizeRoles('admin'), [
   }
 });
 
+// Validation shared by policy create and update
+const cancellationPolicyValidation = [
+  body('name').trim().notEmpty().withMessage('Policy name is required'),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('sessionType').isIn(['demo', 'regular', 'assessment', 'group']).withMessage('Invalid session type'),
+  body('cancelledBy').isIn(['student', 'tutor', 'admin']).withMessage('Invalid cancelling party'),
+  body('rules').isArray({ min: 1 }).withMessage('At least one rule is required'),
+  body('rules.*.minHoursBefore').isFloat({ min: 0 }).withMessage('Minimum hours before must be a positive number'),
+  body('rules.*.refundPercentage').isFloat({ min: 0, max: 100 }).withMessage('Refund percentage must be between 0-100'),
+  body('rules.*.tutorPenaltyPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Tutor penalty percentage must be between 0-100'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Keep a single active policy per session type and cancelling party
+const deactivateOtherPolicies = async (policy) => {
+  if (!policy.isActive) {
+    return;
+  }
+
+  await CancellationPolicy.updateMany(
+    { _id: { $ne: policy._id }, sessionType: policy.sessionType, cancelledBy: policy.cancelledBy, isActive: true },
+    { isActive: false }
+  );
+};
+
+// @desc    Get cancellation policies
+// @route   GET /api/admin/cancellation-policies
+// @access  Private (Admin)
+router.get('/cancellation-policies', authenticateToken, authorizeRoles('admin'), [
+  query('sessionType').optional().isIn(['demo', 'regular', 'assessment', 'group']),
+  query('cancelledBy').optional().isIn(['student', 'tutor', 'admin']),
+  query('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionType, cancelledBy, isActive } = req.query;
+
+    let query = {};
+
+    if (sessionType) query.sessionType = sessionType;
+    if (cancelledBy) query.cancelledBy = cancelledBy;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const policies = await CancellationPolicy.find(query)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ sessionType: 1, cancelledBy: 1, updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cancellation policies'
+    });
+  }
+});
+
+// @desc    Create cancellation policy
+// @route   POST /api/admin/cancellation-policies
+// @access  Private (Admin)
+router.post('/cancellation-policies', authenticateToken, authorizeRoles('admin'), cancellationPolicyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, sessionType, cancelledBy, rules, isActive = true } = req.body;
+
+    const policy = await CancellationPolicy.create({
+      name,
+      description,
+      sessionType,
+      cancelledBy,
+      rules,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    await deactivateOtherPolicies(policy);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cancellation policy created successfully',
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Create cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create cancellation policy'
+    });
+  }
+});
+
+// @desc    Update cancellation policy
+// @route   PUT /api/admin/cancellation-policies/:id
+// @access  Private (Admin)
+router.put('/cancellation-policies/:id', authenticateToken, authorizeRoles('admin'), cancellationPolicyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await CancellationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    const { name, description, sessionType, cancelledBy, rules, isActive } = req.body;
+
+    policy.name = name;
+    policy.description = description;
+    policy.sessionType = sessionType;
+    policy.cancelledBy = cancelledBy;
+    policy.rules = rules;
+    if (isActive !== undefined) policy.isActive = isActive;
+
+    await policy.save();
+    await deactivateOtherPolicies(policy);
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cancellation policy'
+    });
+  }
+});
+
+// @desc    Deactivate cancellation policy
+// @route   DELETE /api/admin/cancellation-policies/:id
+// @access  Private (Admin)
+router.delete('/cancellation-policies/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    // Policies stay on record because cancelled bookings reference them
+    const policy = await CancellationPolicy.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy deactivated successfully',
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Deactivate cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate cancellation policy'
+    });
+  }
+});
+
+const packageValidation = [
+  body('name').trim().notEmpty().withMessage('Package name is required'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('tutorId').optional({ nullable: true }).isMongoId().withMessage('Invalid tutor ID'),
+  body('subject').trim().notEmpty().withMessage('Subject is required'),
+  body('hours').isInt({ min: 1, max: 200 }).withMessage('Hours must be between 1-200'),
+  body('price').isFloat({ min: 1 }).withMessage('Price must be greater than 0'),
+  body('validityDays').optional().isInt({ min: 7, max: 730 }).withMessage('Validity must be between 7-730 days'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Check that a package's tutor, if it has one, exists and teaches its subject
+const getPackageTutorError = async (tutorId, subject) => {
+  if (!tutorId) {
+    return null;
+  }
+
+  const tutor = await Tutor.findById(tutorId).select('subjects');
+  if (!tutor) {
+    return 'Tutor not found';
+  }
+  if (!tutor.subjects.some(s => s.name.toLowerCase() === subject.toLowerCase())) {
+    return 'Tutor does not teach this subject';
+  }
+  return null;
+};
+
+// @desc    Get session packages
+// @route   GET /api/admin/packages
+// @access  Private (Admin)
+router.get('/packages', authenticateToken, authorizeRoles('admin'), [
+  query('tutor').optional().isMongoId(),
+  query('subject').optional().isString(),
+  query('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tutor, subject, isActive } = req.query;
+
+    let query = {};
+
+    if (tutor) query.tutor = tutor;
+    if (subject) query.subject = new RegExp(subject, 'i');
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const packages = await SessionPackage.find(query)
+      .populate({ path: 'tutor', select: 'user', populate: { path: 'user', select: 'firstName lastName' } })
+      .sort({ subject: 1, hours: 1 });
+
+    res.json({
+      success: true,
+      data: { packages }
+    });
+
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch packages'
+    });
+  }
+});
+
+// @desc    Create session package for a tutor, or for the whole platform
+// @route   POST /api/admin/packages
+// @access  Private (Admin)
+router.post('/packages', authenticateToken, authorizeRoles('admin'), packageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, tutorId, subject, hours, price, validityDays, isActive } = req.body;
+
+    const tutorError = await getPackageTutorError(tutorId, subject);
+    if (tutorError) {
+      return res.status(400).json({
+        success: false,
+        message: tutorError
+      });
+    }
+
+    const sessionPackage = await SessionPackage.create({
+      name,
+      description,
+      tutor: tutorId || undefined,
+      subject,
+      hours,
+      price,
+      validityDays,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Package created successfully',
+      data: { package: sessionPackage }
+    });
+
+  } catch (error) {
+    console.error('Create package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create package'
+    });
+  }
+});
+
+// @desc    Update session package
+// @route   PUT /api/admin/packages/:id
+// @access  Private (Admin)
+router.put('/packages/:id', authenticateToken, authorizeRoles('admin'), packageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sessionPackage = await SessionPackage.findById(req.params.id);
+    if (!sessionPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    const { name, description, tutorId, subject, hours, price, validityDays, isActive } = req.body;
+
+    const tutorError = await getPackageTutorError(tutorId, subject);
+    if (tutorError) {
+      return res.status(400).json({
+        success: false,
+        message: tutorError
+      });
+    }
+
+    // Packages already bought keep the terms they were bought on
+    sessionPackage.name = name;
+    sessionPackage.description = description;
+    sessionPackage.tutor = tutorId || undefined;
+    sessionPackage.subject = subject;
+    sessionPackage.hours = hours;
+    sessionPackage.price = price;
+    if (validityDays !== undefined) sessionPackage.validityDays = validityDays;
+    if (isActive !== undefined) sessionPackage.isActive = isActive;
+
+    await sessionPackage.save();
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      data: { package: sessionPackage }
+    });
+
+  } catch (error) {
+    console.error('Update package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update package'
+    });
+  }
+});
+
+// @desc    Withdraw session package from sale
+// @route   DELETE /api/admin/packages/:id
+// @access  Private (Admin)
+router.delete('/packages/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const sessionPackage = await SessionPackage.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!sessionPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Package withdrawn successfully',
+      data: { package: sessionPackage }
+    });
+
+  } catch (error) {
+    console.error('Withdraw package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw package'
+    });
+  }
+});
+
+const couponValidation = [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, digits, - or _'),
+  body('description').optional().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('discountType').isIn(['percentage', 'flat']).withMessage('Invalid discount type'),
+  body('discountValue').isFloat({ min: 1 }).withMessage('Discount must be greater than 0')
+    .custom((value, { req }) => req.body.discountType !== 'percentage' || value <= 100).withMessage('Percentage discount cannot exceed 100'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 1 }).withMessage('Maximum discount must be greater than 0'),
+  body('minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount cannot be negative'),
+  body('validFrom').optional().isISO8601().withMessage('Invalid start date'),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Invalid end date')
+    .custom((value, { req }) => !req.body.validFrom || new Date(value) > new Date(req.body.validFrom)).withMessage('End date must be after start date'),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+  body('restrictions.subjects').optional().isArray().withMessage('Subjects must be an array'),
+  body('restrictions.classes').optional().isArray().withMessage('Classes must be an array'),
+  body('restrictions.classes.*').isIn(['LKG', 'UKG', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']).withMessage('Invalid class'),
+  body('restrictions.tutors').optional().isArray().withMessage('Tutors must be an array'),
+  body('restrictions.tutors.*').isMongoId().withMessage('Invalid tutor ID'),
+  body('restrictions.firstBookingOnly').optional().isBoolean().withMessage('firstBookingOnly must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Coupon fields from a create or update request
+const getCouponFields = (body) => ({
+  code: body.code,
+  description: body.description,
+  discountType: body.discountType,
+  discountValue: body.discountValue,
+  maxDiscount: body.maxDiscount || undefined,
+  minAmount: body.minAmount || 0,
+  validFrom: body.validFrom || new Date(),
+  validUntil: body.validUntil || undefined,
+  usageLimit: body.usageLimit || undefined,
+  perUserLimit: body.perUserLimit || 1,
+  restrictions: {
+    subjects: (body.restrictions && body.restrictions.subjects) || [],
+    classes: (body.restrictions && body.restrictions.classes) || [],
+    tutors: (body.restrictions && body.restrictions.tutors) || [],
+    firstBookingOnly: Boolean(body.restrictions && body.restrictions.firstBookingOnly)
+  }
+});
+
+// @desc    Get coupons
+// @route   GET /api/admin/coupons
+// @access  Private (Admin)
+router.get('/coupons', authenticateToken, authorizeRoles('admin'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('isActive').optional().isBoolean(),
+  query('search').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, isActive, search } = req.query;
+
+    let query = {};
+
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) query.code = new RegExp(search, 'i');
+
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalCoupons: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons'
+    });
+  }
+});
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private (Admin)
+router.post('/coupons', authenticateToken, authorizeRoles('admin'), couponValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...getCouponFields(req.body),
+      isActive: req.body.isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon'
+    });
+  }
+});
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (Admin)
+router.put('/coupons/:id', authenticateToken, authorizeRoles('admin'), couponValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Bookings already made keep the discount they were priced with
+    coupon.set(getCouponFields(req.body));
+    if (req.body.isActive !== undefined) coupon.isActive = req.body.isActive;
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon'
+    });
+  }
+});
+
+// @desc    Deactivate coupon
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (Admin)
+router.delete('/coupons/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deactivated successfully',
+      data: { coupon }
+    });
+
+  } catch (error) {
+    console.error('Deactivate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate coupon'
+    });
+  }
+});
+
+// @desc    Get referrals
+// @route   GET /api/admin/referrals
+// @access  Private (Admin)
+router.get('/referrals', authenticateToken, authorizeRoles('admin'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'rewarded'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+
+    const referrals = await Referral.find(query)
+      .populate({ path: 'referrer', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+      .populate({ path: 'referee', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Referral.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        referrals,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalReferrals: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referrals'
+    });
+  }
+});
+
+const membershipPlanValidation = [
+  body('name').trim().notEmpty().withMessage('Plan name is required'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('interval').isIn(['monthly', 'annual']).withMessage('Invalid billing interval'),
+  body('price').isFloat({ min: 1 }).withMessage('Price must be greater than 0'),
+  body('entitlements.freeDemoSessions').optional().isInt({ min: 0, max: 50 }).withMessage('Free demo sessions must be between 0-50'),
+  body('entitlements.chatAccess').optional().isBoolean().withMessage('chatAccess must be a boolean'),
+  body('entitlements.discountPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0-100'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @desc    Get membership plans
+// @route   GET /api/admin/membership-plans
+// @access  Private (Admin)
+router.get('/membership-plans', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plans = await MembershipPlan.find().sort({ isActive: -1, interval: 1, price: 1 });
+
+    const memberCounts = await Membership.aggregate([
+      { $match: { status: { $in: ['active', 'past_due'] } } },
+      { $group: { _id: '$plan', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        plans: plans.map(plan => {
+          const members = memberCounts.find(count => count._id.toString() === plan._id.toString());
+          return { ...plan.toJSON(), activeMembers: members ? members.count : 0 };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get membership plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch membership plans'
+    });
+  }
+});
+
+// @desc    Create membership plan
+// @route   POST /api/admin/membership-plans
+// @access  Private (Admin)
+router.post('/membership-plans', authenticateToken, authorizeRoles('admin'), membershipPlanValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, interval, price, entitlements, isActive } = req.body;
+
+    const plan = await MembershipPlan.create({
+      name,
+      description,
+      interval,
+      price,
+      entitlements,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Membership plan created successfully',
+      data: { plan }
+    });
+
+  } catch (error) {
+    console.error('Create membership plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create membership plan'
+    });
+  }
+});
+
+// @desc    Update membership plan
+// @route   PUT /api/admin/membership-plans/:id
+// @access  Private (Admin)
+router.put('/membership-plans/:id', authenticateToken, authorizeRoles('admin'), membershipPlanValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await MembershipPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Membership plan not found'
+      });
+    }
+
+    const { name, description, interval, price, entitlements, isActive } = req.body;
+
+    // Gateway plans can't be repriced, so new subscribers get fresh ones; members keep their terms
+    if (plan.price !== price || plan.interval !== interval || plan.name !== name) {
+      plan.gatewayPlans = {};
+    }
+
+    plan.name = name;
+    plan.description = description;
+    plan.interval = interval;
+    plan.price = price;
+    if (entitlements) plan.entitlements = entitlements;
+    if (isActive !== undefined) plan.isActive = isActive;
+
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Membership plan updated successfully',
+      data: { plan }
+    });
+
+  } catch (error) {
+    console.error('Update membership plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update membership plan'
+    });
+  }
+});
+
+// @desc    Withdraw membership plan from sale; existing members keep it
+// @route   DELETE /api/admin/membership-plans/:id
+// @access  Private (Admin)
+router.delete('/membership-plans/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plan = await MembershipPlan.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Membership plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Membership plan withdrawn successfully',
+      data: { plan }
+    });
+
+  } catch (error) {
+    console.error('Withdraw membership plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw membership plan'
+    });
+  }
+});
+
+// @desc    Get memberships, e.g. those in dunning after a failed renewal
+// @route   GET /api/admin/memberships
+// @access  Private (Admin)
+router.get('/memberships', authenticateToken, authorizeRoles('admin'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['pending', 'active', 'past_due', 'cancelled', 'expired']),
+  query('plan').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, plan } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+    if (plan) query.plan = plan;
+
+    const memberships = await Membership.find(query)
+      .select('-payments')
+      .populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Membership.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        memberships,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalMemberships: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get memberships error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch memberships'
+    });
+  }
+});
+
+// Email a tutor about a change to their payout request without failing the request
+const notifyPayoutUpdate = async (payout, message) => {
+  try {
+    const tutor = await Tutor.findById(payout.tutor).populate('user', 'firstName email');
+    await sendEmail({
+      to: tutor.user.email,
+      subject: 'Payout Update - Ed Share',
+      html: `<p>Hi ${tutor.user.firstName},</p><p>${message}</p>`
+    });
+  } catch (notificationError) {
+    console.error('Notification sending failed:', notificationError);
+  }
+};
+
+// @desc    Get payout requests
+// @route   GET /api/admin/payouts
+// @access  Private (Admin)
+router.get('/payouts', authenticateToken, authorizeRoles('admin'), [
+  query('status').optional().isIn(['requested', 'approved', 'rejected', 'paid']),
+  query('tutor').optional().isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      status,
+      tutor,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    let query = {};
+
+    if (status) query.status = status;
+    if (tutor) query.tutor = tutor;
+
+    const payouts = await Payout.find(query)
+      .populate({ path: 'tutor', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Payout.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalPayouts: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payouts'
+    });
+  }
+});
+
+// @desc    Approve/Reject payout request
+// @route   PUT /api/admin/payouts/:id/review
+// @access  Private (Admin)
+router.put('/payouts/:id/review', authenticateToken, authorizeRoles('admin'), [
+  body('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
+  body('reason').if(body('action').equals('reject')).notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, reason } = req.body;
+
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    if (payout.status !== 'requested') {
+      return res.status(400).json({
+        success: false,
+        message: `Payout is already ${payout.status}`
+      });
+    }
+
+    payout.status = action === 'approve' ? 'approved' : 'rejected';
+    payout.reviewedBy = req.user._id;
+    payout.reviewedAt = new Date();
+    if (action === 'reject') {
+      payout.rejectionReason = reason;
+    }
+    await payout.save();
+
+    await notifyPayoutUpdate(payout, action === 'approve'
+      ? `Your payout request of INR ${payout.amount} has been approved and will be transferred shortly.`
+      : `Your payout request of INR ${payout.amount} was rejected: ${reason}`);
+
+    res.json({
+      success: true,
+      message: `Payout ${action}d successfully`,
+      data: { payout }
+    });
+
+  } catch (error) {
+    console.error('Review payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process payout review'
+    });
+  }
+});
+
+// @desc    Mark an approved payout as paid
+// @route   PUT /api/admin/payouts/:id/mark-paid
+// @access  Private (Admin)
+router.put('/payouts/:id/mark-paid', authenticateToken, authorizeRoles('admin'), [
+  body('transactionReference').trim().notEmpty().withMessage('Transaction reference is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    if (payout.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved payouts can be marked as paid'
+      });
+    }
+
+    // Refunds or penalties since approval may have reduced the balance below the payout
+    const balance = await getTutorBalance(payout.tutor);
+    if (payout.amount > balance.balance) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payout exceeds the tutor\'s current balance',
+        data: { balance }
+      });
+    }
+
+    payout.transactionReference = req.body.transactionReference;
+    const transaction = await debitPayout(payout);
+
+    payout.status = 'paid';
+    payout.paidBy = req.user._id;
+    payout.paidAt = new Date();
+    payout.ledgerTransaction = transaction._id;
+    await payout.save();
+
+    await notifyPayoutUpdate(payout, `Your payout of INR ${payout.amount} has been transferred. Reference: ${payout.transactionReference}`);
+
+    res.json({
+      success: true,
+      message: 'Payout marked as paid successfully',
+      data: { payout }
+    });
+
+  } catch (error) {
+    console.error('Mark payout paid error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark payout as paid'
+    });
+  }
+});
+
 // @desc    Get system settings
 // @route   GET /api/admin/settings
 // @access  Private (Admin)
@@ -501,8 +1845,10 @@ router.get('/settings', authenticateToken, authorizeRoles('admin'), async (req,
       payments: {
         razorpayEnabled: true,
         stripeEnabled: true,
-        commissionRate: 15,
-        minimumWithdrawal: 500
+        commissionRate: COMMISSION_RATE,
+        minimumWithdrawal: MINIMUM_WITHDRAWAL,
+        referrerReward: REFERRER_REWARD,
+        refereeReward: REFEREE_REWARD
       },
       features: {
         chatEnabled: true,
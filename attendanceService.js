@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const GroupSession = require('../models/GroupSession');
+const SessionAttendance = require('../models/SessionAttendance');
+const User = require('../models/User');
+const locationService = require('./locationService');
+const { getBookingInstants } = require('./timezoneUtils');
+const { getNoShowTerms } = require('./cancellationService');
+const { debitTutorPenalty } = require('./earningsService');
+const { refundNoShow } = require('./paymentService');
+const { rewardReferral } = require('./referralService');
+
+const MINUTE_IN_MS = 60 * 1000;
+const CHECK_IN_WINDOW_MINUTES = parseInt(process.env.CHECK_IN_WINDOW_MINUTES, 10) || 15;
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 15;
+const COMPLETION_GRACE_MINUTES = parseInt(process.env.SESSION_COMPLETION_GRACE_MINUTES, 10) || 15;
+const GEOFENCE_RADIUS_METERS = parseInt(process.env.GEOFENCE_RADIUS_METERS, 10) || 200;
+
+// Check if the booking is open for check-in: from shortly before it starts until it ends
+const isWithinCheckInWindow = (booking, now = new Date()) => {
+  const { startsAt, endsAt } = getBookingInstants(booking);
+  return now >= new Date(startsAt.getTime() - CHECK_IN_WINDOW_MINUTES * MINUTE_IN_MS) && now <= endsAt;
+};
+
+// Check if the booking is open for check-out: from when check-in opens until the session is completed
+const isWithinCheckOutWindow = (booking, now = new Date()) => {
+  const { startsAt, endsAt } = getBookingInstants(booking);
+  return now >= new Date(startsAt.getTime() - CHECK_IN_WINDOW_MINUTES * MINUTE_IN_MS) &&
+    now <= new Date(endsAt.getTime() + COMPLETION_GRACE_MINUTES * MINUTE_IN_MS);
+};
+
+// Coordinates of an offline session: the booking location, or the student's home if it has none
+const getBookingCoordinates = async (booking) => {
+  const location = booking.location || {};
+
+  if (Array.isArray(location.coordinates) && location.coordinates.length === 2) {
+    return { latitude: location.coordinates[1], longitude: location.coordinates[0] };
+  }
+  if (location.latitude !== undefined && location.longitude !== undefined) {
+    return { latitude: location.latitude, longitude: location.longitude };
+  }
+
+  const studentUser = booking.student.user && (booking.student.user._id || booking.student.user);
+  const user = studentUser && await User.findById(studentUser).select('location');
+  if (user && user.location && Array.isArray(user.location.coordinates) && user.location.coordinates.length === 2) {
+    return { latitude: user.location.coordinates[1], longitude: user.location.coordinates[0] };
+  }
+
+  return null;
+};
+
+// Measure device coordinates against an offline booking's location, or null if the booking has no coordinates
+const checkGeofence = async (booking, latitude, longitude) => {
+  const target = await getBookingCoordinates(booking);
+  if (!target) {
+    return null;
+  }
+
+  const distanceKm = locationService.calculateHaversineDistance(target.latitude, target.longitude, latitude, longitude);
+  const distanceMeters = Math.round(distanceKm * 1000);
+
+  return {
+    coordinates: { latitude, longitude },
+    distanceMeters,
+    withinGeofence: distanceMeters <= GEOFENCE_RADIUS_METERS
+  };
+};
+
+// Record a check-in or check-out by one party of a booking, with the device position for offline sessions
+const recordAttendance = async (booking, party, type, source, userId, position) => {
+  const attendance = await SessionAttendance.findOneAndUpdate(
+    { booking: booking._id },
+    {
+      $setOnInsert: {
+        student: booking.student._id || booking.student,
+        tutor: booking.tutor._id || booking.tutor
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  attendance.recordEvent(party, type, source, userId, position);
+  await attendance.save();
+
+  return attendance;
+};
+
+// Mark a booking as a no-show by the absent party, recording the refund and penalty that follow
+const markNoShow = async (booking, attendance, now) => {
+  const studentAttended = Boolean(attendance && attendance.studentCheckIn);
+  const tutorAttended = Boolean(attendance && attendance.tutorCheckIn);
+
+  let outcome = 'both_no_show';
+  if (studentAttended) outcome = 'tutor_no_show';
+  if (tutorAttended) outcome = 'student_no_show';
+
+  // The student isn't charged for a session the tutor didn't deliver
+  const absentParty = outcome === 'student_no_show' ? 'student' : 'tutor';
+  const terms = await getNoShowTerms(booking, absentParty);
+
+  booking.noShow = {
+    party: outcome.replace('_no_show', ''),
+    detectedAt: now,
+    refundEligible: terms.refundAmount > 0,
+    refundAmount: terms.refundAmount,
+    refundPercentage: terms.refundPercentage,
+    tutorPenalty: terms.tutorPenalty,
+    policy: terms.policy,
+    policyName: terms.policyName
+  };
+  await booking.updateStatus('no_show', `No-show detected: ${outcome.replace(/_/g, ' ')}`);
+  await debitTutorPenalty(booking, terms.tutorPenalty, `No-show penalty for ${booking.subject} session`);
+  await refundNoShow(booking);
+
+  return outcome;
+};
+
+// Mark a booking completed and reward the referral it completes, if any, without failing the completion
+const completeSession = async (booking, reason) => {
+  await booking.updateStatus('completed', reason);
+
+  try {
+    await rewardReferral(booking);
+  } catch (error) {
+    console.error('Referral reward failed:', error);
+  }
+};
+
+// Record the automatic outcome of a session
+const resolveAttendance = async (booking, attendance, outcome, now) => {
+  const record = attendance || new SessionAttendance({
+    booking: booking._id,
+    student: booking.student,
+    tutor: booking.tutor
+  });
+
+  record.outcome = outcome;
+  record.resolvedAt = now;
+  record.autoResolved = true;
+  await record.save();
+};
+
+// Keep a group session's status in step with its seats
+const syncGroupSession = async (booking, status) => {
+  await GroupSession.updateOne(
+    { 'participants.booking': booking._id, status: { $in: ['open', 'full', 'in_progress'] } },
+    { status }
+  );
+};
+
+// Work out and apply the next status of a booking from check-ins and grace periods
+const advanceBookingStatus = async (booking, now) => {
+  const { startsAt, endsAt } = getBookingInstants(booking);
+  if (now < startsAt) {
+    return null;
+  }
+
+  const attendance = await SessionAttendance.findOne({ booking: booking._id });
+  const completesAt = new Date(endsAt.getTime() + COMPLETION_GRACE_MINUTES * MINUTE_IN_MS);
+
+  if (booking.status === 'in_progress' || (attendance && attendance.studentCheckIn && attendance.tutorCheckIn)) {
+    if (now >= completesAt) {
+      await completeSession(booking, 'Session ended');
+      await resolveAttendance(booking, attendance, 'completed', now);
+      return 'completed';
+    }
+
+    if (booking.status !== 'in_progress') {
+      await booking.updateStatus('in_progress', 'Both parties checked in');
+      return 'in_progress';
+    }
+
+    return null;
+  }
+
+  if (now >= new Date(startsAt.getTime() + NO_SHOW_GRACE_MINUTES * MINUTE_IN_MS)) {
+    const outcome = await markNoShow(booking, attendance, now);
+    await resolveAttendance(booking, attendance, outcome, now);
+    return outcome;
+  }
+
+  return null;
+};
+
+// Move one booking along scheduled/confirmed -> in_progress -> completed, or to no_show
+const advanceBooking = async (booking, now = new Date()) => {
+  const status = await advanceBookingStatus(booking, now);
+
+  if (booking.sessionType === 'group' && ['in_progress', 'completed'].includes(status)) {
+    await syncGroupSession(booking, status);
+  }
+
+  return status;
+};
+
+// Advance every open booking whose session has started
+const advanceBookingStates = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: { $in: ['scheduled', 'confirmed', 'in_progress'] },
+    scheduledDate: { $lte: now }
+  });
+
+  let updated = 0;
+  for (const booking of bookings) {
+    try {
+      if (await advanceBooking(booking, now)) {
+        updated += 1;
+      }
+    } catch (error) {
+      console.error(`Failed to advance booking ${booking._id}:`, error);
+    }
+  }
+
+  return updated;
+};
+
+// Periodically advance session states (call once on server start)
+const startAttendanceJob = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    advanceBookingStates().catch(error => console.error('Attendance job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Attendance and cancellation record of a tutor, with the share of sessions they showed up for
+const getTutorReliability = async (tutorId) => {
+  const [outcomes, tutorCancellations] = await Promise.all([
+    SessionAttendance.aggregate([
+      { $match: { tutor: new mongoose.Types.ObjectId(tutorId), outcome: { $exists: true } } },
+      { $group: { _id: '$outcome', count: { $sum: 1 } } }
+    ]),
+    Booking.countDocuments({ tutor: tutorId, status: 'cancelled', 'cancellation.cancelledBy': 'tutor' })
+  ]);
+
+  const counts = { completed: 0, student_no_show: 0, tutor_no_show: 0, both_no_show: 0 };
+  outcomes.forEach(outcome => { counts[outcome._id] = outcome.count; });
+
+  const attended = counts.completed + counts.student_no_show;
+  const missed = counts.tutor_no_show + counts.both_no_show;
+  const total = attended + missed + tutorCancellations;
+
+  return {
+    completedSessions: counts.completed,
+    studentNoShows: counts.student_no_show,
+    tutorNoShows: missed,
+    tutorCancellations,
+    reliabilityScore: total ? Math.round((attended / total) * 100) : null
+  };
+};
+
+module.exports = {
+  CHECK_IN_WINDOW_MINUTES,
+  NO_SHOW_GRACE_MINUTES,
+  COMPLETION_GRACE_MINUTES,
+  GEOFENCE_RADIUS_METERS,
+  isWithinCheckInWindow,
+  isWithinCheckOutWindow,
+  checkGeofence,
+  recordAttendance,
+  completeSession,
+  advanceBooking,
+  advanceBookingStates,
+  startAttendanceJob,
+  getTutorReliability
+};
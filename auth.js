@@ -1,21 +1,108 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Student = require('../models/Student');
 const Tutor = require('../models/Tutor');
+const UserSession = require('../models/UserSession');
+const GuardianLink = require('../models/GuardianLink');
 const { authenticateToken } = require('../middleware/auth');
 const { sendEmail } = require('../utils/emailService');
 const { sendSMS } = require('../utils/smsService');
+const { isValidTimezone, DEFAULT_TIMEZONE } = require('../utils/timezoneUtils');
+const {
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  markSessionTwoFactorVerified,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getRequestSessionId,
+  disconnectSessions
+} = require('../utils/sessionService');
+const {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../utils/twoFactorService');
+const {
+  getLockout,
+  recordAttempt,
+  resetAttempts,
+  claimSendSlot,
+  getRetryAfterSeconds
+} = require('../utils/authThrottleService');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Reason an account can't log in, or null if it can
+const getAccountBlock = (user) => {
+  if (user.status === 'suspended') {
+    return { status: 403, message: 'Account suspended. Please contact support.' };
+  }
+  if (user.status === 'pending' && user.role === 'employee') {
+    return { status: 403, message: 'Account pending approval. Please wait for admin approval.' };
+  }
+  return null;
+};
+
+// User fields returned with a login
+const toAuthUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  status: user.status,
+  isEmailVerified: user.isEmailVerified,
+  isPhoneVerified: user.isPhoneVerified,
+  avatar: user.avatar
+});
+
+// Authenticate like authenticateToken, but also let through sessions that still have to set up 2FA
+const authenticateSession = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const user = header.startsWith('Bearer ') && await verifyAccessToken(header.slice(7), { allowTwoFactorPending: true });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Invalid or expired token.'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authenticate session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+// Compared against when no account matches, so a failed login takes as long either way
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 12);
+
+// Refuse a request while its account or IP is locked out, or a code was sent too recently
+const sendTooManyAttempts = (res, until, message = 'Too many attempts. Please try again later.') => {
+  const retryAfter = getRetryAfterSeconds(until);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter
   });
 };
 
@@ -24,6 +111,82 @@ const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+// Finish a login once the user has proven who they are: check the account can log in,
+// then either hand out a 2FA challenge or start a session
+const completeLogin = async (user, req, res) => {
+  // Check if account is active
+  const blocked = getAccountBlock(user);
+  if (blocked) {
+    return res.status(blocked.status).json({
+      success: false,
+      message: blocked.message
+    });
+  }
+
+  // Accounts with 2FA finish logging in at /login/2fa with a code from their app
+  if (await isTwoFactorEnabled(user._id)) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user._id)
+      }
+    });
+  }
+
+  // Update last login
+  user.lastLogin = Date.now();
+  await user.save();
+
+  // Start a session with a short-lived access token and a refresh token
+  const tokens = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      ...tokens,
+      // Roles that require 2FA can only set it up until they have
+      twoFactorSetupRequired: await isTwoFactorRequired(user),
+      user: toAuthUser(user)
+    }
+  });
+};
+
+// Count a wrong phone OTP, burning the stored OTP once its attempts run out
+const rejectPhoneOTP = async (res, phone, req) => {
+  const lockout = await recordAttempt('verify_phone', phone, req);
+
+  if (lockout && lockout.scope === 'account') {
+    await User.updateOne({ phone }, { $unset: { phoneVerificationOTP: 1, otpExpires: 1 } });
+    return sendTooManyAttempts(res, lockout.lockedUntil, 'Too many incorrect OTPs. Please request a new OTP later.');
+  }
+  if (lockout) {
+    return sendTooManyAttempts(res, lockout.lockedUntil);
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid or expired OTP'
+  });
+};
+
+// Store a fresh phone OTP for a user and text it; delivery failures are only logged
+// so the response doesn't reveal whether the number is registered
+const sendPhoneOTP = async (user, purpose) => {
+  const phoneOTP = generateOTP();
+  user.phoneVerificationOTP = phoneOTP;
+  user.otpExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  await user.save();
+
+  try {
+    await sendSMS(user.phone, `Your Ed Share ${purpose} OTP is: ${phoneOTP}. Valid for 10 minutes.`);
+  } catch (smsError) {
+    console.error('SMS sending failed:', smsError);
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -33,9 +196,10 @@ router.post('/register', [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
   body('phone').matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit phone number'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['student', 'tutor', 'employee']).withMessage('Invalid role'),
+  body('role').isIn(['student', 'tutor', 'employee', 'parent']).withMessage('Invalid role'),
   body('dateOfBirth').optional().isISO8601().withMessage('Please enter a valid date'),
-  body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender')
+  body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -48,7 +212,7 @@ router.post('/register', [
       });
     }
 
-    const { firstName, lastName, email, phone, password, role, dateOfBirth, gender, address } = req.body;
+    const { firstName, lastName, email, phone, password, role, dateOfBirth, gender, address, timezone = DEFAULT_TIMEZONE } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -73,6 +237,7 @@ router.post('/register', [
       dateOfBirth,
       gender,
       address,
+      timezone,
       status: role === 'employee' ? 'pending' : 'active'
     });
 
@@ -130,14 +295,14 @@ router.post('/register', [
       console.error('SMS sending failed:', smsError);
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'Registration successful. Please verify your email and phone.',
       data: {
-        token,
+        ...tokens,
         user: {
           id: user._id,
           firstName: user.firstName,
@@ -181,6 +346,12 @@ router.post('/login', [
 
     const { emailOrPhone, password } = req.body;
 
+    // Attempts are counted per identifier whether or not it belongs to an account
+    const lockedUntil = await getLockout('login', emailOrPhone, req);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, lockedUntil);
+    }
+
     // Find user by email or phone
     const user = await User.findOne({
       $or: [
@@ -189,70 +360,410 @@ router.post('/login', [
       ]
     }).select('+password');
 
-    if (!user) {
+    let isPasswordValid = false;
+    if (user) {
+      isPasswordValid = await user.comparePassword(password);
+    } else {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    }
+
+    if (!isPasswordValid) {
+      const lockout = await recordAttempt('login', emailOrPhone, req, user && user._id);
+      if (lockout) {
+        return sendTooManyAttempts(res, lockout.lockedUntil);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+    await resetAttempts('login', emailOrPhone);
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Send a login OTP to a registered phone
+// @route   POST /api/auth/login/otp
+// @access  Public
+router.post('/login/otp', [
+  body('phone').matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone } = req.body;
+
+    // Login and verification OTPs share one stored code, so they share its send limits too
+    const lockedUntil = await getLockout('resend_otp', phone, req);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, lockedUntil);
+    }
+
+    const nextSendAt = await claimSendSlot('resend_otp', phone);
+    if (nextSendAt) {
+      return sendTooManyAttempts(res, nextSendAt, 'Please wait before requesting another OTP');
+    }
+
+    const lockout = await recordAttempt('resend_otp', phone, req);
+    if (lockout) {
+      return sendTooManyAttempts(res, lockout.lockedUntil);
+    }
+
+    // The response is the same whether or not the number is registered
+    const user = await User.findOne({ phone });
+    if (user) {
+      await sendPhoneOTP(user, 'login');
+    }
+
+    res.json({
+      success: true,
+      message: 'If this number is registered, an OTP has been sent'
+    });
+
+  } catch (error) {
+    console.error('Login OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send OTP'
+    });
+  }
+});
+
+// @desc    Log in with a phone OTP instead of a password
+// @route   POST /api/auth/login/otp/verify
+// @access  Public
+router.post('/login/otp/verify', [
+  body('phone').matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid phone number'),
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, otp } = req.body;
+
+    const lockedUntil = await getLockout('verify_phone', phone, req);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, lockedUntil);
+    }
+
+    const user = await User.findOne({
+      phone,
+      phoneVerificationOTP: otp,
+      otpExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return await rejectPhoneOTP(res, phone, req);
+    }
+
+    await resetAttempts('verify_phone', phone);
+
+    // The OTP is single-use, and receiving it proves the phone belongs to the user
+    user.phoneVerificationOTP = undefined;
+    user.otpExpires = undefined;
+    user.isPhoneVerified = true;
+    await user.save();
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('OTP login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// @desc    Finish logging in with a two-factor code or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (login challenge token)
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').if(body('recoveryCode').not().exists()).matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your app'),
+  body('recoveryCode').optional().isString().withMessage('Invalid recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Login attempt expired. Please log in again.'
       });
     }
 
-    // Check if account is active
-    if (user.status === 'suspended') {
-      return res.status(403).json({
+    const lockedUntil = await getLockout('login_2fa', userId, req);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, lockedUntil);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({
         success: false,
-        message: 'Account suspended. Please contact support.'
+        message: 'Login attempt expired. Please log in again.'
       });
     }
 
-    if (user.status === 'pending' && user.role === 'employee') {
-      return res.status(403).json({
+    const blocked = getAccountBlock(user);
+    if (blocked) {
+      return res.status(blocked.status).json({
+        success: false,
+        message: blocked.message
+      });
+    }
+
+    if (!await verifyTwoFactor(user._id, { code, recoveryCode })) {
+      const lockout = await recordAttempt('login_2fa', userId, req, user._id);
+      if (lockout) {
+        return sendTooManyAttempts(res, lockout.lockedUntil);
+      }
+
+      return res.status(401).json({
         success: false,
-        message: 'Account pending approval. Please wait for admin approval.'
+        message: 'Invalid two-factor code'
       });
     }
 
+    await resetAttempts('login_2fa', userId);
+
     // Update last login
     user.lastLogin = Date.now();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    const tokens = await createSession(user, req, { twoFactorVerified: true });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-          status: user.status,
-          isEmailVerified: user.isEmailVerified,
-          isPhoneVerified: user.isPhoneVerified,
-          avatar: user.avatar
-        }
+        ...tokens,
+        user: toAuthUser(user)
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Login failed'
+    });
+  }
+});
+
+// @desc    Get the current user's two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+router.get('/2fa', authenticateSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        twoFactor: await getTwoFactorStatus(req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status'
+    });
+  }
+});
+
+// @desc    Start two-factor enrollment, returning the secret and QR provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', authenticateSession, async (req, res) => {
+  try {
+    if (await isTwoFactorEnabled(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// @desc    Confirm enrollment with a code from the app and switch two-factor on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', authenticateSession, [
+  body('code').matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your app')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Start setup again if the QR code has changed.'
+      });
+    }
+
+    // The session that enrolled has proven the second factor
+    await markSessionTwoFactorVerified(req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes safely; they are shown only once.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateSession, [
+  body('code').matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your app')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!await verifyTwoFactor(req.user._id, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+// @desc    Switch two-factor off, unless the user's role requires it
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your app')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for your role'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !await verifyTwoFactor(user._id, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await disableTwoFactor(user._id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
     });
   }
 });
@@ -312,6 +823,11 @@ router.post('/verify-phone', [
 
     const { phone, otp } = req.body;
 
+    const lockedUntil = await getLockout('verify_phone', phone, req);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, lockedUntil);
+    }
+
     const user = await User.findOne({
       phone,
       phoneVerificationOTP: otp,
@@ -319,12 +835,11 @@ router.post('/verify-phone', [
     });
 
     if (!user) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired OTP'
-      });
+      return await rejectPhoneOTP(res, phone, req);
     }
 
+    await resetAttempts('verify_phone', phone);
+
     user.isPhoneVerified = true;
     user.phoneVerificationOTP = undefined;
     user.otpExpires = undefined;
@@ -362,41 +877,30 @@ router.post('/resend-otp', [
 
     const { phone } = req.body;
 
-    const user = await User.findOne({ phone });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    const lockedUntil = await getLockout('resend_otp', phone, req);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, lockedUntil);
     }
 
-    if (user.isPhoneVerified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Phone already verified'
-      });
+    const nextSendAt = await claimSendSlot('resend_otp', phone);
+    if (nextSendAt) {
+      return sendTooManyAttempts(res, nextSendAt, 'Please wait before requesting another OTP');
     }
 
-    // Generate new OTP
-    const phoneOTP = generateOTP();
-    user.phoneVerificationOTP = phoneOTP;
-    user.otpExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
-    await user.save();
+    const lockout = await recordAttempt('resend_otp', phone, req);
+    if (lockout) {
+      return sendTooManyAttempts(res, lockout.lockedUntil);
+    }
 
-    // Send OTP SMS
-    try {
-      await sendSMS(phone, `Your Ed Share verification OTP is: ${phoneOTP}. Valid for 10 minutes.`);
-    } catch (smsError) {
-      console.error('SMS sending failed:', smsError);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send OTP'
-      });
+    // The response is the same whether or not the number belongs to an unverified account
+    const user = await User.findOne({ phone });
+    if (user && !user.isPhoneVerified) {
+      await sendPhoneOTP(user, 'verification');
     }
 
     res.json({
       success: true,
-      message: 'OTP sent successfully'
+      message: 'If this number is awaiting verification, a new OTP has been sent'
     });
 
   } catch (error) {
@@ -426,42 +930,49 @@ router.post('/forgot-password', [
 
     const { email } = req.body;
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    const lockedUntil = await getLockout('forgot_password', email, req);
+    if (lockedUntil) {
+      return sendTooManyAttempts(res, lockedUntil);
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
-    await user.save();
+    const nextSendAt = await claimSendSlot('forgot_password', email);
+    if (nextSendAt) {
+      return sendTooManyAttempts(res, nextSendAt, 'Please wait before requesting another reset email');
+    }
 
-    // Send reset email
-    try {
-      await sendEmail({
-        to: email,
-        subject: 'Ed Share - Password Reset Request',
-        template: 'passwordReset',
-        data: {
-          name: user.firstName,
-          resetLink: `${process.env.CLIENT_URL}/reset-password/${resetToken}`
-        }
-      });
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send reset email'
-      });
+    const lockout = await recordAttempt('forgot_password', email, req);
+    if (lockout) {
+      return sendTooManyAttempts(res, lockout.lockedUntil);
+    }
+
+    // The response is the same whether or not the email belongs to an account
+    const user = await User.findOne({ email });
+    if (user) {
+      // Generate reset token
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      user.passwordResetToken = resetToken;
+      user.passwordResetExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
+      await user.save();
+
+      // Send reset email
+      try {
+        await sendEmail({
+          to: email,
+          subject: 'Ed Share - Password Reset Request',
+          template: 'passwordReset',
+          data: {
+            name: user.firstName,
+            resetLink: `${process.env.CLIENT_URL}/reset-password/${resetToken}`
+          }
+        });
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
     }
 
     res.json({
       success: true,
-      message: 'Password reset email sent'
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
 
   } catch (error) {
@@ -509,6 +1020,10 @@ router.post('/reset-password/:token', [
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Whoever knew the old password is signed out everywhere
+    const sessionIds = await revokeUserSessions(user._id, 'password_change');
+    disconnectSessions(req.app.get('io'), sessionIds);
+
     res.json({
       success: true,
       message: 'Password reset successful'
@@ -536,6 +1051,12 @@ router.get('/me', authenticateToken, async (req, res) => {
       roleData = await Student.findOne({ user: user._id });
     } else if (user.role === 'tutor') {
       roleData = await Tutor.findOne({ user: user._id });
+    } else if (user.role === 'parent') {
+      // Parents have no profile of their own, only the children they are linked to
+      const children = await GuardianLink.find({ parent: user._id, status: 'active' })
+        .select('student relationship linkedAt')
+        .populate({ path: 'student', select: 'user currentClass board', populate: { path: 'user', select: 'firstName lastName avatar' } });
+      roleData = { children };
     }
 
     res.json({
@@ -555,6 +1076,7 @@ router.get('/me', authenticateToken, async (req, res) => {
           avatar: user.avatar,
           address: user.address,
           location: user.location,
+          timezone: user.timezone,
           createdAt: user.createdAt
         },
         roleData
@@ -570,13 +1092,136 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+});
+
+// @desc    Get the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const currentSessionId = getRequestSessionId(req);
+    const sessions = await UserSession.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('deviceName userAgent ip lastUsedAt lastUsedIp createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          current: session._id.toString() === currentSessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id) && await revokeSession(req.user._id, req.params.id, 'revoked');
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    disconnectSessions(req.app.get('io'), [session._id]);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// @desc    Log out of every session
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const sessionIds = await revokeUserSessions(req.user._id, 'logout_all');
+    disconnectSessions(req.app.get('io'), sessionIds);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${sessionIds.length} session(s)`
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', authenticateToken, async (req, res) => {
+router.post('/logout', authenticateSession, async (req, res) => {
   try {
-    // In a more sophisticated setup, you might want to blacklist the token
-    // For now, we'll just send a success response
+    // Revoking the session invalidates its access token and refresh token
+    const sessionId = getRequestSessionId(req);
+    if (sessionId) {
+      await revokeSession(req.user._id, sessionId, 'logout');
+      disconnectSessions(req.app.get('io'), [sessionId]);
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -0,0 +1,188 @@
+const AuthThrottle = require('../models/AuthThrottle');
+const AuthLockout = require('../models/AuthLockout');
+
+const MINUTE_IN_MS = 60 * 1000;
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.AUTH_MAX_ATTEMPTS, 10) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.AUTH_MAX_IP_ATTEMPTS, 10) || 30;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.AUTH_ATTEMPT_WINDOW_MINUTES, 10) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15;
+const MAX_LOCKOUT_MINUTES = (parseInt(process.env.AUTH_LOCKOUT_MAX_HOURS, 10) || 24) * 60;
+
+// Counters are forgotten, and lockouts stop doubling, after a day without attempts
+const COUNTER_TTL_MS = 24 * 60 * MINUTE_IN_MS;
+
+// Attempts allowed per window before a lockout, by action and scope
+const ATTEMPT_LIMITS = {
+  login: { account: MAX_ACCOUNT_ATTEMPTS, ip: MAX_IP_ATTEMPTS },
+  login_2fa: { account: MAX_ACCOUNT_ATTEMPTS, ip: MAX_IP_ATTEMPTS },
+  verify_phone: { account: OTP_MAX_ATTEMPTS, ip: MAX_IP_ATTEMPTS },
+  resend_otp: { account: MAX_ACCOUNT_ATTEMPTS, ip: MAX_IP_ATTEMPTS },
+  forgot_password: { account: MAX_ACCOUNT_ATTEMPTS, ip: MAX_IP_ATTEMPTS }
+};
+
+// Email, phone or user ID in the form attempts are counted under
+const normaliseAccountKey = (account) => String(account || '').trim().toLowerCase();
+
+// Counters an attempt from this request touches
+const getCounterKeys = (account, req) => [
+  ['account', normaliseAccountKey(account)],
+  ['ip', req.ip]
+].filter(([, key]) => key);
+
+// Count one attempt, starting a fresh window once the last one has passed
+const bumpCounter = async (action, scope, key, now) => {
+  await AuthThrottle.updateOne(
+    { action, scope, key, windowStartedAt: { $lt: new Date(now.getTime() - ATTEMPT_WINDOW_MINUTES * MINUTE_IN_MS) } },
+    { $set: { attempts: 0, windowStartedAt: now } }
+  );
+
+  return await AuthThrottle.findOneAndUpdate(
+    { action, scope, key },
+    {
+      $inc: { attempts: 1 },
+      $setOnInsert: { windowStartedAt: now },
+      $max: { expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Lock a counter that has run out of attempts, each lockout twice as long as the last
+const lockCounter = async (counter, now) => {
+  const minutes = Math.min(LOCKOUT_MINUTES * 2 ** counter.lockoutCount, MAX_LOCKOUT_MINUTES);
+  const lockedUntil = new Date(now.getTime() + minutes * MINUTE_IN_MS);
+
+  // Only one of several racing attempts starts the lockout
+  return await AuthThrottle.findOneAndUpdate(
+    { _id: counter._id, lockoutCount: counter.lockoutCount },
+    {
+      $set: { attempts: 0, windowStartedAt: now, lockedUntil },
+      $inc: { lockoutCount: 1 },
+      $max: { expiresAt: new Date(lockedUntil.getTime() + COUNTER_TTL_MS) }
+    },
+    { new: true }
+  );
+};
+
+// Time until which the account or the IP is locked out of an action, or null
+const getLockout = async (action, account, req) => {
+  const counters = await AuthThrottle.find({
+    action,
+    lockedUntil: { $gt: new Date() },
+    $or: getCounterKeys(account, req).map(([scope, key]) => ({ scope, key }))
+  }).select('lockedUntil');
+
+  return counters.length ? new Date(Math.max(...counters.map(counter => counter.lockedUntil))) : null;
+};
+
+// Count an attempt against the account and the IP, locking out whichever has run out.
+// Returns the lockout this attempt started ({ scope, lockedUntil }), or null
+const recordAttempt = async (action, account, req, userId) => {
+  const now = new Date();
+  let lockout = null;
+
+  for (const [scope, key] of getCounterKeys(account, req)) {
+    const counter = await bumpCounter(action, scope, key, now);
+    if (counter.attempts < ATTEMPT_LIMITS[action][scope]) {
+      continue;
+    }
+
+    const locked = await lockCounter(counter, now);
+    if (!locked) {
+      continue;
+    }
+
+    await AuthLockout.create({
+      action,
+      scope,
+      key,
+      user: userId,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      attempts: counter.attempts,
+      lockoutCount: locked.lockoutCount,
+      lockedUntil: locked.lockedUntil
+    });
+    console.warn(`Auth lockout: ${action} by ${scope} ${key} until ${locked.lockedUntil.toISOString()}`);
+
+    if (!lockout || scope === 'account') {
+      lockout = { scope, lockedUntil: locked.lockedUntil };
+    }
+  }
+
+  return lockout;
+};
+
+// Clear an account's failed attempts after it succeeds; earlier lockouts still count towards the next one
+const resetAttempts = async (action, account) => {
+  await AuthThrottle.updateOne(
+    { action, scope: 'account', key: normaliseAccountKey(account) },
+    { $set: { attempts: 0, windowStartedAt: new Date() } }
+  );
+};
+
+// Claim the right to send an OTP or email to an account, at most once per cooldown.
+// Returns null once claimed, or the time the next send is allowed
+const claimSendSlot = async (action, account) => {
+  const now = new Date();
+  const key = normaliseAccountKey(account);
+  const cooldownStartedAt = new Date(now.getTime() - OTP_RESEND_COOLDOWN_SECONDS * 1000);
+
+  try {
+    await AuthThrottle.findOneAndUpdate(
+      { action, scope: 'account', key, $or: [{ lastSentAt: null }, { lastSentAt: { $lte: cooldownStartedAt } }] },
+      {
+        $set: { lastSentAt: now },
+        $setOnInsert: { windowStartedAt: now },
+        $max: { expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) }
+      },
+      { upsert: true }
+    );
+    return null;
+  } catch (error) {
+    // The upsert collides with the existing counter while the cooldown runs
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const counter = await AuthThrottle.findOne({ action, scope: 'account', key }).select('lastSentAt');
+  return new Date(counter.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000);
+};
+
+// Whole seconds until a time, for the Retry-After header
+const getRetryAfterSeconds = (until) => Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+
+// Lift a recorded lockout early and mark it reviewed
+const releaseLockout = async (lockout, adminId, note) => {
+  const now = new Date();
+
+  await AuthThrottle.updateOne(
+    { action: lockout.action, scope: lockout.scope, key: lockout.key, lockedUntil: { $gt: now } },
+    { $set: { lockedUntil: now, attempts: 0, windowStartedAt: now } }
+  );
+
+  lockout.releasedAt = now;
+  lockout.releasedBy = adminId;
+  lockout.reviewedAt = now;
+  lockout.reviewedBy = adminId;
+  if (note) {
+    lockout.reviewNote = note;
+  }
+  await lockout.save();
+
+  return lockout;
+};
+
+module.exports = {
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  getLockout,
+  recordAttempt,
+  resetAttempts,
+  claimSendSlot,
+  getRetryAfterSeconds,
+  releaseLockout
+};
@@ -0,0 +1,22 @@
+const { startAttendanceJob } = require('./attendanceService');
+const { startWaitlistJob } = require('./waitlistService');
+const { startPackageExpiryJob } = require('./packageService');
+const { startMembershipJob } = require('./membershipService');
+const { startRefundSyncJob } = require('./paymentService');
+const { startReconciliationJob } = require('./reconciliationService');
+
+// Start every periodic job: session status changes and no-shows, waitlist hold expiry, package expiry,
+// membership renewals and dunning, pending refund sync and settlement report imports.
+// Call once, after the database connection is open; returns the timers
+const startBackgroundJobs = () => [
+  startAttendanceJob(),
+  startWaitlistJob(),
+  startPackageExpiryJob(),
+  startMembershipJob(),
+  startRefundSyncJob(),
+  startReconciliationJob()
+];
+
+module.exports = {
+  startBackgroundJobs
+};
@@ -0,0 +1,230 @@
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const GroupSession = require('../models/GroupSession');
+const User = require('../models/User');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc } = require('./timezoneUtils');
+
+const ACTIVE_BOOKING_STATUSES = ['scheduled', 'confirmed', 'in_progress'];
+const ACTIVE_GROUP_SESSION_STATUSES = ['open', 'full', 'in_progress'];
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const SLOT_STEP_MINUTES = 30;
+
+// Find a booking or group session of the tutor that overlaps the given time slot
+const findConflictingBooking = async (tutorId, date, startTime, endTime, excludeBookingId) => {
+  const overlap = {
+    tutor: tutorId,
+    scheduledDate: date,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  // Group seats share their group session's slot, which is checked below
+  const query = {
+    ...overlap,
+    sessionType: { $ne: 'group' },
+    status: { $in: ACTIVE_BOOKING_STATUSES }
+  };
+
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  const conflictingBooking = await Booking.findOne(query);
+  if (conflictingBooking) {
+    return conflictingBooking;
+  }
+
+  return await GroupSession.findOne({
+    ...overlap,
+    status: { $in: ACTIVE_GROUP_SESSION_STATUSES }
+  });
+};
+
+// Find an unexpired waitlist hold on the tutor that overlaps the given time slot
+const findActiveHold = async (tutorId, date, startTime, endTime, excludeEntryId) => {
+  const query = {
+    tutor: tutorId,
+    scheduledDate: date,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+    status: 'offered',
+    holdExpiresAt: { $gt: new Date() }
+  };
+
+  if (excludeEntryId) {
+    query._id = { $ne: excludeEntryId };
+  }
+
+  return await WaitlistEntry.findOne(query);
+};
+
+// Check tutor availability, existing bookings and waitlist holds for a slot, returning the reason it can't be booked
+const getSlotConflict = async (tutor, date, startTime, endTime, options = {}) => {
+  const { excludeBookingId, waitlistEntryId, ignoreHolds = false } = options;
+
+  if (!tutor.isAvailable(date, startTime, endTime)) {
+    return 'Tutor is not available at the requested time';
+  }
+
+  const conflictingBooking = await findConflictingBooking(tutor._id, date, startTime, endTime, excludeBookingId);
+  if (conflictingBooking) {
+    return 'Time slot is already booked';
+  }
+
+  if (!ignoreHolds) {
+    const activeHold = await findActiveHold(tutor._id, date, startTime, endTime, waitlistEntryId);
+    if (activeHold) {
+      return 'Time slot is on hold for a waitlisted student';
+    }
+  }
+
+  return null;
+};
+
+// Add minutes to an "HH:MM" time string
+const addMinutes = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = hours * 60 + mins + minutes;
+
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Timezone the tutor's schedule and booking times are kept in
+const getTutorTimezone = async (tutor) => {
+  if (tutor.populated('user')) {
+    return tutor.user.timezone || DEFAULT_TIMEZONE;
+  }
+
+  const user = await User.findById(tutor.user).select('timezone');
+  return (user && user.timezone) || DEFAULT_TIMEZONE;
+};
+
+// Convert an "HH:MM" time string to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, mins] = time.split(':').map(Number);
+  return hours * 60 + mins;
+};
+
+// Whether a session starting at an "HH:MM" time would run past midnight
+const endsAfterMidnight = (startTime, duration) => toMinutes(startTime) + duration >= 24 * 60;
+
+// Key a session date by its UTC calendar day
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Collect the tutor's booked, group and held intervals between two dates, keyed by day
+const getBusyIntervals = async (tutorId, from, to) => {
+  const range = { tutor: tutorId, scheduledDate: { $gte: from, $lte: to } };
+
+  const [bookings, groupSessions, holds] = await Promise.all([
+    Booking.find({ ...range, sessionType: { $ne: 'group' }, status: { $in: ACTIVE_BOOKING_STATUSES } })
+      .select('scheduledDate startTime endTime'),
+    GroupSession.find({ ...range, status: { $in: ACTIVE_GROUP_SESSION_STATUSES } })
+      .select('scheduledDate startTime endTime'),
+    WaitlistEntry.find({ ...range, status: 'offered', holdExpiresAt: { $gt: new Date() } })
+      .select('scheduledDate startTime endTime')
+  ]);
+
+  const busy = {};
+  for (const interval of [...bookings, ...groupSessions, ...holds]) {
+    const key = toDateKey(interval.scheduledDate);
+    busy[key] = busy[key] || [];
+    busy[key].push({ start: toMinutes(interval.startTime), end: toMinutes(interval.endTime) });
+  }
+
+  return busy;
+};
+
+// Compute bookable start times per day from the tutor's schedule, demo slots and existing bookings
+const getAvailableSlots = async (tutor, from, to, duration, timezone, step = SLOT_STEP_MINUTES) => {
+  const busy = await getBusyIntervals(tutor._id, from, to);
+  const now = new Date();
+  const isFree = (key, start, end) => !(busy[key] || []).some(interval => interval.start < end && interval.end > start);
+
+  const days = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_IN_MS) {
+    const date = new Date(time);
+    const key = toDateKey(date);
+    const startTimes = [];
+
+    for (let start = 0; start + duration < 24 * 60; start += step) {
+      const startTime = addMinutes('00:00', start);
+      const endTime = addMinutes('00:00', start + duration);
+      const startsAt = zonedTimeToUtc(date, startTime, timezone);
+
+      if (startsAt > now && isFree(key, start, start + duration) && tutor.isAvailable(date, startTime, endTime)) {
+        startTimes.push(startTime);
+      }
+    }
+
+    days.push({ date: key, startTimes });
+  }
+
+  // Demo slots are offered until they start, like the regular start times
+  const demoSlots = (tutor.demoSlots || [])
+    .filter(slot => {
+      const key = toDateKey(slot.date);
+      return !slot.isBooked &&
+        new Date(slot.date) >= from && new Date(slot.date) <= to &&
+        zonedTimeToUtc(slot.date, slot.startTime, timezone) > now &&
+        isFree(key, toMinutes(slot.startTime), toMinutes(slot.endTime));
+    })
+    .map(slot => ({
+      date: toDateKey(slot.date),
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      subject: slot.subject,
+      class: slot.class
+    }));
+
+  return { days, demoSlots };
+};
+
+// Add 18% GST to a base amount
+const applyTax = (baseAmount) => {
+  const tax = baseAmount * 0.18; // 18% GST
+  const totalAmount = baseAmount + tax;
+
+  return { baseAmount, tax, totalAmount };
+};
+
+// Calculate session pricing from the hourly rate
+const calculatePricing = (pricePerHour, duration) => {
+  return applyTax(pricePerHour * (duration / 60));
+};
+
+// Expand a weekly recurrence rule into session dates between startDate and endDate (inclusive)
+const expandRecurrence = (recurrence, startDate, endDate) => {
+  const { daysOfWeek, interval = 1 } = recurrence;
+  const dates = [];
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const weekStart = start.getTime() - start.getUTCDay() * DAY_IN_MS;
+
+  for (let time = start.getTime(); time <= end.getTime(); time += DAY_IN_MS) {
+    const date = new Date(time);
+    const weekIndex = Math.floor((time - weekStart) / (7 * DAY_IN_MS));
+
+    if (weekIndex % interval === 0 && daysOfWeek.includes(date.getUTCDay())) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  ACTIVE_GROUP_SESSION_STATUSES,
+  findConflictingBooking,
+  findActiveHold,
+  getSlotConflict,
+  addMinutes,
+  toMinutes,
+  endsAfterMidnight,
+  getAvailableSlots,
+  getTutorTimezone,
+  applyTax,
+  calculatePricing,
+  expandRecurrence
+};
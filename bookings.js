@@ -1,18 +1,347 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const RescheduleRequest = require('../models/RescheduleRequest');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const GroupSession = require('../models/GroupSession');
+const StudentPackage = require('../models/StudentPackage');
+const SessionAttendance = require('../models/SessionAttendance');
 const Student = require('../models/Student');
 const Tutor = require('../models/Tutor');
+const User = require('../models/User');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const { sendEmail } = require('../utils/emailService');
 const { sendSMS } = require('../utils/smsService');
+const { getSlotConflict, applyTax, calculatePricing, expandRecurrence, addMinutes, endsAfterMidnight, getTutorTimezone } = require('../utils/bookingUtils');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToUtc, utcToZonedTime, getSessionInstants, convertSession, getBookingInstants, formatSession } = require('../utils/timezoneUtils');
+const { offerSlotToWaitlist, expireWaitlistOffer } = require('../utils/waitlistService');
+const { getCancellationTerms, buildCancellation } = require('../utils/cancellationService');
+const { debitTutorPenalty } = require('../utils/earningsService');
+const { markBookingPaid, refundCancellation } = require('../utils/paymentService');
+const { debitWallet, creditWallet } = require('../utils/walletService');
+const { getPackageUnusableReason, getPackagePricing, drawPackageMinutes, returnPackageMinutes } = require('../utils/packageService');
+const { quoteCoupon, redeemCoupon, releaseCoupon } = require('../utils/couponService');
+const { getEntitlements, claimFreeDemo, returnFreeDemo } = require('../utils/membershipService');
+const { createCalendarAttachment, sendCalendarUpdate, buildCalendar, bookingToEvent, groupSessionToEvent } = require('../utils/calendarService');
+const { GEOFENCE_RADIUS_METERS, isWithinCheckInWindow, isWithinCheckOutWindow, checkGeofence, recordAttendance, completeSession, advanceBooking } = require('../utils/attendanceService');
+const { isLinkedParent, findActingStudent, getActingStudentIds } = require('../utils/guardianService');
 
 const router = express.Router();
 
+const MAX_SERIES_WEEKS = 26;
+const CALENDAR_FEED_DAYS = parseInt(process.env.CALENDAR_FEED_DAYS, 10) || 90;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SPANS_TUTOR_DAYS_MESSAGE = "Session must start and end on the same day in the tutor's timezone";
+
+// Offer a freed time slot to the waitlist without failing the calling request
+const releaseSlot = async (tutorId, date, startTime, endTime) => {
+  try {
+    await offerSlotToWaitlist(tutorId, date, startTime, endTime);
+  } catch (waitlistError) {
+    console.error('Waitlist offer failed:', waitlistError);
+  }
+};
+
+// Cancel a booking on behalf of the given role under the cancellation terms that apply
+const cancelBooking = async (booking, reason, cancelledBy, terms, { notify = true } = {}) => {
+  booking.cancellation = buildCancellation(reason, cancelledBy, terms);
+  booking.status = 'cancelled';
+  booking.calendarSequence = (booking.calendarSequence || 0) + 1;
+
+  await booking.save();
+  await debitTutorPenalty(booking, terms.tutorPenalty, `Cancellation penalty for ${booking.subject} session`);
+  await refundCancellation(booking);
+  await releaseCoupon(booking._id);
+
+  // Series send one calendar update for all their cancelled sessions instead
+  if (notify) {
+    try {
+      await sendCalendarUpdate(booking, 'CANCEL', booking.sessionType === 'group' ? ['student'] : undefined);
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+    }
+  }
+
+  // A group seat frees a seat in its group session rather than the tutor slot
+  if (booking.sessionType === 'group') {
+    await GroupSession.updateOne(
+      { participants: { $elemMatch: { booking: booking._id, status: 'enrolled' } } },
+      {
+        $set: { 'participants.$.status': 'cancelled', 'participants.$.leftAt': Date.now() },
+        $inc: { seatsTaken: -1 }
+      }
+    );
+    await GroupSession.updateOne({ 'participants.booking': booking._id, status: 'full' }, { status: 'open' });
+  } else {
+    await releaseSlot(booking.tutor._id, booking.scheduledDate, booking.startTime, booking.endTime);
+  }
+
+  return booking;
+};
+
+// Check if the user owns the booking series, is a parent of its student, or is staff
+const canManageSeries = (series, user) =>
+  (user.role === 'student' && series.student.user.toString() === user._id.toString()) ||
+  isLinkedParent(user, series.student) ||
+  ['admin', 'employee'].includes(user.role);
+
+// Role whose cancellation terms apply: parents cancel under their child's
+const getCancellingRole = (user) => (user.role === 'parent' ? 'student' : user.role);
+
+// Get the occurrences an action applies to: one occurrence, or all upcoming ones in the given statuses
+const getSeriesTargets = (series, occurrenceId, statuses) => {
+  if (occurrenceId) {
+    const occurrence = series.occurrences.id(occurrenceId);
+    return occurrence && statuses.includes(occurrence.status) ? [occurrence] : null;
+  }
+
+  return series.getFutureOccurrences().filter(occurrence => statuses.includes(occurrence.status));
+};
+
+// Timezone of a series' occurrence times; series saved before they had their own kept both in the tutor's
+const getOccurrenceTimezone = (series) => series.tutorTimezone || series.timezone;
+
+// Occurrence on a day of the series' recurrence, moved into the tutor's timezone,
+// or a conflict if it would span two days there
+const buildSeriesOccurrence = (date, startTime, endTime, timezone, tutorTimezone) => {
+  const session = convertSession(date, startTime, endTime, timezone, tutorTimezone);
+  if (!session) {
+    return { date, startTime, endTime, status: 'conflict', conflictReason: SPANS_TUTOR_DAYS_MESSAGE };
+  }
+
+  return { date: session.scheduledDate, startTime: session.startTime, endTime: session.endTime };
+};
+
+// Book a single series occurrence, recording the conflict if the slot is unavailable
+const bookSeriesOccurrence = async (series, tutor, occurrence) => {
+  const slotConflict = await getSlotConflict(tutor, occurrence.date, occurrence.startTime, occurrence.endTime);
+  if (slotConflict) {
+    occurrence.status = 'conflict';
+    occurrence.conflictReason = slotConflict;
+    occurrence.booking = undefined;
+    return null;
+  }
+
+  const booking = await Booking.create({
+    student: series.student._id,
+    tutor: series.tutor,
+    sessionType: series.sessionType,
+    subject: series.subject,
+    class: series.class,
+    board: series.board,
+    scheduledDate: occurrence.date,
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    timezone: getOccurrenceTimezone(series),
+    ...getSessionInstants(occurrence.date, occurrence.startTime, occurrence.endTime, getOccurrenceTimezone(series)),
+    duration: series.duration,
+    mode: series.mode,
+    location: series.location,
+    topics: series.topics,
+    pricing: series.pricing
+  });
+
+  occurrence.booking = booking._id;
+  occurrence.status = 'booked';
+  occurrence.conflictReason = undefined;
+  return booking;
+};
+
+// User the tutor is told booked the session: the student, even when a parent booked for them
+const getStudentUser = async (student, user) => (user.role === 'parent'
+  ? await User.findById(student.user).select('firstName lastName')
+  : user);
+
+// Load a booking with the student and tutor users populated
+const findBookingWithParties = (bookingId) => {
+  return Booking.findById(bookingId)
+    .populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName lastName email phone timezone' } })
+    .populate({ path: 'tutor', select: 'user', populate: { path: 'user', select: 'firstName lastName email phone timezone' } });
+};
+
+// Get the side of the booking the user is on, or null if they are not part of it. Parents act on their child's side
+const getBookingParty = (booking, user) => {
+  if (user.role === 'student' && booking.student.user._id.toString() === user._id.toString()) {
+    return 'student';
+  }
+  if (isLinkedParent(user, booking.student)) {
+    return 'student';
+  }
+  if (user.role === 'tutor' && booking.tutor.user._id.toString() === user._id.toString()) {
+    return 'tutor';
+  }
+  return null;
+};
+
+// Email and SMS the party on the other side of the booking, building the message in their timezone
+const notifyOtherParty = async (booking, party, subject, buildMessage) => {
+  const recipient = party === 'student' ? booking.tutor.user : booking.student.user;
+  const message = buildMessage(recipient.timezone || DEFAULT_TIMEZONE);
+
+  try {
+    await sendEmail({
+      to: recipient.email,
+      subject,
+      html: `<p>Hi ${recipient.firstName},</p><p>${message}</p>`
+    });
+    await sendSMS(recipient.phone, message);
+  } catch (notificationError) {
+    console.error('Notification sending failed:', notificationError);
+  }
+};
+
+// Turn slots requested in the proposer's timezone into full slots in the booking's timezone,
+// or null if one would span two days there
+const buildProposedSlots = (slots, duration, timezone, bookingTimezone) => {
+  const sessions = slots.map(slot =>
+    convertSession(slot.scheduledDate, slot.startTime, addMinutes(slot.startTime, duration), timezone, bookingTimezone));
+  if (sessions.includes(null)) {
+    return null;
+  }
+
+  return sessions.map(session => ({
+    scheduledDate: session.scheduledDate,
+    startTime: session.startTime,
+    endTime: session.endTime
+  }));
+};
+
+// Midnight (UTC) of the current day
+const startOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+// Human readable schedule, e.g. "Mon, Wed, Fri at 17:00 every week"
+const formatSeriesSchedule = (series) => {
+  const days = series.recurrence.daysOfWeek.map(day => DAY_NAMES[day]).join(', ');
+  const interval = series.recurrence.interval > 1 ? `every ${series.recurrence.interval} weeks` : 'every week';
+  return `${days} at ${series.startTime} (${series.timezone}) ${interval}`;
+};
+
+// Price a one-off session: free if it is a demo the student's membership still covers, otherwise
+// the hourly rate less the membership discount and then the coupon, before tax
+const priceSession = async (studentId, tutor, tutorSubject, { sessionType, subject, className, duration, couponCode }) => {
+  const { membership, entitlements } = await getEntitlements(studentId);
+
+  if (sessionType === 'demo' && entitlements.freeDemosLeft > 0) {
+    return { pricing: calculatePricing(tutorSubject.pricePerHour, duration), freeDemoMembership: membership };
+  }
+
+  const listAmount = tutorSubject.pricePerHour * (duration / 60);
+  const membershipDiscount = sessionType === 'demo'
+    ? 0
+    : Math.round(listAmount * entitlements.discountPercentage) / 100;
+
+  let coupon;
+  let couponDiscount = 0;
+  if (couponCode) {
+    const quote = await quoteCoupon(couponCode, {
+      studentId,
+      tutorId: tutor._id,
+      subject,
+      className,
+      amount: listAmount - membershipDiscount
+    });
+    if (quote.error) {
+      return { error: quote.error };
+    }
+
+    coupon = quote.coupon;
+    couponDiscount = quote.discount;
+  }
+
+  const discount = membershipDiscount + couponDiscount;
+  if (!discount) {
+    return { pricing: applyTax(listAmount) };
+  }
+
+  return {
+    coupon,
+    pricing: {
+      ...applyTax(listAmount - discount),
+      listAmount,
+      discount,
+      membershipDiscount: membershipDiscount || undefined,
+      couponCode: coupon && coupon.code
+    }
+  };
+};
+
+// @desc    Price a session before booking it, with membership benefits and an optional coupon
+// @route   POST /api/bookings/quote
+// @access  Private (Student/Parent)
+router.post('/quote', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('tutorId').isMongoId().withMessage('Invalid tutor ID'),
+  body('subject').notEmpty().withMessage('Subject is required'),
+  body('sessionType').optional().isIn(['demo', 'regular', 'assessment']).withMessage('Invalid session type'),
+  body('class').isIn(['LKG', 'UKG', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']).withMessage('Invalid class'),
+  body('duration').isInt({ min: 30, max: 180 }).withMessage('Duration must be between 30-180 minutes'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Invalid coupon code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { tutorId, sessionType = 'regular', subject, class: className, duration, couponCode } = req.body;
+
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const tutor = await Tutor.findById(tutorId);
+    const tutorSubject = tutor && tutor.subjects.find(s =>
+      s.name.toLowerCase() === subject.toLowerCase() &&
+      s.classes.includes(className)
+    );
+    if (!tutorSubject) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor does not teach this subject for the specified class'
+      });
+    }
+
+    const quote = await priceSession(student._id, tutor, tutorSubject, { sessionType, subject, className, duration, couponCode });
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        pricing: quote.pricing,
+        coveredByMembership: Boolean(quote.freeDemoMembership)
+      }
+    });
+
+  } catch (error) {
+    console.error('Quote booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to price session'
+    });
+  }
+});
+
 // @desc    Create a new booking
 // @route   POST /api/bookings
-// @access  Private (Student)
-router.post('/', authenticateToken, authorizeRoles('student'), [
+// @access  Private (Student/Parent)
+router.post('/', authenticateToken, authorizeRoles('student', 'parent'), [
   body('tutorId').isMongoId().withMessage('Invalid tutor ID'),
   body('sessionType').isIn(['demo', 'regular', 'assessment', 'group']).withMessage('Invalid session type'),
   body('subject').notEmpty().withMessage('Subject is required'),
@@ -22,7 +351,11 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
   body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
   body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid end time format'),
   body('duration').isInt({ min: 30, max: 180 }).withMessage('Duration must be between 30-180 minutes'),
-  body('mode').isIn(['online', 'offline']).withMessage('Invalid mode')
+  body('mode').isIn(['online', 'offline']).withMessage('Invalid mode'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+  body('paymentSource').optional().isIn(['gateway', 'wallet', 'package']).withMessage('Invalid payment source'),
+  body('studentPackageId').if(body('paymentSource').equals('package')).isMongoId().withMessage('Invalid package ID'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Invalid coupon code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -41,16 +374,26 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
       class: className,
       board,
       scheduledDate,
-      startTime,
-      endTime,
       duration,
       mode,
       location,
-      topics
+      topics,
+      timezone = req.user.timezone || DEFAULT_TIMEZONE,
+      paymentSource = 'gateway',
+      studentPackageId,
+      couponCode
     } = req.body;
 
+    // Group seats are booked by joining a published group session
+    if (sessionType === 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'Group sessions must be joined through /api/group-sessions'
+      });
+    }
+
     // Get student profile
-    const student = await Student.findOne({ user: req.user._id });
+    const student = await findActingStudent(req);
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -89,49 +432,70 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
       });
     }
 
-    // Check availability for the requested time slot
-    const sessionDate = new Date(scheduledDate);
-    const isAvailable = tutor.isAvailable(sessionDate, startTime, endTime);
-    
-    if (!isAvailable) {
+    // Normalise the requested time to absolute instants, then to the tutor's timezone
+    const tutorTimezone = await getTutorTimezone(tutor);
+    const session = convertSession(scheduledDate, req.body.startTime, req.body.endTime, timezone, tutorTimezone);
+
+    if (!session) {
       return res.status(400).json({
         success: false,
-        message: 'Tutor is not available at the requested time'
+        message: SPANS_TUTOR_DAYS_MESSAGE
       });
     }
 
-    // Check for conflicting bookings
-    const conflictingBooking = await Booking.findOne({
-      tutor: tutorId,
-      scheduledDate: sessionDate,
-      $or: [
-        {
-          startTime: { $lte: startTime },
-          endTime: { $gt: startTime }
-        },
-        {
-          startTime: { $lt: endTime },
-          endTime: { $gte: endTime }
-        },
-        {
-          startTime: { $gte: startTime },
-          endTime: { $lte: endTime }
-        }
-      ],
-      status: { $in: ['scheduled', 'confirmed', 'in_progress'] }
-    });
+    const { scheduledDate: sessionDate, startTime, endTime, startsAt, endsAt } = session;
+
+    // Check availability and conflicting bookings for the requested time slot
+    const slotConflict = await getSlotConflict(tutor, sessionDate, startTime, endTime);
+
+    if (slotConflict) {
+      return res.status(400).json({
+        success: false,
+        message: slotConflict,
+        canJoinWaitlist: slotConflict !== 'Tutor is not available at the requested time'
+      });
+    }
+
+    let studentPackage;
+    let coupon;
+    let freeDemoMembership;
+    let pricing;
 
-    if (conflictingBooking) {
+    if (couponCode && paymentSource === 'package') {
       return res.status(400).json({
         success: false,
-        message: 'Time slot is already booked'
+        message: 'Coupons cannot be applied to package sessions'
       });
     }
 
-    // Calculate pricing
-    const baseAmount = tutorSubject.pricePerHour * (duration / 60);
-    const tax = baseAmount * 0.18; // 18% GST
-    const totalAmount = baseAmount + tax;
+    if (paymentSource === 'package') {
+      // Sessions drawn from a package are priced at the package's discounted rate
+      studentPackage = await StudentPackage.findOne({ _id: studentPackageId, student: student._id });
+      const unusableReason = getPackageUnusableReason(studentPackage, tutor._id, subject, duration);
+      if (unusableReason) {
+        return res.status(400).json({
+          success: false,
+          message: unusableReason
+        });
+      }
+
+      pricing = getPackagePricing(studentPackage, duration);
+    } else {
+      const quote = await priceSession(student._id, tutor, tutorSubject, { sessionType, subject, className, duration, couponCode });
+      if (quote.error) {
+        return res.status(400).json({
+          success: false,
+          message: quote.error
+        });
+      }
+
+      ({ pricing, coupon, freeDemoMembership } = quote);
+    }
+
+    const { baseAmount, tax, totalAmount, listAmount, discount, membershipDiscount } = pricing;
+
+    // Demos covered by the membership are paid for by it, whatever source was asked for
+    const payWith = freeDemoMembership ? 'membership' : paymentSource;
 
     // Create booking
     const booking = new Booking({
@@ -144,20 +508,107 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
       scheduledDate: sessionDate,
       startTime,
       endTime,
+      timezone: tutorTimezone,
+      startsAt,
+      endsAt,
       duration,
       mode,
       location,
       topics: topics || [],
       pricing: {
+        listAmount,
+        discount,
+        membershipDiscount,
+        couponCode: coupon && coupon.code,
         baseAmount,
         tax,
         totalAmount
       }
     });
 
-    await booking.save();
+    // The coupon's global limit is claimed first, so only bookings that get it are charged
+    if (coupon && !await redeemCoupon(coupon, student._id, booking, discount - (membershipDiscount || 0))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon usage limit has been reached'
+      });
+    }
+
+    // Take payment from the wallet, package or membership before saving, so a failed charge leaves no booking behind
+    let prepaidTransactionId;
+
+    if (payWith === 'membership') {
+      if (!await claimFreeDemo(freeDemoMembership)) {
+        return res.status(409).json({
+          success: false,
+          message: 'No free demo sessions left on your membership'
+        });
+      }
+      prepaidTransactionId = freeDemoMembership._id.toString();
+    }
+
+    if (payWith === 'wallet') {
+      const walletTransaction = await debitWallet(student._id, totalAmount, 'booking_payment', {
+        reference: `booking_payment:${booking._id}`,
+        booking: booking._id,
+        description: `${subject} session with ${tutor.user.firstName}`
+      });
+      if (!walletTransaction) {
+        await releaseCoupon(booking._id);
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient wallet balance'
+        });
+      }
+      prepaidTransactionId = walletTransaction._id.toString();
+    }
+
+    if (payWith === 'package') {
+      if (!await drawPackageMinutes(studentPackage, booking, duration)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Package no longer has enough hours left'
+        });
+      }
+      prepaidTransactionId = studentPackage._id.toString();
+    }
+
+    try {
+      await booking.save();
+    } catch (saveError) {
+      if (payWith === 'wallet') {
+        await creditWallet(student._id, totalAmount, 'reversal', {
+          reference: `booking_payment_reversal:${booking._id}`,
+          booking: booking._id,
+          description: 'Booking could not be created'
+        });
+      }
+      if (payWith === 'package') {
+        await returnPackageMinutes(prepaidTransactionId, booking._id, duration);
+      }
+      if (payWith === 'membership') {
+        await returnFreeDemo(prepaidTransactionId);
+      }
+      await releaseCoupon(booking._id);
+      throw saveError;
+    }
+
+    // Prepaid bookings are confirmed straight away, crediting the tutor
+    if (prepaidTransactionId) {
+      await markBookingPaid(booking, {
+        method: payWith,
+        transactionId: prepaidTransactionId,
+        paymentId: prepaidTransactionId,
+        amount: totalAmount,
+        currency: 'INR'
+      });
+    }
+
+    // Send confirmation emails and SMS, each in the recipient's timezone
+    const studentSession = formatSession(booking, req.user.timezone || DEFAULT_TIMEZONE);
+    const tutorSession = formatSession(booking, tutorTimezone);
+    const studentUser = await getStudentUser(student, req.user);
 
-    // Send confirmation emails and SMS
     try {
       // Email to student
       await sendEmail({
@@ -167,18 +618,19 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
           studentName: req.user.firstName,
           tutorName: tutor.user.firstName + ' ' + tutor.user.lastName,
           subject,
-          date: sessionDate.toDateString(),
-          time: `${startTime} - ${endTime}`,
+          date: studentSession.date,
+          time: studentSession.time,
           duration,
           amount: totalAmount,
           bookingId: booking._id,
           dashboardLink: `${process.env.CLIENT_URL}/student/my-bookings`
-        }
+        },
+        attachments: [createCalendarAttachment(booking)]
       });
 
       // SMS to student
       await sendSMS(req.user.phone, 
-        `Booking confirmed! Session with ${tutor.user.firstName} on ${sessionDate.toDateString()} at ${startTime}. Booking ID: ${booking._id}`
+        `Booking confirmed! Session with ${tutor.user.firstName} on ${studentSession.date} at ${studentSession.startTime}. Booking ID: ${booking._id}`
       );
 
       // Notification to tutor
@@ -188,12 +640,13 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
         template: 'newBookingNotification',
         data: {
           tutorName: tutor.user.firstName,
-          studentName: req.user.firstName + ' ' + req.user.lastName,
+          studentName: studentUser.firstName + ' ' + studentUser.lastName,
           subject,
-          date: sessionDate.toDateString(),
-          time: `${startTime} - ${endTime}`,
+          date: tutorSession.date,
+          time: tutorSession.time,
           bookingId: booking._id
-        }
+        },
+        attachments: [createCalendarAttachment(booking)]
       });
 
     } catch (notificationError) {
@@ -221,6 +674,7 @@ router.post('/', authenticateToken, authorizeRoles('student'), [
 // @access  Private
 router.get('/', authenticateToken, [
   query('status').optional().isIn(['scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled']),
+  query('studentId').optional().isMongoId(),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], async (req, res) => {
@@ -252,6 +706,9 @@ router.get('/', authenticateToken, [
         });
       }
       query.student = student._id;
+    } else if (req.user.role === 'parent') {
+      // All linked children, or the one named by studentId
+      query.student = { $in: getActingStudentIds(req) };
     } else if (req.user.role === 'tutor') {
       const tutor = await Tutor.findOne({ user: req.user._id });
       if (!tutor) {
@@ -302,70 +759,1299 @@ router.get('/', authenticateToken, [
   }
 });
 
-// @desc    Get single booking
-// @route   GET /api/bookings/:id
-// @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+// @desc    Create a recurring booking series
+// @route   POST /api/bookings/series
+// @access  Private (Student/Parent)
+router.post('/series', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('tutorId').isMongoId().withMessage('Invalid tutor ID'),
+  body('sessionType').isIn(['regular', 'assessment']).withMessage('Invalid session type'),
+  body('subject').notEmpty().withMessage('Subject is required'),
+  body('class').isIn(['LKG', 'UKG', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']).withMessage('Invalid class'),
+  body('board').isIn(['CBSE', 'ICSE', 'State Board', 'IB', 'IGCSE', 'NIOS']).withMessage('Invalid board'),
+  body('recurrence.daysOfWeek').isArray({ min: 1 }).withMessage('At least one day of the week is required'),
+  body('recurrence.daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of the week must be 0 (Sunday) to 6 (Saturday)'),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 4 }).withMessage('Interval must be between 1-4 weeks'),
+  body('startDate').isISO8601().withMessage('Invalid start date format'),
+  body('endDate').isISO8601().withMessage('Invalid end date format'),
+  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
+  body('duration').isInt({ min: 30, max: 180 }).withMessage('Duration must be between 30-180 minutes'),
+  body('mode').isIn(['online', 'offline']).withMessage('Invalid mode'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
+], async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id)
-      .populate('student', 'user currentClass board parentInfo')
-      .populate('student.user', 'firstName lastName avatar phone email')
-      .populate('tutor', 'user subjects rating qualifications')
-      .populate('tutor.user', 'firstName lastName avatar phone email');
-
-    if (!booking) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Booking not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if user has access to this booking
-    const hasAccess = 
-      (req.user.role === 'student' && booking.student.user._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'tutor' && booking.tutor.user._id.toString() === req.user._id.toString()) ||
-      ['admin', 'employee'].includes(req.user.role);
+    const {
+      tutorId,
+      sessionType,
+      subject,
+      class: className,
+      board,
+      recurrence,
+      startDate,
+      endDate,
+      startTime,
+      duration,
+      mode,
+      location,
+      topics,
+      timezone = req.user.timezone || DEFAULT_TIMEZONE
+    } = req.body;
 
-    if (!hasAccess) {
-      return res.status(403).json({
+    const seriesStart = new Date(startDate);
+    const seriesEnd = new Date(endDate);
+
+    if (seriesEnd <= seriesStart) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: 'End date must be after start date'
       });
     }
 
-    res.json({
-      success: true,
-      data: { booking }
-    });
-
-  } catch (error) {
-    console.error('Get booking error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch booking'
-    });
-  }
-});
-
-// @desc    Update booking status
-// @route   PUT /api/bookings/:id/status
-// @access  Private
-router.put('/:id/status', authenticateToken, [
-  body('status').isIn(['confirmed', 'in_progress', 'completed', 'cancelled', 'no_show']).withMessage('Invalid status'),
-  body('reason').optional().isString().withMessage('Reason must be a string')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    if (seriesEnd - seriesStart > MAX_SERIES_WEEKS * 7 * 24 * 60 * 60 * 1000) {
       return res.status(400).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: `A booking series cannot span more than ${MAX_SERIES_WEEKS} weeks`
       });
     }
 
-    const { status, reason } = req.body;
-
+    const sessionDates = expandRecurrence(recurrence, seriesStart, seriesEnd);
+    if (sessionDates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence rule does not produce any sessions in the given date range'
+      });
+    }
+
+    // Get student profile
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    // Get tutor profile
+    const tutor = await Tutor.findById(tutorId).populate('user');
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    if (!tutor.isAvailableForBooking) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tutor is not available for booking'
+      });
+    }
+
+    // Check if tutor teaches the requested subject and class
+    const tutorSubject = tutor.subjects.find(s => 
+      s.name.toLowerCase() === subject.toLowerCase() && 
+      s.classes.includes(className) &&
+      s.boards.includes(board)
+    );
+
+    if (!tutorSubject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tutor does not teach this subject for the specified class and board'
+      });
+    }
+
+    if (endsAfterMidnight(startTime, duration)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessions must end by midnight'
+      });
+    }
+
+    const endTime = addMinutes(startTime, duration);
+    const tutorTimezone = await getTutorTimezone(tutor);
+
+    // The recurrence is kept in the requester's timezone and each occurrence in the tutor's
+    const series = new BookingSeries({
+      student: student._id,
+      tutor: tutorId,
+      sessionType,
+      subject,
+      class: className,
+      board,
+      startTime,
+      endTime,
+      timezone,
+      tutorTimezone,
+      duration,
+      mode,
+      location,
+      topics: topics || [],
+      recurrence: {
+        frequency: 'weekly',
+        interval: recurrence.interval || 1,
+        daysOfWeek: recurrence.daysOfWeek
+      },
+      startDate: seriesStart,
+      endDate: seriesEnd,
+      pricing: calculatePricing(tutorSubject.pricePerHour, duration),
+      occurrences: sessionDates.map(date => buildSeriesOccurrence(date, startTime, endTime, timezone, tutorTimezone))
+    });
+
+    // Book each occurrence, collecting the dates that clash
+    const conflicts = [];
+    const bookedSessions = [];
+    for (const occurrence of series.occurrences) {
+      const booking = occurrence.status === 'conflict' ? null : await bookSeriesOccurrence(series, tutor, occurrence);
+      if (booking) {
+        bookedSessions.push(booking);
+      } else {
+        conflicts.push({ date: occurrence.date, reason: occurrence.conflictReason });
+      }
+    }
+
+    const bookedCount = series.occurrences.length - conflicts.length;
+    if (bookedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the requested sessions could be booked',
+        data: { conflicts }
+      });
+    }
+
+    await series.save();
+
+    // Send confirmation emails
+    try {
+      const studentUser = await getStudentUser(student, req.user);
+
+      await sendEmail({
+        to: req.user.email,
+        template: 'bookingSeriesConfirmation',
+        data: {
+          studentName: req.user.firstName,
+          tutorName: tutor.user.firstName + ' ' + tutor.user.lastName,
+          subject,
+          schedule: formatSeriesSchedule(series),
+          bookedCount,
+          conflictCount: conflicts.length,
+          amountPerSession: series.pricing.totalAmount,
+          seriesId: series._id,
+          dashboardLink: `${process.env.CLIENT_URL}/student/my-bookings`
+        },
+        attachments: [createCalendarAttachment(bookedSessions)]
+      });
+
+      await sendEmail({
+        to: tutor.user.email,
+        subject: 'New Recurring Booking - Ed Share',
+        html: `<p>Hi ${tutor.user.firstName},</p><p>${studentUser.firstName} ${studentUser.lastName} has booked ${bookedCount} ${subject} sessions with you (${formatSeriesSchedule(series)}).</p>`,
+        attachments: [createCalendarAttachment(bookedSessions)]
+      });
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+      // Don't fail the booking if notifications fail
+    }
+
+    res.status(201).json({
+      success: true,
+      message: conflicts.length
+        ? `Booking series created. ${conflicts.length} of ${series.occurrences.length} sessions could not be booked.`
+        : 'Booking series created successfully',
+      data: {
+        series,
+        bookedCount,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Create booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking series'
+    });
+  }
+});
+
+// @desc    Get booking series
+// @route   GET /api/bookings/series
+// @access  Private (Student/Parent)
+router.get('/series', authenticateToken, authorizeRoles('student', 'parent'), async (req, res) => {
+  try {
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const series = await BookingSeries.find({ student: student._id })
+      .populate('tutor', 'user subjects rating')
+      .populate('tutor.user', 'firstName lastName avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking series'
+    });
+  }
+});
+
+// @desc    Get single booking series
+// @route   GET /api/bookings/series/:id
+// @access  Private
+router.get('/series/:id', authenticateToken, async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.id)
+      .populate('student', 'user currentClass board')
+      .populate('tutor', 'user subjects rating')
+      .populate('occurrences.booking', 'status scheduledDate startTime endTime payment');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    const hasAccess = canManageSeries(series, req.user) ||
+      (req.user.role === 'tutor' && series.tutor.user.toString() === req.user._id.toString());
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking series'
+    });
+  }
+});
+
+// @desc    Cancel a booking series or one occurrence
+// @route   PUT /api/bookings/series/:id/cancel
+// @access  Private (Student/Admin/Employee)
+router.put('/series/:id/cancel', authenticateToken, [
+  body('reason').notEmpty().withMessage('Cancellation reason is required'),
+  body('occurrenceId').optional().isMongoId().withMessage('Invalid occurrence ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason, occurrenceId } = req.body;
+
+    const series = await BookingSeries.findById(req.params.id).populate('student', 'user');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    if (!canManageSeries(series, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to cancel this booking series'
+      });
+    }
+
+    const targets = getSeriesTargets(series, occurrenceId, ['booked', 'paused', 'conflict']);
+    if (!targets) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    // Cancel each targeted occurrence, keeping the ones that are too close to start
+    const notCancelled = [];
+    const cancelledSessions = [];
+    for (const occurrence of targets) {
+      if (occurrence.status === 'booked' && occurrence.booking) {
+        const booking = await Booking.findById(occurrence.booking);
+        if (booking && booking.status !== 'cancelled') {
+          const terms = await getCancellationTerms(booking, getCancellingRole(req.user));
+          if (!terms.allowed) {
+            notCancelled.push({
+              occurrenceId: occurrence._id,
+              date: occurrence.date,
+              reason: terms.reason
+            });
+            continue;
+          }
+          await cancelBooking(booking, reason, getCancellingRole(req.user), terms, { notify: false });
+          cancelledSessions.push(booking);
+        }
+      }
+      occurrence.status = 'cancelled';
+    }
+
+    if (!occurrenceId) {
+      series.status = 'cancelled';
+      series.cancellation = {
+        reason,
+        cancelledBy: getCancellingRole(req.user),
+        cancelledAt: Date.now()
+      };
+    }
+
+    await series.save();
+
+    try {
+      await sendCalendarUpdate(cancelledSessions, 'CANCEL');
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: occurrenceId ? 'Session cancelled successfully' : 'Booking series cancelled successfully',
+      data: {
+        series,
+        notCancelled
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking series'
+    });
+  }
+});
+
+// @desc    Pause a booking series or one occurrence
+// @route   PUT /api/bookings/series/:id/pause
+// @access  Private (Student/Admin/Employee)
+router.put('/series/:id/pause', authenticateToken, [
+  body('occurrenceId').optional().isMongoId().withMessage('Invalid occurrence ID'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { occurrenceId, reason = 'Booking series paused' } = req.body;
+
+    const series = await BookingSeries.findById(req.params.id).populate('student', 'user');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    if (!canManageSeries(series, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to pause this booking series'
+      });
+    }
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Booking series is ${series.status}`
+      });
+    }
+
+    const targets = getSeriesTargets(series, occurrenceId, ['booked']);
+    if (!targets) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    // Release the booked slots of paused occurrences
+    const notPaused = [];
+    const pausedSessions = [];
+    for (const occurrence of targets) {
+      const booking = occurrence.booking && await Booking.findById(occurrence.booking);
+      if (booking && booking.status !== 'cancelled') {
+        const terms = await getCancellationTerms(booking, getCancellingRole(req.user));
+        if (!terms.allowed) {
+          notPaused.push({
+            occurrenceId: occurrence._id,
+            date: occurrence.date,
+            reason: terms.reason
+          });
+          continue;
+        }
+        await cancelBooking(booking, reason, getCancellingRole(req.user), terms, { notify: false });
+        pausedSessions.push(booking);
+      }
+      occurrence.status = 'paused';
+      occurrence.booking = undefined;
+    }
+
+    if (!occurrenceId) {
+      series.status = 'paused';
+      series.pausedAt = Date.now();
+    }
+
+    await series.save();
+
+    try {
+      await sendCalendarUpdate(pausedSessions, 'CANCEL');
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: occurrenceId ? 'Session paused successfully' : 'Booking series paused successfully',
+      data: {
+        series,
+        notPaused
+      }
+    });
+
+  } catch (error) {
+    console.error('Pause booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause booking series'
+    });
+  }
+});
+
+// @desc    Resume a paused booking series or one occurrence
+// @route   PUT /api/bookings/series/:id/resume
+// @access  Private (Student/Admin/Employee)
+router.put('/series/:id/resume', authenticateToken, [
+  body('occurrenceId').optional().isMongoId().withMessage('Invalid occurrence ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { occurrenceId } = req.body;
+
+    const series = await BookingSeries.findById(req.params.id).populate('student', 'user');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    if (!canManageSeries(series, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to resume this booking series'
+      });
+    }
+
+    if (['cancelled', 'completed'].includes(series.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Booking series is ${series.status}`
+      });
+    }
+
+    const targets = getSeriesTargets(series, occurrenceId, ['paused']);
+    if (!targets) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    const tutor = await Tutor.findById(series.tutor);
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    // Re-book the paused occurrences, collecting the dates that now clash
+    const conflicts = [];
+    for (const occurrence of targets) {
+      const booking = await bookSeriesOccurrence(series, tutor, occurrence);
+      if (!booking) {
+        conflicts.push({ occurrenceId: occurrence._id, date: occurrence.date, reason: occurrence.conflictReason });
+      }
+    }
+
+    if (!occurrenceId) {
+      series.status = 'active';
+      series.pausedAt = undefined;
+    }
+
+    await series.save();
+
+    res.json({
+      success: true,
+      message: occurrenceId ? 'Session resumed successfully' : 'Booking series resumed successfully',
+      data: {
+        series,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume booking series'
+    });
+  }
+});
+
+// @desc    Reschedule a booking series or one occurrence
+// @route   PUT /api/bookings/series/:id/reschedule
+// @access  Private (Student/Admin/Employee)
+router.put('/series/:id/reschedule', authenticateToken, [
+  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
+  body('occurrenceId').optional().isMongoId().withMessage('Invalid occurrence ID'),
+  body('scheduledDate').optional().isISO8601().withMessage('Invalid date format'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startTime, occurrenceId, scheduledDate, timezone = req.user.timezone || DEFAULT_TIMEZONE } = req.body;
+
+    if (scheduledDate && !occurrenceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new date can only be given when rescheduling a single occurrence'
+      });
+    }
+
+    const series = await BookingSeries.findById(req.params.id).populate('student', 'user');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    if (!canManageSeries(series, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to reschedule this booking series'
+      });
+    }
+
+    const targets = getSeriesTargets(series, occurrenceId, ['booked', 'paused']);
+    if (!targets) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    const tutor = await Tutor.findById(series.tutor);
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    if (endsAfterMidnight(startTime, series.duration)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessions must end by midnight'
+      });
+    }
+
+    const endTime = addMinutes(startTime, series.duration);
+    const tutorTimezone = getOccurrenceTimezone(series);
+
+    // Move each occurrence, keeping the old time where the new slot clashes
+    const conflicts = [];
+    const movedSessions = [];
+    for (const occurrence of targets) {
+      // The new time is on the given date, or the occurrence's own day, in the requester's timezone
+      const localDate = scheduledDate
+        ? new Date(scheduledDate)
+        : utcToZonedTime(zonedTimeToUtc(occurrence.date, occurrence.startTime, tutorTimezone), timezone).date;
+      const session = convertSession(localDate, startTime, endTime, timezone, tutorTimezone);
+      if (!session) {
+        conflicts.push({ occurrenceId: occurrence._id, date: localDate, reason: SPANS_TUTOR_DAYS_MESSAGE });
+        continue;
+      }
+
+      if (occurrence.status === 'booked') {
+        const slotConflict = await getSlotConflict(tutor, session.scheduledDate, session.startTime, session.endTime, { excludeBookingId: occurrence.booking });
+        if (slotConflict) {
+          conflicts.push({ occurrenceId: occurrence._id, date: session.scheduledDate, reason: slotConflict });
+          continue;
+        }
+
+        const movedBooking = await Booking.findByIdAndUpdate(occurrence.booking, {
+          scheduledDate: session.scheduledDate,
+          startTime: session.startTime,
+          endTime: session.endTime,
+          startsAt: session.startsAt,
+          endsAt: session.endsAt,
+          $inc: { calendarSequence: 1 }
+        }, { new: true });
+        movedSessions.push(movedBooking);
+
+        await releaseSlot(series.tutor, occurrence.date, occurrence.startTime, occurrence.endTime);
+      }
+
+      occurrence.date = session.scheduledDate;
+      occurrence.startTime = session.startTime;
+      occurrence.endTime = session.endTime;
+    }
+
+    if (occurrenceId && conflicts.length) {
+      return res.status(400).json({
+        success: false,
+        message: conflicts[0].reason
+      });
+    }
+
+    if (!occurrenceId) {
+      series.startTime = startTime;
+      series.endTime = endTime;
+      series.timezone = timezone;
+      series.tutorTimezone = tutorTimezone;
+    }
+
+    await series.save();
+
+    try {
+      await sendCalendarUpdate(movedSessions, 'REQUEST');
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: occurrenceId ? 'Session rescheduled successfully' : 'Booking series rescheduled successfully',
+      data: {
+        series,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Reschedule booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking series'
+    });
+  }
+});
+
+// @desc    Join the waitlist for a booked time slot
+// @route   POST /api/bookings/waitlist
+// @access  Private (Student/Parent)
+router.post('/waitlist', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('tutorId').isMongoId().withMessage('Invalid tutor ID'),
+  body('sessionType').isIn(['demo', 'regular', 'assessment']).withMessage('Invalid session type'),
+  body('subject').notEmpty().withMessage('Subject is required'),
+  body('class').isIn(['LKG', 'UKG', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']).withMessage('Invalid class'),
+  body('board').isIn(['CBSE', 'ICSE', 'State Board', 'IB', 'IGCSE', 'NIOS']).withMessage('Invalid board'),
+  body('scheduledDate').isISO8601().withMessage('Invalid date format'),
+  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
+  body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid end time format'),
+  body('duration').isInt({ min: 30, max: 180 }).withMessage('Duration must be between 30-180 minutes'),
+  body('mode').isIn(['online', 'offline']).withMessage('Invalid mode')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      tutorId,
+      sessionType,
+      subject,
+      class: className,
+      board,
+      scheduledDate,
+      startTime,
+      endTime,
+      duration,
+      mode,
+      location,
+      topics
+    } = req.body;
+
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const tutor = await Tutor.findById(tutorId);
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    // Only slots taken by another booking or hold can be waitlisted
+    const sessionDate = new Date(scheduledDate);
+    const slotConflict = await getSlotConflict(tutor, sessionDate, startTime, endTime);
+
+    if (!slotConflict) {
+      return res.status(400).json({
+        success: false,
+        message: 'Time slot is available. Please book it directly.'
+      });
+    }
+
+    if (slotConflict === 'Tutor is not available at the requested time') {
+      return res.status(400).json({
+        success: false,
+        message: slotConflict
+      });
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      student: student._id,
+      tutor: tutorId,
+      scheduledDate: sessionDate,
+      startTime,
+      status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (existingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this slot'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      student: student._id,
+      tutor: tutorId,
+      sessionType,
+      subject,
+      class: className,
+      board,
+      scheduledDate: sessionDate,
+      startTime,
+      endTime,
+      duration,
+      mode,
+      location,
+      topics: topics || []
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      tutor: tutorId,
+      scheduledDate: sessionDate,
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime },
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will notify you if the slot frees up.',
+      data: {
+        entry,
+        position
+      }
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist'
+    });
+  }
+});
+
+// @desc    Get student's waitlist entries
+// @route   GET /api/bookings/waitlist
+// @access  Private (Student/Parent)
+router.get('/waitlist', authenticateToken, authorizeRoles('student', 'parent'), async (req, res) => {
+  try {
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const entries = await WaitlistEntry.find({
+      student: student._id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+      .populate('tutor', 'user subjects rating')
+      .populate('tutor.user', 'firstName lastName avatar')
+      .sort({ scheduledDate: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist'
+    });
+  }
+});
+
+// @desc    Book a slot being held for a waitlist entry, priced like a direct booking
+// @route   POST /api/bookings/waitlist/:id/claim
+// @access  Private (Student/Parent)
+router.post('/waitlist/:id/claim', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('couponCode').optional().trim().notEmpty().withMessage('Invalid coupon code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    // Parents act on their children's entries
+    const student = entry && isLinkedParent(req.user, entry.student)
+      ? await Student.findById(entry.student)
+      : await Student.findOne({ user: req.user._id });
+
+    if (!student || !entry || entry.student.toString() !== student._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'This slot has not been offered to you'
+      });
+    }
+
+    if (!entry.isHoldActive()) {
+      await expireWaitlistOffer(entry);
+      return res.status(400).json({
+        success: false,
+        message: 'Your hold on this slot has expired'
+      });
+    }
+
+    const tutor = await Tutor.findById(entry.tutor).populate('user');
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    const tutorSubject = tutor.subjects.find(s => 
+      s.name.toLowerCase() === entry.subject.toLowerCase() && 
+      s.classes.includes(entry.class) &&
+      s.boards.includes(entry.board)
+    );
+
+    if (!tutorSubject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tutor does not teach this subject for the specified class and board'
+      });
+    }
+
+    const slotConflict = await getSlotConflict(tutor, entry.scheduledDate, entry.startTime, entry.endTime, {
+      waitlistEntryId: entry._id
+    });
+
+    if (slotConflict) {
+      return res.status(400).json({
+        success: false,
+        message: slotConflict
+      });
+    }
+
+    const quote = await priceSession(student._id, tutor, tutorSubject, {
+      sessionType: entry.sessionType,
+      subject: entry.subject,
+      className: entry.class,
+      duration: entry.duration,
+      couponCode: req.body.couponCode
+    });
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
+    const { pricing, coupon, freeDemoMembership } = quote;
+    const { baseAmount, tax, totalAmount, listAmount, discount, membershipDiscount } = pricing;
+    const tutorTimezone = await getTutorTimezone(tutor);
+
+    const booking = new Booking({
+      student: student._id,
+      tutor: tutor._id,
+      sessionType: entry.sessionType,
+      subject: entry.subject,
+      class: entry.class,
+      board: entry.board,
+      scheduledDate: entry.scheduledDate,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      timezone: tutorTimezone,
+      ...getSessionInstants(entry.scheduledDate, entry.startTime, entry.endTime, tutorTimezone),
+      duration: entry.duration,
+      mode: entry.mode,
+      location: entry.location,
+      topics: entry.topics,
+      pricing: {
+        listAmount,
+        discount,
+        membershipDiscount,
+        couponCode: coupon && coupon.code,
+        baseAmount,
+        tax,
+        totalAmount
+      }
+    });
+
+    if (coupon && !await redeemCoupon(coupon, student._id, booking, discount - (membershipDiscount || 0))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon usage limit has been reached'
+      });
+    }
+
+    // Demos covered by the membership are paid for by it; anything else is paid at the gateway
+    if (freeDemoMembership && !await claimFreeDemo(freeDemoMembership)) {
+      return res.status(409).json({
+        success: false,
+        message: 'No free demo sessions left on your membership'
+      });
+    }
+
+    try {
+      await booking.save();
+    } catch (saveError) {
+      if (freeDemoMembership) {
+        await returnFreeDemo(freeDemoMembership._id.toString());
+      }
+      await releaseCoupon(booking._id);
+      throw saveError;
+    }
+
+    if (freeDemoMembership) {
+      await markBookingPaid(booking, {
+        method: 'membership',
+        transactionId: freeDemoMembership._id.toString(),
+        paymentId: freeDemoMembership._id.toString(),
+        amount: totalAmount,
+        currency: 'INR'
+      });
+    }
+
+    entry.status = 'booked';
+    entry.booking = booking._id;
+    await entry.save();
+
+    // Same confirmations as a direct booking, each in the recipient's timezone
+    const studentSession = formatSession(booking, req.user.timezone || DEFAULT_TIMEZONE);
+    const tutorSession = formatSession(booking, tutorTimezone);
+    const studentUser = await getStudentUser(student, req.user);
+
+    try {
+      await sendEmail({
+        to: req.user.email,
+        template: 'bookingConfirmation',
+        data: {
+          studentName: req.user.firstName,
+          tutorName: tutor.user.firstName + ' ' + tutor.user.lastName,
+          subject: entry.subject,
+          date: studentSession.date,
+          time: studentSession.time,
+          duration: entry.duration,
+          amount: totalAmount,
+          bookingId: booking._id,
+          dashboardLink: `${process.env.CLIENT_URL}/student/my-bookings`
+        },
+        attachments: [createCalendarAttachment(booking)]
+      });
+
+      await sendSMS(req.user.phone,
+        `Booking confirmed! Session with ${tutor.user.firstName} on ${studentSession.date} at ${studentSession.startTime}. Booking ID: ${booking._id}`
+      );
+
+      await sendEmail({
+        to: tutor.user.email,
+        subject: 'New Booking Request - Ed Share',
+        template: 'newBookingNotification',
+        data: {
+          tutorName: tutor.user.firstName,
+          studentName: studentUser.firstName + ' ' + studentUser.lastName,
+          subject: entry.subject,
+          date: tutorSession.date,
+          time: tutorSession.time,
+          bookingId: booking._id
+        },
+        attachments: [createCalendarAttachment(booking)]
+      });
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Waitlisted slot booked successfully',
+      data: { booking }
+    });
+
+  } catch (error) {
+    console.error('Claim waitlist slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book waitlisted slot'
+    });
+  }
+});
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/bookings/waitlist/:id
+// @access  Private (Student/Parent)
+router.delete('/waitlist/:id', authenticateToken, authorizeRoles('student', 'parent'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    // Parents act on their children's entries
+    const student = entry && isLinkedParent(req.user, entry.student)
+      ? await Student.findById(entry.student)
+      : await Student.findOne({ user: req.user._id });
+
+    if (!student || !entry || entry.student.toString() !== student._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'cancelled';
+    await entry.save();
+
+    // Pass a held slot on to the next student in line
+    if (wasOffered) {
+      await offerSlotToWaitlist(entry.tutor, entry.scheduledDate, entry.startTime, entry.endTime);
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist'
+    });
+  }
+});
+
+// @desc    iCalendar feed of a user's upcoming sessions
+// @route   GET /api/bookings/calendar/:token.ics
+// @access  Public (secret feed token)
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token, status: 'active' }).select('role timezone');
+    if (!user || !['student', 'tutor'].includes(user.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const profile = user.role === 'student'
+      ? await Student.findOne({ user: user._id })
+      : await Tutor.findOne({ user: user._id });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const bookings = await Booking.findUpcomingSessions(profile._id, user.role, CALENDAR_FEED_DAYS);
+
+    // Tutors see each group session once rather than one event per seat
+    const events = bookings
+      .filter(booking => user.role === 'student' || booking.sessionType !== 'group')
+      .map(booking => bookingToEvent(booking));
+
+    if (user.role === 'tutor') {
+      const timezone = user.timezone || DEFAULT_TIMEZONE;
+      const groupSessions = await GroupSession.find({
+        tutor: profile._id,
+        scheduledDate: { $gte: startOfToday(), $lte: new Date(Date.now() + CALENDAR_FEED_DAYS * 24 * 60 * 60 * 1000) },
+        status: { $in: ['open', 'full', 'in_progress'] }
+      });
+
+      groupSessions.forEach(groupSession => {
+        const instants = getSessionInstants(groupSession.scheduledDate, groupSession.startTime, groupSession.endTime, timezone);
+        events.push(groupSessionToEvent(groupSession, instants));
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(events, { name: 'Ed Share Sessions' }));
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed'
+    });
+  }
+});
+
+// @desc    Get single booking
+// @route   GET /api/bookings/:id
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('student', 'user currentClass board parentInfo')
+      .populate('student.user', 'firstName lastName avatar phone email')
+      .populate('tutor', 'user subjects rating qualifications')
+      .populate('tutor.user', 'firstName lastName avatar phone email');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check if user has access to this booking
+    const hasAccess = 
+      (req.user.role === 'student' && booking.student.user._id.toString() === req.user._id.toString()) ||
+      isLinkedParent(req.user, booking.student) ||
+      (req.user.role === 'tutor' && booking.tutor.user._id.toString() === req.user._id.toString()) ||
+      ['admin', 'employee'].includes(req.user.role);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { booking }
+    });
+
+  } catch (error) {
+    console.error('Get booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking'
+    });
+  }
+});
+
+// @desc    Update booking status
+// @route   PUT /api/bookings/:id/status
+// @access  Private
+router.put('/:id/status', authenticateToken, [
+  body('status').isIn(['confirmed', 'in_progress', 'completed', 'cancelled', 'no_show']).withMessage('Invalid status'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, reason } = req.body;
+
     const booking = await Booking.findById(req.params.id)
       .populate('student.user', 'firstName lastName email phone')
       .populate('tutor.user', 'firstName lastName email phone');
@@ -377,41 +2063,421 @@ router.put('/:id/status', authenticateToken, [
       });
     }
 
-    // Check permissions
-    const canUpdate = 
-      (req.user.role === 'tutor' && booking.tutor.user._id.toString() === req.user._id.toString()) ||
-      ['admin', 'employee'].includes(req.user.role);
-
-    if (!canUpdate) {
+    // Check permissions
+    const canUpdate = 
+      (req.user.role === 'tutor' && booking.tutor.user._id.toString() === req.user._id.toString()) ||
+      ['admin', 'employee'].includes(req.user.role);
+
+    if (!canUpdate) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this booking'
+      });
+    }
+
+    // Update booking status
+    if (status === 'completed') {
+      await completeSession(booking, reason);
+    } else {
+      await booking.updateStatus(status, reason);
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking status updated successfully',
+      data: { booking }
+    });
+
+  } catch (error) {
+    console.error('Update booking status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update booking status'
+    });
+  }
+});
+
+// Check if the user is a party to the booking, a parent of its student, or is staff
+const canCancelBooking = (booking, user) =>
+  (user.role === 'student' && booking.student.user._id.toString() === user._id.toString()) ||
+  isLinkedParent(user, booking.student) ||
+  (user.role === 'tutor' && booking.tutor.user._id.toString() === user._id.toString()) ||
+  ['admin', 'employee'].includes(user.role);
+
+// @desc    Preview the refund and penalty that cancelling now would apply
+// @route   GET /api/bookings/:id/cancellation-terms
+// @access  Private
+router.get('/:id/cancellation-terms', authenticateToken, async (req, res) => {
+  try {
+    const booking = await findBookingWithParties(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!canCancelBooking(booking, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to cancel this booking'
+      });
+    }
+
+    if (['cancelled', 'completed', 'no_show'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Booking is already ${booking.status}`
+      });
+    }
+
+    const terms = await getCancellationTerms(booking, getCancellingRole(req.user));
+
+    res.json({
+      success: true,
+      data: { terms }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cancellation terms'
+    });
+  }
+});
+
+// @desc    Cancel booking
+// @route   PUT /api/bookings/:id/cancel
+// @access  Private
+router.put('/:id/cancel', authenticateToken, [
+  body('reason').notEmpty().withMessage('Cancellation reason is required'),
+  body('expectedRefundAmount').optional().isFloat({ min: 0 }).withMessage('Expected refund amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason, expectedRefundAmount } = req.body;
+
+    const booking = await findBookingWithParties(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check if user can cancel this booking
+    if (!canCancelBooking(booking, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to cancel this booking'
+      });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is already cancelled'
+      });
+    }
+
+    // Check if booking can be cancelled under the applicable policy
+    const terms = await getCancellationTerms(booking, getCancellingRole(req.user));
+    if (!terms.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `Booking cannot be cancelled. ${terms.reason}.`,
+        data: { terms }
+      });
+    }
+
+    // The terms the user confirmed no longer apply, e.g. a notice period has passed since the preview
+    if (expectedRefundAmount !== undefined && Number(expectedRefundAmount) !== terms.refundAmount) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cancellation terms have changed. Please review them and confirm again.',
+        data: { terms }
+      });
+    }
+
+    // Cancel booking
+    await cancelBooking(booking, reason, getCancellingRole(req.user), terms);
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: { 
+        booking,
+        refundAmount: booking.cancellation.refundAmount,
+        terms
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking'
+    });
+  }
+});
+
+// Device coordinates sent with a check-in or check-out
+const positionValidation = [
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+];
+
+// Measure the device position for an offline session; tutors must share it so their attendance can be verified
+const getCheckInPosition = async (booking, party, latitude, longitude) => {
+  if (booking.mode !== 'offline') {
+    return {};
+  }
+
+  const hasCoordinates = latitude !== undefined && longitude !== undefined;
+  if (!hasCoordinates) {
+    return party === 'tutor' ? { error: 'Device coordinates are required for offline sessions' } : {};
+  }
+
+  const position = await checkGeofence(booking, parseFloat(latitude), parseFloat(longitude));
+  if (!position && party === 'tutor') {
+    return { error: 'Booking location has no coordinates to verify attendance against' };
+  }
+
+  return { position: position || undefined };
+};
+
+// @desc    Check in to a session
+// @route   POST /api/bookings/:id/check-in
+// @access  Private (Student/Tutor)
+router.post('/:id/check-in', authenticateToken, authorizeRoles('student', 'tutor'), positionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude } = req.body;
+
+    const booking = await findBookingWithParties(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const party = getBookingParty(booking, req.user);
+    if (!party) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to check in to this booking'
+      });
+    }
+
+    if (!['scheduled', 'confirmed', 'in_progress'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in to a ${booking.status} booking`
+      });
+    }
+
+    if (!isWithinCheckInWindow(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is only open shortly before and during the session'
+      });
+    }
+
+    const { position, error } = await getCheckInPosition(booking, party, latitude, longitude);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (party === 'tutor' && position && !position.withinGeofence) {
+      return res.status(400).json({
+        success: false,
+        message: `You must be within ${GEOFENCE_RADIUS_METERS}m of the session location to check in`,
+        data: { distanceMeters: position.distanceMeters }
+      });
+    }
+
+    const attendance = await recordAttendance(booking, party, 'check_in', 'manual', req.user._id, position);
+    await advanceBooking(booking);
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: {
+        status: booking.status,
+        attendance
+      }
+    });
+
+  } catch (error) {
+    console.error('Check in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in'
+    });
+  }
+});
+
+// @desc    Check out of a session
+// @route   POST /api/bookings/:id/check-out
+// @access  Private (Student/Tutor)
+router.post('/:id/check-out', authenticateToken, authorizeRoles('student', 'tutor'), positionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude } = req.body;
+
+    const booking = await findBookingWithParties(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const party = getBookingParty(booking, req.user);
+    if (!party) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to update this booking'
+        message: 'You do not have permission to check out of this booking'
       });
     }
 
-    // Update booking status
-    await booking.updateStatus(status, reason);
+    if (!['scheduled', 'confirmed', 'in_progress'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check out of a ${booking.status} booking`
+      });
+    }
+
+    if (!isWithinCheckOutWindow(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out is only open during and shortly after the session'
+      });
+    }
+
+    const existing = await SessionAttendance.findOne({ booking: booking._id });
+    if (!existing || !existing[`${party}CheckIn`]) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have not checked in to this session'
+      });
+    }
+
+    if (existing[`${party}CheckOut`]) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already checked out of this session'
+      });
+    }
+
+    // Check-outs outside the geofence are recorded with their distance rather than rejected
+    const { position, error } = await getCheckInPosition(booking, party, latitude, longitude);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const attendance = await recordAttendance(booking, party, 'check_out', 'manual', req.user._id, position);
 
     res.json({
       success: true,
-      message: 'Booking status updated successfully',
-      data: { booking }
+      message: 'Checked out successfully',
+      data: { attendance }
     });
 
   } catch (error) {
-    console.error('Update booking status error:', error);
+    console.error('Check out error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update booking status'
+      message: 'Failed to check out'
     });
   }
 });
 
-// @desc    Cancel booking
-// @route   PUT /api/bookings/:id/cancel
+// @desc    Get attendance record of a session
+// @route   GET /api/bookings/:id/attendance
 // @access  Private
-router.put('/:id/cancel', authenticateToken, [
-  body('reason').notEmpty().withMessage('Cancellation reason is required')
+router.get('/:id/attendance', authenticateToken, async (req, res) => {
+  try {
+    const booking = await findBookingWithParties(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!getBookingParty(booking, req.user) && !['admin', 'employee'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const attendance = await SessionAttendance.findOne({ booking: booking._id })
+      .populate('events.user', 'firstName lastName role');
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        mode: booking.mode,
+        scheduled: getBookingInstants(booking),
+        attendance
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance'
+    });
+  }
+});
+
+// @desc    Propose new time slots for a booking
+// @route   POST /api/bookings/:id/reschedule
+// @access  Private (Student/Tutor/Parent)
+router.post('/:id/reschedule', authenticateToken, authorizeRoles('student', 'tutor', 'parent'), [
+  body('slots').isArray({ min: 1, max: 3 }).withMessage('Propose between 1-3 slots'),
+  body('slots.*.scheduledDate').isISO8601().withMessage('Invalid date format'),
+  body('slots.*.startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
+  body('message').optional().isString().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -423,12 +2489,127 @@ router.put('/:id/cancel', authenticateToken, [
       });
     }
 
-    const { reason } = req.body;
+    const { slots, message, timezone = req.user.timezone || DEFAULT_TIMEZONE } = req.body;
 
-    const booking = await Booking.findById(req.params.id)
-      .populate('student.user', 'firstName lastName email phone')
-      .populate('tutor.user', 'firstName lastName email phone');
+    const booking = await findBookingWithParties(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const party = getBookingParty(booking, req.user);
+    if (!party) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to reschedule this booking'
+      });
+    }
+
+    if (!['scheduled', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${booking.status} booking cannot be rescheduled`
+      });
+    }
+
+    if (booking.sessionType === 'group') {
+      return res.status(400).json({
+        success: false,
+        message: 'Group session seats cannot be rescheduled'
+      });
+    }
+
+    const openRequest = await RescheduleRequest.findOne({ booking: booking._id, status: 'open' });
+    if (openRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reschedule proposal is already pending for this booking'
+      });
+    }
+
+    if (slots.some(slot => endsAfterMidnight(slot.startTime, booking.duration))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessions must end by midnight'
+      });
+    }
+
+    const proposedSlots = buildProposedSlots(slots, booking.duration, timezone, booking.timezone || DEFAULT_TIMEZONE);
+    if (!proposedSlots) {
+      return res.status(400).json({
+        success: false,
+        message: SPANS_TUTOR_DAYS_MESSAGE
+      });
+    }
+
+    if (proposedSlots.some(slot => slot.scheduledDate < startOfToday())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proposed dates must not be in the past'
+      });
+    }
+
+    const rescheduleRequest = await RescheduleRequest.create({
+      booking: booking._id,
+      originalSlot: {
+        scheduledDate: booking.scheduledDate,
+        startTime: booking.startTime,
+        endTime: booking.endTime
+      },
+      proposals: [{
+        proposedBy: party,
+        proposedByUser: req.user._id,
+        slots: proposedSlots,
+        message
+      }]
+    });
+
+    await notifyOtherParty(booking, party, 'Reschedule Request - Ed Share', (timezone) =>
+      `${req.user.firstName} has proposed new times for your ${booking.subject} session on ${formatSession(booking, timezone).date}. Please review it in your dashboard.`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule proposal sent successfully',
+      data: { rescheduleRequest }
+    });
+
+  } catch (error) {
+    console.error('Propose reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to propose reschedule'
+    });
+  }
+});
+
+// @desc    Accept, decline, counter or withdraw a reschedule proposal
+// @route   PUT /api/bookings/:id/reschedule/respond
+// @access  Private (Student/Tutor/Parent)
+router.put('/:id/reschedule/respond', authenticateToken, authorizeRoles('student', 'tutor', 'parent'), [
+  body('action').isIn(['accept', 'decline', 'counter', 'withdraw']).withMessage('Action must be accept, decline, counter or withdraw'),
+  body('slotId').if(body('action').equals('accept')).isMongoId().withMessage('Slot ID is required to accept a proposal'),
+  body('slots').if(body('action').equals('counter')).isArray({ min: 1, max: 3 }).withMessage('Propose between 1-3 slots'),
+  body('slots.*.scheduledDate').optional().isISO8601().withMessage('Invalid date format'),
+  body('slots.*.startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
+  body('message').optional().isString().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, slotId, slots, message, timezone = req.user.timezone || DEFAULT_TIMEZONE } = req.body;
 
+    const booking = await findBookingWithParties(req.params.id);
     if (!booking) {
       return res.status(404).json({
         success: false,
@@ -436,53 +2617,209 @@ router.put('/:id/cancel', authenticateToken, [
       });
     }
 
-    // Check if user can cancel this booking
-    const canCancel = 
-      (req.user.role === 'student' && booking.student.user._id.toString() === req.user._id.toString()) ||
-      (req.user.role === 'tutor' && booking.tutor.user._id.toString() === req.user._id.toString()) ||
-      ['admin', 'employee'].includes(req.user.role);
+    const party = getBookingParty(booking, req.user);
+    if (!party) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to reschedule this booking'
+      });
+    }
+
+    const rescheduleRequest = await RescheduleRequest.findOne({ booking: booking._id, status: 'open' });
+    if (!rescheduleRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending reschedule proposal for this booking'
+      });
+    }
+
+    const proposal = rescheduleRequest.currentProposal;
+    const isProposer = proposal.proposedBy === party;
 
-    if (!canCancel) {
+    if (action === 'withdraw' ? !isProposer : isProposer) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have permission to cancel this booking'
+        message: action === 'withdraw'
+          ? 'Only the proposer can withdraw a reschedule proposal'
+          : 'You cannot respond to your own reschedule proposal'
       });
     }
 
-    // Check if booking can be cancelled
-    if (!booking.canBeCancelled()) {
+    // The booking may have been cancelled or completed since the proposal was made
+    if (['accept', 'counter'].includes(action) && !['scheduled', 'confirmed'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Booking cannot be cancelled. Must be cancelled at least 2 hours before the session.'
+        message: `A ${booking.status} booking cannot be rescheduled`
       });
     }
 
-    // Cancel booking
-    booking.cancellation = {
-      reason,
-      cancelledBy: req.user.role,
-      cancelledAt: Date.now(),
-      refundEligible: true,
-      refundAmount: booking.calculateRefundAmount()
-    };
-    booking.status = 'cancelled';
+    let notification;
+
+    if (action === 'accept') {
+      const slot = proposal.slots.id(slotId);
+      if (!slot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Slot not found in the current proposal'
+        });
+      }
+
+      // Rerun the same availability and overlap checks as a new booking
+      const tutor = await Tutor.findById(booking.tutor._id);
+      const slotConflict = await getSlotConflict(tutor, slot.scheduledDate, slot.startTime, slot.endTime, { excludeBookingId: booking._id });
+      if (slotConflict) {
+        return res.status(400).json({
+          success: false,
+          message: slotConflict
+        });
+      }
+
+      const previousSlot = {
+        scheduledDate: booking.scheduledDate,
+        startTime: booking.startTime,
+        endTime: booking.endTime
+      };
 
-    await booking.save();
+      const { startsAt, endsAt } = getSessionInstants(slot.scheduledDate, slot.startTime, slot.endTime, booking.timezone);
+
+      booking.scheduledDate = slot.scheduledDate;
+      booking.startTime = slot.startTime;
+      booking.endTime = slot.endTime;
+      booking.startsAt = startsAt;
+      booking.endsAt = endsAt;
+      booking.calendarSequence = (booking.calendarSequence || 0) + 1;
+      await booking.save();
+
+      await releaseSlot(booking.tutor._id, previousSlot.scheduledDate, previousSlot.startTime, previousSlot.endTime);
+
+      // Keep the occurrence in sync if the booking belongs to a series
+      await BookingSeries.updateOne(
+        { 'occurrences.booking': booking._id },
+        {
+          $set: {
+            'occurrences.$.date': slot.scheduledDate,
+            'occurrences.$.startTime': slot.startTime,
+            'occurrences.$.endTime': slot.endTime
+          }
+        }
+      );
+
+      proposal.acceptedSlot = slot._id;
+      rescheduleRequest.resolve('accepted');
+      notification = (timezone) => {
+        const session = formatSession(booking, timezone);
+        return `Your ${booking.subject} session has been rescheduled to ${session.date} at ${session.startTime}.`;
+      };
+
+    } else if (action === 'counter') {
+      if (slots.some(slot => endsAfterMidnight(slot.startTime, booking.duration))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sessions must end by midnight'
+        });
+      }
+
+      const proposedSlots = buildProposedSlots(slots, booking.duration, timezone, booking.timezone || DEFAULT_TIMEZONE);
+      if (!proposedSlots) {
+        return res.status(400).json({
+          success: false,
+          message: SPANS_TUTOR_DAYS_MESSAGE
+        });
+      }
+
+      if (proposedSlots.some(slot => slot.scheduledDate < startOfToday())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Proposed dates must not be in the past'
+        });
+      }
+
+      proposal.status = 'countered';
+      proposal.respondedAt = Date.now();
+      rescheduleRequest.proposals.push({
+        proposedBy: party,
+        proposedByUser: req.user._id,
+        slots: proposedSlots,
+        message
+      });
+      notification = () => `${req.user.firstName} has suggested different times for your ${booking.subject} session. Please review them in your dashboard.`;
+
+    } else if (action === 'decline') {
+      rescheduleRequest.resolve('declined');
+      notification = (timezone) => {
+        const session = formatSession(booking, timezone);
+        return `${req.user.firstName} has declined the new times for your ${booking.subject} session. The session stays on ${session.date} at ${session.startTime}.`;
+      };
+
+    } else {
+      rescheduleRequest.resolve('withdrawn');
+      notification = () => `${req.user.firstName} has withdrawn the reschedule request for your ${booking.subject} session.`;
+    }
+
+    await rescheduleRequest.save();
+
+    await notifyOtherParty(booking, party, 'Reschedule Update - Ed Share', notification);
+
+    if (rescheduleRequest.status === 'accepted') {
+      try {
+        await sendCalendarUpdate(booking, 'REQUEST');
+      } catch (notificationError) {
+        console.error('Notification sending failed:', notificationError);
+      }
+    }
 
     res.json({
       success: true,
-      message: 'Booking cancelled successfully',
-      data: { 
-        booking,
-        refundAmount: booking.cancellation.refundAmount
+      message: `Reschedule proposal ${rescheduleRequest.status === 'open' ? 'countered' : rescheduleRequest.status} successfully`,
+      data: {
+        rescheduleRequest,
+        booking
       }
     });
 
   } catch (error) {
-    console.error('Cancel booking error:', error);
+    console.error('Respond to reschedule error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to cancel booking'
+      message: 'Failed to respond to reschedule proposal'
+    });
+  }
+});
+
+// @desc    Get reschedule history of a booking
+// @route   GET /api/bookings/:id/reschedule
+// @access  Private
+router.get('/:id/reschedule', authenticateToken, async (req, res) => {
+  try {
+    const booking = await findBookingWithParties(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!getBookingParty(booking, req.user) && !['admin', 'employee'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const history = await RescheduleRequest.find({ booking: booking._id })
+      .populate('proposals.proposedByUser', 'firstName lastName role')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { history }
+    });
+
+  } catch (error) {
+    console.error('Get reschedule history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reschedule history'
     });
   }
 });
@@ -497,8 +2834,8 @@ router.get('/upcoming', authenticateToken, [
     const { days = 7 } = req.query;
 
     let userId;
-    if (req.user.role === 'student') {
-      const student = await Student.findOne({ user: req.user._id });
+    if (['student', 'parent'].includes(req.user.role)) {
+      const student = await findActingStudent(req);
       userId = student?._id;
     } else if (req.user.role === 'tutor') {
       const tutor = await Tutor.findOne({ user: req.user._id });
@@ -512,7 +2849,7 @@ router.get('/upcoming', authenticateToken, [
       });
     }
 
-    const upcomingSessions = await Booking.findUpcomingSessions(userId, req.user.role, days);
+    const upcomingSessions = await Booking.findUpcomingSessions(userId, req.user.role === 'tutor' ? 'tutor' : 'student', days);
 
     res.json({
       success: true,
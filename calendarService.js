@@ -0,0 +1,155 @@
+const Booking = require('../models/Booking');
+const { getBookingInstants } = require('./timezoneUtils');
+const { sendEmail } = require('./emailService');
+
+const PRODID = '-//Ed Share//Sessions//EN';
+const UID_DOMAIN = 'edshare.com';
+const MAX_LINE_OCTETS = 75;
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Format an instant as a UTC DATE-TIME, e.g. 20240101T103000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fold a content line into 75-octet chunks, continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+
+  for (const char of line) {
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+// Build the content lines of a VEVENT
+const buildEvent = ({ uid, sequence = 0, start, end, summary, description, location, status = 'CONFIRMED', url }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${formatDateTime(new Date())}`,
+  `DTSTART:${formatDateTime(start)}`,
+  `DTEND:${formatDateTime(end)}`,
+  `SEQUENCE:${sequence}`,
+  `STATUS:${status}`,
+  `SUMMARY:${escapeText(summary)}`,
+  description && `DESCRIPTION:${escapeText(description)}`,
+  location && `LOCATION:${escapeText(location)}`,
+  url && `URL:${url}`,
+  process.env.EMAIL_FROM && `ORGANIZER;CN=Ed Share:mailto:${process.env.EMAIL_FROM}`,
+  'END:VEVENT'
+].filter(Boolean);
+
+// Wrap events in a VCALENDAR object
+const buildCalendar = (events, { method = 'PUBLISH', name } = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODID}`,
+  'CALSCALE:GREGORIAN',
+  `METHOD:${method}`,
+  name && `X-WR-CALNAME:${escapeText(name)}`,
+  ...events.flat(),
+  'END:VCALENDAR'
+].filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+
+// Readable location of a session
+const describeLocation = (session) => {
+  if (session.mode !== 'offline') {
+    return 'Online';
+  }
+
+  const location = session.location;
+  if (typeof location === 'string') {
+    return location;
+  }
+  return (location && (location.address || location.formattedAddress)) || 'Offline';
+};
+
+// Calendar event for a booking; cancelled bookings keep their UID so calendars remove them
+const bookingToEvent = (booking, cancelled = booking.status === 'cancelled') => {
+  const { startsAt, endsAt } = getBookingInstants(booking);
+
+  return buildEvent({
+    uid: `booking-${booking._id}@${UID_DOMAIN}`,
+    sequence: booking.calendarSequence || 0,
+    start: startsAt,
+    end: endsAt,
+    summary: `${booking.subject} session - Ed Share`,
+    description: `${booking.subject} (${booking.sessionType}) session. Booking ID: ${booking._id}`,
+    location: describeLocation(booking),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    url: `${process.env.CLIENT_URL}/bookings/${booking._id}`
+  });
+};
+
+// Calendar event for a group session the tutor runs
+const groupSessionToEvent = (groupSession, instants) => buildEvent({
+  uid: `group-session-${groupSession._id}@${UID_DOMAIN}`,
+  start: instants.startsAt,
+  end: instants.endsAt,
+  summary: `${groupSession.title || groupSession.subject} group session - Ed Share`,
+  description: `${groupSession.subject} group session with ${groupSession.seatsTaken} of ${groupSession.capacity} seats taken`,
+  location: describeLocation(groupSession),
+  status: groupSession.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  url: `${process.env.CLIENT_URL}/group-sessions/${groupSession._id}`
+});
+
+// .ics email attachment inviting to, updating or cancelling one or more bookings
+const createCalendarAttachment = (bookings, method = 'REQUEST') => {
+  const events = [].concat(bookings).map(booking => bookingToEvent(booking, method === 'CANCEL'));
+
+  return {
+    filename: method === 'CANCEL' ? 'cancelled-session.ics' : 'session.ics',
+    content: buildCalendar(events, { method }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`
+  };
+};
+
+// Email the parties of the given bookings an updated invite, or a cancellation, for their calendars
+const sendCalendarUpdate = async (bookings, method, parties = ['student', 'tutor']) => {
+  const list = [].concat(bookings);
+  if (!list.length) {
+    return;
+  }
+
+  // Bookings sent together always share the same student and tutor
+  const withParties = await Booking.findById(list[0]._id)
+    .populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName email' } })
+    .populate({ path: 'tutor', select: 'user', populate: { path: 'user', select: 'firstName email' } });
+  if (!withParties) {
+    return;
+  }
+
+  const what = list.length > 1 ? `${list.length} of your ${list[0].subject} sessions have` : `Your ${list[0].subject} session has`;
+  const change = method === 'CANCEL' ? 'been cancelled' : 'been rescheduled';
+  const attachment = createCalendarAttachment(list, method);
+
+  for (const party of parties) {
+    const user = withParties[party].user;
+    await sendEmail({
+      to: user.email,
+      subject: method === 'CANCEL' ? 'Session Cancelled - Ed Share' : 'Session Updated - Ed Share',
+      html: `<p>Hi ${user.firstName},</p><p>${what} ${change}. Open the attached calendar file to update your calendar.</p>`,
+      attachments: [attachment]
+    });
+  }
+};
+
+module.exports = {
+  buildCalendar,
+  bookingToEvent,
+  groupSessionToEvent,
+  createCalendarAttachment,
+  sendCalendarUpdate
+};
@@ -0,0 +1,126 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { getBookingInstants } = require('./timezoneUtils');
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+// Terms for a no-show when the absent party's policy has no rule for zero notice
+const NO_SHOW_DEFAULTS = {
+  tutor: { refundPercentage: 100, tutorPenaltyPercentage: 0 },
+  student: { refundPercentage: 0, tutorPenaltyPercentage: 0 }
+};
+
+// Round a currency amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Policies are written per party; employees cancel under the admin policy
+const getPolicyParty = (role) => (role === 'employee' ? 'admin' : role);
+
+// Hours left until the booking starts
+const getHoursBefore = (booking, now = new Date()) => {
+  const { startsAt } = getBookingInstants(booking);
+
+  return (startsAt.getTime() - now.getTime()) / HOUR_IN_MS;
+};
+
+// Find the active policy for a session type and cancelling party
+const findActivePolicy = async (sessionType, role) => {
+  return await CancellationPolicy.findOne({
+    sessionType,
+    cancelledBy: getPolicyParty(role),
+    isActive: true
+  }).sort({ updatedAt: -1 });
+};
+
+// Work out whether the role may cancel the booking now, with the refund and tutor penalty that apply
+const getCancellationTerms = async (booking, role, now = new Date()) => {
+  const hoursBefore = getHoursBefore(booking, now);
+  const totalAmount = (booking.pricing && booking.pricing.totalAmount) || 0;
+  const baseAmount = (booking.pricing && booking.pricing.baseAmount) || 0;
+
+  const policy = await findActivePolicy(booking.sessionType, role);
+
+  // Without a configured policy keep the default 2 hour rule
+  if (!policy) {
+    const allowed = booking.canBeCancelled();
+    const refundAmount = allowed ? booking.calculateRefundAmount() : 0;
+
+    return {
+      allowed,
+      reason: allowed ? null : 'Must be cancelled at least 2 hours before the session',
+      policy: null,
+      policyName: 'Default',
+      hoursBefore: roundAmount(hoursBefore),
+      refundPercentage: totalAmount ? Math.round((refundAmount / totalAmount) * 100) : 0,
+      refundAmount,
+      tutorPenalty: 0
+    };
+  }
+
+  const rule = policy.getRule(hoursBefore);
+  if (!rule) {
+    return {
+      allowed: false,
+      reason: hoursBefore < 0
+        ? 'Session has already started'
+        : `Must be cancelled at least ${policy.minimumNotice} hours before the session`,
+      policy: policy._id,
+      policyName: policy.name,
+      hoursBefore: roundAmount(hoursBefore),
+      refundPercentage: 0,
+      refundAmount: 0,
+      tutorPenalty: 0
+    };
+  }
+
+  return {
+    allowed: true,
+    reason: null,
+    policy: policy._id,
+    policyName: policy.name,
+    hoursBefore: roundAmount(hoursBefore),
+    refundPercentage: rule.refundPercentage,
+    refundAmount: roundAmount(totalAmount * rule.refundPercentage / 100),
+    tutorPenalty: roundAmount(baseAmount * rule.tutorPenaltyPercentage / 100)
+  };
+};
+
+// Refund and tutor penalty for a session the given party did not attend, treated as a cancellation with no notice
+const getNoShowTerms = async (booking, absentParty) => {
+  const totalAmount = (booking.pricing && booking.pricing.totalAmount) || 0;
+  const baseAmount = (booking.pricing && booking.pricing.baseAmount) || 0;
+
+  const policy = await findActivePolicy(booking.sessionType, absentParty);
+  const policyRule = policy && policy.getRule(0);
+  const rule = policyRule || NO_SHOW_DEFAULTS[absentParty];
+
+  return {
+    policy: policyRule ? policy._id : null,
+    policyName: policyRule ? policy.name : 'Default',
+    refundPercentage: rule.refundPercentage,
+    refundAmount: roundAmount(totalAmount * rule.refundPercentage / 100),
+    tutorPenalty: roundAmount(baseAmount * rule.tutorPenaltyPercentage / 100)
+  };
+};
+
+// Build the cancellation record stored on a booking from the terms it was cancelled under
+const buildCancellation = (reason, cancelledBy, terms) => ({
+  reason,
+  cancelledBy,
+  cancelledAt: Date.now(),
+  refundEligible: terms.refundAmount > 0,
+  refundAmount: terms.refundAmount,
+  refundPercentage: terms.refundPercentage,
+  tutorPenalty: terms.tutorPenalty,
+  policy: terms.policy,
+  policyName: terms.policyName,
+  hoursBefore: terms.hoursBefore
+});
+
+module.exports = {
+  getPolicyParty,
+  getHoursBefore,
+  findActivePolicy,
+  getCancellationTerms,
+  getNoShowTerms,
+  buildCancellation
+};
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { canMessageUser } = require('../utils/membershipService');
 
 const router = express.Router();
 
@@ -151,6 +152,13 @@ router.post('/messages', authenticateToken, [
 
     const { recipientId, content, messageType = 'text' } = req.body;
 
+    if (!await canMessageUser(req.user, recipientId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Chatting with tutors requires a membership'
+      });
+    }
+
     // In a real implementation, you would:
     // 1. Validate that the user can message this recipient
     // 2. Create a new message in the database
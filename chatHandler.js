@@ -1,5 +1,8 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Booking = require('../models/Booking');
+const { isWithinCheckInWindow, isWithinCheckOutWindow, recordAttendance, advanceBooking } = require('../utils/attendanceService');
+const { canMessageUser } = require('../utils/membershipService');
+const { verifyAccessToken } = require('../utils/sessionService');
 
 // Store active connections
 const activeConnections = new Map();
@@ -14,11 +17,11 @@ const chatHandler = (io) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      // Tokens of revoked sessions are rejected here too
+      const user = await verifyAccessToken(token);
       
       if (!user) {
-        return next(new Error('Authentication error: User not found'));
+        return next(new Error('Authentication error: Invalid or revoked token'));
       }
 
       if (user.status !== 'active') {
@@ -45,6 +48,9 @@ const chatHandler = (io) => {
     // Join user to their personal room
     socket.join(`user_${socket.user._id}`);
 
+    // Revoking the session disconnects the sockets in its room
+    socket.join(`session_${socket.user.sessionId}`);
+
     // Handle joining chat rooms
     socket.on('join_chat', async (data) => {
       try {
@@ -81,6 +87,11 @@ const chatHandler = (io) => {
           return;
         }
 
+        if (!await canMessageUser(socket.user, recipientId)) {
+          socket.emit('error', { message: 'Chatting with tutors requires a membership' });
+          return;
+        }
+
         // Create message object
         const messageData = {
           _id: generateMessageId(),
@@ -120,6 +131,78 @@ const chatHandler = (io) => {
       }
     });
 
+    // Handle joining an online session room, which checks the user in
+    socket.on('join_session', async (data) => {
+      try {
+        const { bookingId } = data;
+
+        const booking = await Booking.findById(bookingId)
+          .populate('student', 'user')
+          .populate('tutor', 'user');
+        const party = booking && getSessionParty(booking, socket.user);
+
+        if (!party) {
+          socket.emit('error', { message: 'Unauthorized access to session' });
+          return;
+        }
+
+        if (booking.mode !== 'online' ||
+          !['scheduled', 'confirmed', 'in_progress'].includes(booking.status) ||
+          !isWithinCheckInWindow(booking)) {
+          socket.emit('error', { message: 'Session room is not open' });
+          return;
+        }
+
+        socket.join(`session_${bookingId}`);
+        await recordAttendance(booking, party, 'check_in', 'session_room', socket.user._id);
+        await advanceBooking(booking);
+
+        socket.emit('joined_session', { bookingId, status: booking.status });
+        socket.to(`session_${bookingId}`).emit('session_participant_joined', {
+          bookingId,
+          party,
+          userId: socket.user._id,
+          status: booking.status
+        });
+
+        console.log(`User ${socket.user._id} joined session ${bookingId}`);
+      } catch (error) {
+        console.error('Join session error:', error);
+        socket.emit('error', { message: 'Failed to join session' });
+      }
+    });
+
+    // Handle leaving an online session room, which checks the user out
+    socket.on('leave_session', async (data) => {
+      try {
+        const { bookingId } = data;
+
+        if (!socket.rooms.has(`session_${bookingId}`)) {
+          return;
+        }
+
+        const booking = await Booking.findById(bookingId)
+          .populate('student', 'user')
+          .populate('tutor', 'user');
+        const party = booking && getSessionParty(booking, socket.user);
+
+        socket.leave(`session_${bookingId}`);
+        if (party) {
+          if (['scheduled', 'confirmed', 'in_progress'].includes(booking.status) && isWithinCheckOutWindow(booking)) {
+            await recordAttendance(booking, party, 'check_out', 'session_room', socket.user._id);
+          }
+          socket.to(`session_${bookingId}`).emit('session_participant_left', {
+            bookingId,
+            party,
+            userId: socket.user._id
+          });
+        }
+      } catch (error) {
+        console.error('Leave session error:', error);
+        socket.emit('error', { message: 'Failed to leave session' });
+      }
+    });
+
     // Handle typing indicators
     socket.on('typing_start', (data) => {
       const { chatId, recipientId } = data;
@@ -273,6 +356,17 @@ const chatHandler = (io) => {
     }
   };
 
+  // Helper function to get the side of a booking the user is on
+  const getSessionParty = (booking, user) => {
+    if (user.role === 'student' && booking.student.user.toString() === user._id.toString()) {
+      return 'student';
+    }
+    if (user.role === 'tutor' && booking.tutor.user.toString() === user._id.toString()) {
+      return 'tutor';
+    }
+    return null;
+  };
+
   // Helper function to generate message ID
   const generateMessageId = () => {
     return Date.now().toString() + Math.random().toString(36).substr(2, 9);
@@ -0,0 +1,116 @@
+const Booking = require('../models/Booking');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// Round a currency amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const findCoupon = async (code) => {
+  return await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Amount a coupon takes off a session amount before tax
+const calculateDiscount = (coupon, amount) => {
+  let discount = coupon.discountType === 'percentage'
+    ? amount * coupon.discountValue / 100
+    : coupon.discountValue;
+
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return roundAmount(Math.min(discount, amount));
+};
+
+// Why a coupon can't be applied to a booking, or null if it can
+const getCouponError = async (coupon, { studentId, tutorId, subject, className, amount }, now = new Date()) => {
+  if (!coupon || !coupon.isActive) {
+    return 'Invalid coupon code';
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return 'Coupon is not valid yet';
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return 'Coupon has expired';
+  }
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    return 'Coupon usage limit has been reached';
+  }
+  if (amount < coupon.minAmount) {
+    return `Coupon requires a session amount of at least ${coupon.minAmount}`;
+  }
+
+  const { subjects = [], classes = [], tutors = [], firstBookingOnly } = coupon.restrictions || {};
+
+  if (subjects.length && !subjects.some(name => name.toLowerCase() === subject.toLowerCase())) {
+    return 'Coupon is not valid for this subject';
+  }
+  if (classes.length && !classes.includes(className)) {
+    return 'Coupon is not valid for this class';
+  }
+  if (tutors.length && !tutors.some(id => id.toString() === tutorId.toString())) {
+    return 'Coupon is not valid for this tutor';
+  }
+
+  if (firstBookingOnly && await Booking.exists({ student: studentId, status: { $ne: 'cancelled' } })) {
+    return 'Coupon is only valid on your first booking';
+  }
+
+  const timesUsed = await CouponRedemption.countDocuments({ coupon: coupon._id, student: studentId, status: 'applied' });
+  if (timesUsed >= coupon.perUserLimit) {
+    return 'You have already used this coupon';
+  }
+
+  return null;
+};
+
+// Look up a coupon and work out its discount on a session amount before tax, or return why it can't be used
+const quoteCoupon = async (code, context) => {
+  const coupon = await findCoupon(code);
+  const error = await getCouponError(coupon, context);
+  if (error) {
+    return { error };
+  }
+
+  return { coupon, discount: calculateDiscount(coupon, context.amount) };
+};
+
+// Count a coupon against its limits for a booking, returning null if the global limit was reached meanwhile
+const redeemCoupon = async (coupon, studentId, booking, discountAmount) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    coupon.usageLimit
+      ? { _id: coupon._id, usageCount: { $lt: coupon.usageLimit } }
+      : { _id: coupon._id },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  return await CouponRedemption.create({
+    coupon: coupon._id,
+    code: coupon.code,
+    student: studentId,
+    booking: booking._id,
+    discountAmount
+  });
+};
+
+// Give a booking's coupon use back, e.g. when the booking is cancelled
+const releaseCoupon = async (bookingId) => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { booking: bookingId, status: 'applied' },
+    { status: 'released', releasedAt: new Date() },
+    { new: true }
+  );
+  if (redemption) {
+    await Coupon.updateOne({ _id: redemption.coupon, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+  }
+  return redemption;
+};
+
+module.exports = {
+  quoteCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Payout = require('../models/Payout');
+
+const COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_RATE) || 15;
+const MINIMUM_WITHDRAWAL = parseFloat(process.env.MINIMUM_WITHDRAWAL) || 500;
+const OPEN_PAYOUT_STATUSES = ['requested', 'approved'];
+const STATEMENT_DEFAULT_DAYS = 30;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Account a booking's payment is drawn from, by payment method; gateways settle to clearing
+const FUNDING_ACCOUNTS = {
+  wallet: 'student_wallet',
+  package: 'package_liability',
+  membership: 'membership_benefits'
+};
+
+// Round a currency amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getTutorId = (booking) => booking.tutor._id || booking.tutor;
+
+// Post a balanced transaction once per reference, returning the existing one if it was already posted
+const postTransaction = async (transaction) => {
+  const lines = transaction.lines.filter(line => line.debit || line.credit);
+
+  try {
+    return await LedgerTransaction.create({ ...transaction, lines });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return await LedgerTransaction.findOne({ reference: transaction.reference });
+  }
+};
+
+// Credit the tutor for a paid booking, net of tax and platform commission
+const creditBookingEarnings = async (booking) => {
+  const amount = roundAmount(booking.payment.amount || booking.pricing.totalAmount);
+  if (!amount) {
+    return null;
+  }
+
+  const { tax = 0, totalAmount } = booking.pricing;
+  const taxShare = totalAmount ? roundAmount(amount * tax / totalAmount) : 0;
+  const commission = roundAmount((amount - taxShare) * COMMISSION_RATE / 100);
+  const tutorShare = roundAmount(amount - taxShare - commission);
+  const tutor = getTutorId(booking);
+  const fundingAccount = FUNDING_ACCOUNTS[booking.payment.method] || 'gateway_clearing';
+
+  // Tax on package sessions was booked when the package was bought
+  const fromPackage = fundingAccount === 'package_liability';
+
+  return await postTransaction({
+    type: 'booking_payment',
+    reference: `booking_payment:${booking._id}`,
+    tutor,
+    booking: booking._id,
+    description: `Payment for ${booking.subject} session`,
+    lines: [
+      { account: fundingAccount, debit: fromPackage ? roundAmount(amount - taxShare) : amount },
+      { account: 'tax_payable', credit: fromPackage ? 0 : taxShare },
+      { account: 'platform_commission', credit: commission },
+      { account: 'tutor_payable', tutor, credit: tutorShare }
+    ],
+    split: { amount, tax: taxShare, commission, tutorShare, commissionRate: COMMISSION_RATE, fundingAccount }
+  });
+};
+
+// Reverse a refunded part of a booking payment in the same proportions it was credited,
+// paying it out through the given account (the gateway, or the student's wallet)
+const debitBookingRefund = async (booking, refundAmount, refundId, refundAccount = 'gateway_clearing') => {
+  const payment = await LedgerTransaction.findOne({ reference: `booking_payment:${booking._id}` });
+  if (!payment || !refundAmount) {
+    return null;
+  }
+
+  const amount = roundAmount(Math.min(refundAmount, payment.split.amount));
+  const share = amount / payment.split.amount;
+  const tutorShare = roundAmount(payment.split.tutorShare * share);
+  const commission = roundAmount(payment.split.commission * share);
+  const taxShare = roundAmount(amount - tutorShare - commission);
+
+  // Package sessions are refunded as hours back to the package, whose tax stays booked
+  const toPackage = payment.split.fundingAccount === 'package_liability';
+
+  return await postTransaction({
+    type: 'refund',
+    reference: `refund:${refundId || `${booking._id}:${amount}`}`,
+    tutor: payment.tutor,
+    booking: booking._id,
+    description: `Refund for ${booking.subject} session`,
+    lines: [
+      { account: 'tutor_payable', tutor: payment.tutor, debit: tutorShare },
+      { account: 'platform_commission', debit: commission },
+      { account: 'tax_payable', debit: toPackage ? 0 : taxShare },
+      toPackage
+        ? { account: 'package_liability', credit: roundAmount(tutorShare + commission) }
+        : { account: refundAccount, credit: amount }
+    ]
+  });
+};
+
+// Record money paid into a student's wallet through a gateway
+const postWalletTopUp = async (studentId, amount, reference) => {
+  return await postTransaction({
+    type: 'wallet_top_up',
+    reference: `wallet_top_up:${reference}`,
+    student: studentId,
+    description: 'Wallet top-up',
+    lines: [
+      { account: 'gateway_clearing', debit: amount },
+      { account: 'student_wallet', credit: amount }
+    ]
+  });
+};
+
+// Record a referral reward the platform paid into a student's wallet
+const postReferralReward = async (studentId, amount, reference) => {
+  return await postTransaction({
+    type: 'referral_reward',
+    reference: `referral_reward:${reference}`,
+    student: studentId,
+    description: 'Referral reward',
+    lines: [
+      { account: 'referral_expense', debit: amount },
+      { account: 'student_wallet', credit: amount }
+    ]
+  });
+};
+
+// Record a membership fee captured by a gateway, splitting out GST at the membership's rate
+const postMembershipPayment = async (membership, paymentId, amount) => {
+  const { tax, totalAmount } = membership.pricing;
+  const taxShare = totalAmount ? roundAmount(amount * tax / totalAmount) : 0;
+
+  return await postTransaction({
+    type: 'membership_payment',
+    reference: `membership_payment:${paymentId}`,
+    student: membership.student,
+    membership: membership._id,
+    description: `${membership.planName} membership fee`,
+    lines: [
+      { account: 'gateway_clearing', debit: amount },
+      { account: 'tax_payable', credit: taxShare },
+      { account: 'membership_revenue', credit: roundAmount(amount - taxShare) }
+    ]
+  });
+};
+
+// Move a package's price from the student's wallet to GST and prepaid sessions owed
+const postPackagePurchase = async (studentPackage) => {
+  const { baseAmount, tax, totalAmount } = studentPackage.pricing;
+
+  return await postTransaction({
+    type: 'package_purchase',
+    reference: `package_purchase:${studentPackage._id}`,
+    student: studentPackage.student,
+    studentPackage: studentPackage._id,
+    description: `Purchase of ${studentPackage.name}`,
+    lines: [
+      { account: 'student_wallet', debit: totalAmount },
+      { account: 'tax_payable', credit: tax },
+      { account: 'package_liability', credit: baseAmount }
+    ]
+  });
+};
+
+// Write off the value of the minutes left on an expired package
+const postPackageExpiry = async (studentPackage, minutes) => {
+  const amount = roundAmount(studentPackage.pricing.baseAmount * minutes / studentPackage.minutesPurchased);
+  if (!amount) {
+    return null;
+  }
+
+  return await postTransaction({
+    type: 'package_expiry',
+    reference: `package_expiry:${studentPackage._id}`,
+    student: studentPackage.student,
+    studentPackage: studentPackage._id,
+    description: `${minutes} unused minutes of ${studentPackage.name} expired`,
+    lines: [
+      { account: 'package_liability', debit: amount },
+      { account: 'package_breakage', credit: amount }
+    ]
+  });
+};
+
+// Debit the tutor a cancellation or no-show penalty; a booking carries at most one penalty
+const debitTutorPenalty = async (booking, penalty, description) => {
+  const amount = roundAmount(penalty || 0);
+  if (!amount) {
+    return null;
+  }
+
+  const tutor = getTutorId(booking);
+
+  return await postTransaction({
+    type: 'tutor_penalty',
+    reference: `tutor_penalty:${booking._id}`,
+    tutor,
+    booking: booking._id,
+    description,
+    lines: [
+      { account: 'tutor_payable', tutor, debit: amount },
+      { account: 'penalty_income', credit: amount }
+    ]
+  });
+};
+
+// Debit the tutor for money transferred to them
+const debitPayout = async (payout) => {
+  return await postTransaction({
+    type: 'payout',
+    reference: `payout:${payout._id}`,
+    tutor: payout.tutor,
+    payout: payout._id,
+    description: payout.transactionReference ? `Payout ${payout.transactionReference}` : 'Payout',
+    lines: [
+      { account: 'tutor_payable', tutor: payout.tutor, debit: payout.amount },
+      { account: 'bank', credit: payout.amount }
+    ]
+  });
+};
+
+// Pipeline stages selecting a tutor's tutor_payable lines, one per transaction
+const tutorLineStages = (tutorId, match = {}) => [
+  { $match: { 'lines.tutor': tutorId, ...match } },
+  { $unwind: '$lines' },
+  { $match: { 'lines.account': 'tutor_payable', 'lines.tutor': tutorId } }
+];
+
+// What the platform owes a tutor, and how much of it can still be withdrawn
+const getTutorBalance = async (tutorId) => {
+  const id = new mongoose.Types.ObjectId(tutorId);
+
+  const [totals, openPayouts] = await Promise.all([
+    LedgerTransaction.aggregate([
+      ...tutorLineStages(id),
+      { $group: { _id: '$type', credit: { $sum: '$lines.credit' }, debit: { $sum: '$lines.debit' } } }
+    ]),
+    Payout.aggregate([
+      { $match: { tutor: id, status: { $in: OPEN_PAYOUT_STATUSES } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const byType = {};
+  totals.forEach(total => { byType[total._id] = total; });
+  const net = (type) => byType[type] ? byType[type].credit - byType[type].debit : 0;
+
+  const balance = roundAmount(totals.reduce((sum, total) => sum + total.credit - total.debit, 0));
+  const pendingPayouts = roundAmount(openPayouts.length ? openPayouts[0].amount : 0);
+
+  return {
+    currency: 'INR',
+    totalEarned: roundAmount(net('booking_payment')),
+    totalRefunded: roundAmount(-net('refund')),
+    totalPenalties: roundAmount(-net('tutor_penalty')),
+    totalPaidOut: roundAmount(-net('payout')),
+    balance,
+    pendingPayouts,
+    availableBalance: roundAmount(Math.max(balance - pendingPayouts, 0)),
+    commissionRate: COMMISSION_RATE,
+    minimumWithdrawal: MINIMUM_WITHDRAWAL
+  };
+};
+
+// Request a payout, holding the amount before checking the balance so that of two concurrent requests
+// the later one always sees the other. Returns the payout, or the balance if the amount isn't available
+const requestPayout = async (tutorId, { amount, note, requestedBy }) => {
+  const payout = await Payout.create({ tutor: tutorId, amount, note, requestedBy });
+
+  const balance = await getTutorBalance(tutorId);
+  if (balance.pendingPayouts > balance.balance) {
+    await Payout.deleteOne({ _id: payout._id });
+    return { balance: await getTutorBalance(tutorId) };
+  }
+
+  return { payout };
+};
+
+// Ledger entries of a tutor between two dates, with the balance after each entry
+const getTutorStatement = async (tutorId, { from, to } = {}) => {
+  const id = new mongoose.Types.ObjectId(tutorId);
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - STATEMENT_DEFAULT_DAYS * DAY_IN_MS);
+
+  const [opening, lines] = await Promise.all([
+    LedgerTransaction.aggregate([
+      ...tutorLineStages(id, { createdAt: { $lt: start } }),
+      { $group: { _id: null, net: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+    ]),
+    LedgerTransaction.aggregate([
+      ...tutorLineStages(id, { createdAt: { $gte: start, $lte: end } }),
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $project: {
+          type: 1,
+          booking: 1,
+          payout: 1,
+          description: 1,
+          createdAt: 1,
+          credit: '$lines.credit',
+          debit: '$lines.debit'
+        }
+      }
+    ])
+  ]);
+
+  const openingBalance = roundAmount(opening.length ? opening[0].net : 0);
+  let runningBalance = openingBalance;
+  const entries = lines.map(line => {
+    runningBalance = roundAmount(runningBalance + line.credit - line.debit);
+    return { ...line, balance: runningBalance };
+  });
+
+  return {
+    from: start,
+    to: end,
+    openingBalance,
+    totalCredits: roundAmount(lines.reduce((sum, line) => sum + line.credit, 0)),
+    totalDebits: roundAmount(lines.reduce((sum, line) => sum + line.debit, 0)),
+    closingBalance: runningBalance,
+    entries
+  };
+};
+
+module.exports = {
+  COMMISSION_RATE,
+  MINIMUM_WITHDRAWAL,
+  OPEN_PAYOUT_STATUSES,
+  creditBookingEarnings,
+  debitBookingRefund,
+  debitTutorPenalty,
+  debitPayout,
+  postWalletTopUp,
+  postReferralReward,
+  postMembershipPayment,
+  postPackagePurchase,
+  postPackageExpiry,
+  getTutorBalance,
+  requestPayout,
+  getTutorStatement
+};
@@ -120,6 +120,77 @@ const templates = {
     `
   }),
 
+  bookingSeriesConfirmation: (data) => ({
+    subject: 'Recurring Sessions Booked - Ed Share',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #059669;">Recurring Sessions Booked!</h2>
+        <p>Hi ${data.studentName},</p>
+        <p>Your recurring sessions have been booked. Here are the details:</p>
+        <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin: 0 0 10px 0; color: #0369a1;">Series Details</h3>
+          <p><strong>Series ID:</strong> ${data.seriesId}</p>
+          <p><strong>Tutor:</strong> ${data.tutorName}</p>
+          <p><strong>Subject:</strong> ${data.subject}</p>
+          <p><strong>Schedule:</strong> ${data.schedule}</p>
+          <p><strong>Sessions Booked:</strong> ${data.bookedCount}</p>
+          <p><strong>Amount per Session:</strong> ₹${data.amountPerSession}</p>
+        </div>
+        ${data.conflictCount ? `<p><strong>${data.conflictCount} session(s) could not be booked</strong> because the tutor is unavailable or already booked. You can see them in your dashboard.</p>` : ''}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.dashboardLink}" 
+             style="background-color: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            View in Dashboard
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
+  paymentConfirmation: (data) => ({
+    subject: `Payment Received - Invoice ${data.documentNumber} - Ed Share`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #059669;">Payment Received</h2>
+        <p>Hi ${data.studentName},</p>
+        <p>We have received your payment for ${data.purchase}.</p>
+        <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Invoice No:</strong> ${data.documentNumber}</p>
+          <p><strong>Amount Paid:</strong> ₹${data.amount}</p>
+        </div>
+        <p>Your tax invoice is attached. You can also download it from your payment history.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.historyLink}" 
+             style="background-color: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            View Payment History
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
+  refundConfirmation: (data) => ({
+    subject: `Refund Processed - Credit Note ${data.documentNumber} - Ed Share`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #059669;">Refund Processed</h2>
+        <p>Hi ${data.studentName},</p>
+        <p>A refund for ${data.purchase} has been processed.</p>
+        <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Credit Note No:</strong> ${data.documentNumber}</p>
+          <p><strong>Amount Refunded:</strong> ₹${data.amount}</p>
+        </div>
+        <p>Your credit note is attached. You can also download it from your payment history.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${data.historyLink}" 
+             style="background-color: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            View Payment History
+          </a>
+        </div>
+      </div>
+    `
+  }),
+
   tutorApproval: (data) => ({
     subject: 'Congratulations! Your tutor profile has been approved',
     html: `
@@ -166,7 +237,8 @@ const sendEmail = async (options) => {
       from: `"Ed Share" <${process.env.EMAIL_FROM}>`,
       to: options.to,
       subject: emailContent.subject,
-      html: emailContent.html
+      html: emailContent.html,
+      attachments: options.attachments
     };
 
     const result = await transporter.sendMail(mailOptions);
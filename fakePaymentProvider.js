@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// In-memory gateway for tests and local development: no network, no keys.
+// Tests drive it through capture() and createWebhook(), which stand in for the
+// checkout page and the gateway's webhook delivery. Anyone holding the secret can
+// sign "paid" webhooks, so there is no default for it.
+const SECRET = process.env.FAKE_PAYMENTS_SECRET;
+if (!SECRET) {
+  throw new Error('FAKE_PAYMENTS_SECRET must be set to enable the fake payment provider');
+}
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+let sequence = 0;
+
+const nextId = (prefix) => `fake_${prefix}_${++sequence}`;
+
+const sign = (value) => crypto.createHmac('sha256', SECRET).update(value).digest('hex');
+
+const toPayment = (payment) => ({
+  transactionId: payment.id,
+  orderId: payment.orderId,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  amountRefunded: payment.amountRefunded,
+  failureReason: payment.failureReason,
+  metadata: payment.metadata
+});
+
+// Turn a verified webhook body into a provider-neutral event
+const toEvent = (payload) => {
+  const occurredAt = new Date(payload.createdAt);
+
+  switch (payload.type) {
+    case 'payment.captured':
+      return { type: 'payment_captured', payment: payload.data, occurredAt };
+    case 'payment.failed':
+      return { type: 'payment_failed', payment: payload.data, occurredAt };
+    case 'refund.processed':
+      return { type: 'refund_processed', refund: { ...payload.data, refundedAt: occurredAt }, occurredAt };
+    case 'refund.failed':
+      return { type: 'refund_failed', refund: payload.data, occurredAt };
+    default:
+      return { type: 'other' };
+  }
+};
+
+module.exports = {
+  name: 'fake',
+  defaultCurrency: 'INR',
+
+  createOrder: async ({ amount, currency, metadata }) => {
+    const order = { id: nextId('order'), amount, currency: currency.toUpperCase(), metadata };
+    orders.set(order.id, order);
+
+    return { orderId: order.id, clientData: { amount, currency: order.currency } };
+  },
+
+  verify: async ({ orderId, paymentId, signature }) => {
+    const payment = payments.get(paymentId);
+    if (!payment || payment.orderId !== orderId || signature !== sign(`${orderId}|${paymentId}`)) {
+      return null;
+    }
+    return toPayment(payment);
+  },
+
+  fetch: async (transactionId) => {
+    const payment = payments.get(transactionId);
+    if (!payment) {
+      throw new Error(`Unknown fake payment ${transactionId}`);
+    }
+    return toPayment(payment);
+  },
+
+  refund: async (transactionId, amount, metadata) => {
+    const payment = payments.get(transactionId);
+    if (!payment || payment.status !== 'captured') {
+      throw new Error(`Fake payment ${transactionId} is not captured`);
+    }
+    if (payment.amountRefunded + amount > payment.amount) {
+      throw new Error('Refund exceeds the captured amount');
+    }
+
+    const refund = { refundId: nextId('refund'), transactionId, amount, status: 'processed', processedAt: new Date(), metadata };
+    refunds.set(refund.refundId, refund);
+    payment.amountRefunded += amount;
+
+    return { refundId: refund.refundId, amount, status: refund.status };
+  },
+
+  fetchRefund: async (refundId) => {
+    const refund = refunds.get(refundId);
+    if (!refund) {
+      throw new Error(`Unknown fake refund ${refundId}`);
+    }
+    return { refundId, amount: refund.amount, status: refund.status, processedAt: refund.processedAt };
+  },
+
+  parseSettlementRow: (row) => ({
+    type: ['payment', 'refund'].includes(row.type) ? row.type : 'other',
+    transactionId: row.transaction_id,
+    refundId: row.refund_id,
+    amount: row.amount,
+    fee: row.fee,
+    tax: row.tax,
+    currency: row.currency,
+    settledAt: row.settled_at,
+    settlementId: row.settlement_id
+  }),
+
+  parseWebhook: (rawBody, headers) => {
+    if (headers['x-fake-signature'] !== sign(rawBody)) {
+      return null;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return { id: payload.id, name: payload.type, payload, event: toEvent(payload) };
+  },
+
+  // Pay an order as the checkout page would, returning what the client sends to verify
+  capture: (orderId, { amount, fail = false } = {}) => {
+    const order = orders.get(orderId);
+    if (!order) {
+      throw new Error(`Unknown fake order ${orderId}`);
+    }
+
+    const payment = {
+      id: nextId('payment'),
+      orderId,
+      amount: amount === undefined ? order.amount : amount,
+      currency: order.currency,
+      status: fail ? 'failed' : 'captured',
+      amountRefunded: 0,
+      failureReason: fail ? 'Declined by fake provider' : undefined,
+      metadata: order.metadata
+    };
+    payments.set(payment.id, payment);
+
+    return { orderId, paymentId: payment.id, signature: sign(`${orderId}|${payment.id}`) };
+  },
+
+  // Signed webhook delivery for a payment, or for a refund of one
+  createWebhook: (type, transactionId, refundId) => {
+    const payment = payments.get(transactionId);
+    const refund = refunds.get(refundId);
+    const data = type.startsWith('refund.')
+      ? { ...refund, totalRefunded: payment.amountRefunded }
+      : toPayment(payment);
+
+    const body = Buffer.from(JSON.stringify({ id: nextId('event'), type, createdAt: new Date().toISOString(), data }));
+    return { body, headers: { 'content-type': 'application/json', 'x-fake-signature': sign(body) } };
+  },
+
+  reset: () => {
+    orders.clear();
+    payments.clear();
+    refunds.clear();
+  }
+};
@@ -0,0 +1,705 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const GroupSession = require('../models/GroupSession');
+const Booking = require('../models/Booking');
+const Tutor = require('../models/Tutor');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { getSlotConflict, applyTax, getTutorTimezone } = require('../utils/bookingUtils');
+const { DEFAULT_TIMEZONE, getSessionInstants, formatSession } = require('../utils/timezoneUtils');
+const { offerSlotToWaitlist } = require('../utils/waitlistService');
+const { getCancellationTerms, buildCancellation } = require('../utils/cancellationService');
+const { debitTutorPenalty } = require('../utils/earningsService');
+const { refundCancellation } = require('../utils/paymentService');
+const { createCalendarAttachment, sendCalendarUpdate } = require('../utils/calendarService');
+const { isWithinCheckInWindow, recordAttendance, advanceBooking } = require('../utils/attendanceService');
+const { findActingStudent } = require('../utils/guardianService');
+
+const router = express.Router();
+
+const MAX_GROUP_CAPACITY = 30;
+
+// Cancel a participant's seat booking on behalf of the given role under the cancellation terms that apply
+const cancelSeatBooking = async (booking, reason, cancelledBy, terms) => {
+  if (!booking || booking.status === 'cancelled') {
+    return booking;
+  }
+
+  booking.cancellation = buildCancellation(reason, cancelledBy, terms);
+  booking.status = 'cancelled';
+  booking.calendarSequence = (booking.calendarSequence || 0) + 1;
+
+  await booking.save();
+  await debitTutorPenalty(booking, terms.tutorPenalty, `Cancellation penalty for ${booking.subject} group session`);
+  await refundCancellation(booking);
+  return booking;
+};
+
+// @desc    Publish a group session
+// @route   POST /api/group-sessions
+// @access  Private (Tutor)
+router.post('/', authenticateToken, authorizeRoles('tutor'), [
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  body('description').optional().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('subject').notEmpty().withMessage('Subject is required'),
+  body('class').isIn(['LKG', 'UKG', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12']).withMessage('Invalid class'),
+  body('board').isIn(['CBSE', 'ICSE', 'State Board', 'IB', 'IGCSE', 'NIOS']).withMessage('Invalid board'),
+  body('scheduledDate').isISO8601().withMessage('Invalid date format'),
+  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
+  body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid end time format'),
+  body('duration').isInt({ min: 30, max: 180 }).withMessage('Duration must be between 30-180 minutes'),
+  body('mode').isIn(['online', 'offline']).withMessage('Invalid mode'),
+  body('capacity').isInt({ min: 2, max: MAX_GROUP_CAPACITY }).withMessage(`Capacity must be between 2-${MAX_GROUP_CAPACITY} students`),
+  body('pricePerSeat').isFloat({ min: 0 }).withMessage('Price per seat must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      title,
+      description,
+      subject,
+      class: className,
+      board,
+      scheduledDate,
+      startTime,
+      endTime,
+      duration,
+      mode,
+      location,
+      topics,
+      capacity,
+      pricePerSeat
+    } = req.body;
+
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    // Check if tutor teaches the requested subject and class
+    const tutorSubject = tutor.subjects.find(s => 
+      s.name.toLowerCase() === subject.toLowerCase() && 
+      s.classes.includes(className) &&
+      s.boards.includes(board)
+    );
+
+    if (!tutorSubject) {
+      return res.status(400).json({
+        success: false,
+        message: 'You do not teach this subject for the specified class and board'
+      });
+    }
+
+    // The whole group occupies a single tutor slot
+    const sessionDate = new Date(scheduledDate);
+    const slotConflict = await getSlotConflict(tutor, sessionDate, startTime, endTime);
+
+    if (slotConflict) {
+      return res.status(400).json({
+        success: false,
+        message: slotConflict
+      });
+    }
+
+    const groupSession = await GroupSession.create({
+      tutor: tutor._id,
+      title,
+      description,
+      subject,
+      class: className,
+      board,
+      scheduledDate: sessionDate,
+      startTime,
+      endTime,
+      duration,
+      mode,
+      location,
+      topics: topics || [],
+      capacity,
+      pricePerSeat,
+      pricing: applyTax(pricePerSeat)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Group session published successfully',
+      data: { groupSession }
+    });
+
+  } catch (error) {
+    console.error('Create group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish group session'
+    });
+  }
+});
+
+// @desc    Get upcoming group sessions
+// @route   GET /api/group-sessions
+// @access  Public
+router.get('/', [
+  query('tutorId').optional().isMongoId(),
+  query('subject').optional().trim(),
+  query('class').optional().trim(),
+  query('board').optional().trim(),
+  query('mode').optional().isIn(['online', 'offline']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      tutorId,
+      subject,
+      class: className,
+      board,
+      mode,
+      from,
+      to,
+      page = 1,
+      limit = 10
+    } = req.query;
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    let query = {
+      status: { $in: ['open', 'full'] },
+      scheduledDate: { $gte: from ? new Date(from) : today }
+    };
+
+    if (to) query.scheduledDate.$lte = new Date(to);
+    if (tutorId) query.tutor = tutorId;
+    if (subject) query.subject = new RegExp(subject, 'i');
+    if (className) query.class = className;
+    if (board) query.board = board;
+    if (mode) query.mode = mode;
+
+    const groupSessions = await GroupSession.find(query)
+      .select('-participants')
+      .populate('tutor', 'user rating')
+      .populate('tutor.user', 'firstName lastName avatar')
+      .sort({ scheduledDate: 1, startTime: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await GroupSession.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        groupSessions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalGroupSessions: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group sessions'
+    });
+  }
+});
+
+// @desc    Get single group session
+// @route   GET /api/group-sessions/:id
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const groupSession = await GroupSession.findById(req.params.id)
+      .select('-participants')
+      .populate('tutor', 'user subjects rating qualifications')
+      .populate('tutor.user', 'firstName lastName avatar');
+
+    if (!groupSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { groupSession }
+    });
+
+  } catch (error) {
+    console.error('Get group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group session'
+    });
+  }
+});
+
+// @desc    Get participants with per-seat payment and refund status
+// @route   GET /api/group-sessions/:id/participants
+// @access  Private (Tutor/Admin/Employee)
+router.get('/:id/participants', authenticateToken, authorizeRoles('tutor', 'admin', 'employee'), async (req, res) => {
+  try {
+    const groupSession = await GroupSession.findById(req.params.id)
+      .populate({ path: 'participants.student', select: 'user currentClass board', populate: { path: 'user', select: 'firstName lastName avatar' } })
+      .populate('participants.booking', 'status payment pricing cancellation');
+
+    if (!groupSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group session not found'
+      });
+    }
+
+    if (req.user.role === 'tutor') {
+      const tutor = await Tutor.findOne({ user: req.user._id });
+      if (!tutor || tutor._id.toString() !== groupSession.tutor.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    }
+
+    // Summarise seat payments and refunds
+    const summary = groupSession.participants.reduce((totals, participant) => {
+      const payment = participant.booking && participant.booking.payment;
+      if (payment && ['paid', 'partial_refund', 'refunded'].includes(payment.status)) {
+        totals.paidSeats += 1;
+        totals.collected += participant.booking.pricing.totalAmount;
+      }
+      if (payment && payment.refundAmount) {
+        totals.refunded += payment.refundAmount;
+      }
+      return totals;
+    }, { paidSeats: 0, collected: 0, refunded: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        participants: groupSession.participants,
+        capacity: groupSession.capacity,
+        seatsTaken: groupSession.seatsTaken,
+        summary
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group session participants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch participants'
+    });
+  }
+});
+
+// @desc    Join a group session
+// @route   POST /api/group-sessions/:id/join
+// @access  Private (Student/Parent)
+router.post('/:id/join', authenticateToken, authorizeRoles('student', 'parent'), async (req, res) => {
+  try {
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    // Reserve a seat atomically so concurrent joins cannot overfill the session
+    const groupSession = await GroupSession.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'open',
+        scheduledDate: { $gte: today },
+        participants: { $not: { $elemMatch: { student: student._id, status: 'enrolled' } } },
+        $expr: { $lt: ['$seatsTaken', '$capacity'] }
+      },
+      {
+        $inc: { seatsTaken: 1 },
+        $push: { participants: { student: student._id } }
+      },
+      { new: true }
+    ).populate({ path: 'tutor', select: 'user', populate: { path: 'user', select: 'firstName lastName timezone' } });
+
+    if (!groupSession) {
+      const existing = await GroupSession.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group session not found'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: existing.findParticipant(student._id)
+          ? 'You have already joined this group session'
+          : 'Group session is not open for enrollment'
+      });
+    }
+
+    const participant = groupSession.findParticipant(student._id);
+
+    // Each seat is a group booking so it can be paid and refunded on its own
+    const tutorTimezone = await getTutorTimezone(groupSession.tutor);
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        student: student._id,
+        tutor: groupSession.tutor._id,
+        sessionType: 'group',
+        subject: groupSession.subject,
+        class: groupSession.class,
+        board: groupSession.board,
+        scheduledDate: groupSession.scheduledDate,
+        startTime: groupSession.startTime,
+        endTime: groupSession.endTime,
+        timezone: tutorTimezone,
+        ...getSessionInstants(groupSession.scheduledDate, groupSession.startTime, groupSession.endTime, tutorTimezone),
+        duration: groupSession.duration,
+        mode: groupSession.mode,
+        location: groupSession.location,
+        topics: groupSession.topics,
+        pricing: groupSession.pricing
+      });
+    } catch (bookingError) {
+      await GroupSession.updateOne(
+        { _id: groupSession._id },
+        { $inc: { seatsTaken: -1 }, $pull: { participants: { _id: participant._id } } }
+      );
+      throw bookingError;
+    }
+
+    participant.booking = booking._id;
+    if (groupSession.seatsTaken >= groupSession.capacity) {
+      groupSession.status = 'full';
+    }
+    await groupSession.save();
+
+    const studentSession = formatSession(booking, req.user.timezone || DEFAULT_TIMEZONE);
+
+    try {
+      await sendEmail({
+        to: req.user.email,
+        template: 'bookingConfirmation',
+        data: {
+          studentName: req.user.firstName,
+          tutorName: groupSession.tutor.user.firstName + ' ' + groupSession.tutor.user.lastName,
+          subject: groupSession.subject,
+          date: studentSession.date,
+          time: studentSession.time,
+          duration: groupSession.duration,
+          amount: groupSession.pricing.totalAmount,
+          bookingId: booking._id,
+          dashboardLink: `${process.env.CLIENT_URL}/student/my-bookings`
+        },
+        attachments: [createCalendarAttachment(booking)]
+      });
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Joined group session successfully',
+      data: {
+        booking,
+        seatsAvailable: groupSession.seatsAvailable
+      }
+    });
+
+  } catch (error) {
+    console.error('Join group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join group session'
+    });
+  }
+});
+
+// @desc    Leave a group session
+// @route   POST /api/group-sessions/:id/leave
+// @access  Private (Student/Parent)
+router.post('/:id/leave', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const { reason = 'Left group session' } = req.body;
+
+    const student = await findActingStudent(req);
+    const groupSession = await GroupSession.findById(req.params.id);
+
+    if (!student || !groupSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group session not found'
+      });
+    }
+
+    const participant = groupSession.findParticipant(student._id);
+    if (!participant) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not enrolled in this group session'
+      });
+    }
+
+    const seatBooking = participant.booking && await Booking.findById(participant.booking);
+    const terms = seatBooking && seatBooking.status !== 'cancelled'
+      ? await getCancellationTerms(seatBooking, 'student')
+      : null;
+
+    if (terms && !terms.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `Seat cannot be cancelled. ${terms.reason}.`,
+        data: { terms }
+      });
+    }
+
+    const booking = await cancelSeatBooking(seatBooking, reason, 'student', terms);
+
+    // Give the seat back atomically so a concurrent join's reservation isn't overwritten
+    const released = await GroupSession.findOneAndUpdate(
+      { _id: groupSession._id, participants: { $elemMatch: { _id: participant._id, status: 'enrolled' } } },
+      {
+        $inc: { seatsTaken: -1 },
+        $set: { 'participants.$.status': 'left', 'participants.$.leftAt': new Date() }
+      },
+      { new: true }
+    );
+    if (released && released.status === 'full') {
+      await GroupSession.updateOne(
+        { _id: groupSession._id, status: 'full', $expr: { $lt: ['$seatsTaken', '$capacity'] } },
+        { status: 'open' }
+      );
+    }
+
+    if (booking && booking.status === 'cancelled') {
+      try {
+        await sendCalendarUpdate(booking, 'CANCEL', ['student']);
+      } catch (notificationError) {
+        console.error('Notification sending failed:', notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Left group session successfully',
+      data: {
+        refundAmount: booking && booking.cancellation ? booking.cancellation.refundAmount : 0,
+        terms
+      }
+    });
+
+  } catch (error) {
+    console.error('Leave group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave group session'
+    });
+  }
+});
+
+// @desc    Check the tutor in to every enrolled seat of a group session
+// @route   POST /api/group-sessions/:id/check-in
+// @access  Private (Tutor)
+router.post('/:id/check-in', authenticateToken, authorizeRoles('tutor'), async (req, res) => {
+  try {
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    const groupSession = await GroupSession.findById(req.params.id);
+
+    if (!tutor || !groupSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group session not found'
+      });
+    }
+
+    if (tutor._id.toString() !== groupSession.tutor.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to check in to this group session'
+      });
+    }
+
+    const seatIds = groupSession.participants
+      .filter(participant => participant.status === 'enrolled' && participant.booking)
+      .map(participant => participant.booking);
+    const seats = await Booking.find({ _id: { $in: seatIds }, status: { $in: ['scheduled', 'confirmed', 'in_progress'] } });
+
+    if (seats.length && !isWithinCheckInWindow(seats[0])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is only open shortly before and during the session'
+      });
+    }
+
+    for (const seat of seats) {
+      await recordAttendance(seat, 'tutor', 'check_in', 'manual', req.user._id);
+      await advanceBooking(seat);
+    }
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: { seatsCheckedIn: seats.length }
+    });
+
+  } catch (error) {
+    console.error('Group session check in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in'
+    });
+  }
+});
+
+// @desc    Cancel a group session
+// @route   PUT /api/group-sessions/:id/cancel
+// @access  Private (Tutor/Admin/Employee)
+router.put('/:id/cancel', authenticateToken, authorizeRoles('tutor', 'admin', 'employee'), [
+  body('reason').notEmpty().withMessage('Cancellation reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+
+    const groupSession = await GroupSession.findById(req.params.id)
+      .populate({ path: 'participants.student', select: 'user', populate: { path: 'user', select: 'firstName email timezone' } });
+
+    if (!groupSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group session not found'
+      });
+    }
+
+    if (req.user.role === 'tutor') {
+      const tutor = await Tutor.findOne({ user: req.user._id });
+      if (!tutor || tutor._id.toString() !== groupSession.tutor.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to cancel this group session'
+        });
+      }
+    }
+
+    if (['cancelled', 'completed'].includes(groupSession.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Group session is already ${groupSession.status}`
+      });
+    }
+
+    // Work out the terms for every enrolled seat before cancelling any of them
+    const enrolled = groupSession.participants.filter(participant => participant.status === 'enrolled');
+    const seats = [];
+    for (const participant of enrolled) {
+      const booking = participant.booking && await Booking.findById(participant.booking);
+      const terms = booking && booking.status !== 'cancelled'
+        ? await getCancellationTerms(booking, req.user.role)
+        : null;
+
+      if (terms && !terms.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: `Group session cannot be cancelled. ${terms.reason}.`,
+          data: { terms }
+        });
+      }
+      seats.push({ participant, booking, terms });
+    }
+
+    // Cancel every enrolled seat so each one is refunded
+    for (const { participant, booking, terms } of seats) {
+      await cancelSeatBooking(booking, reason, req.user.role, terms);
+      participant.status = 'cancelled';
+    }
+
+    groupSession.status = 'cancelled';
+    groupSession.cancellation = {
+      reason,
+      cancelledBy: req.user.role,
+      cancelledAt: Date.now()
+    };
+    await groupSession.save();
+
+    try {
+      await offerSlotToWaitlist(groupSession.tutor, groupSession.scheduledDate, groupSession.startTime, groupSession.endTime);
+    } catch (waitlistError) {
+      console.error('Waitlist offer failed:', waitlistError);
+    }
+
+    try {
+      const tutorTimezone = await getTutorTimezone(await Tutor.findById(groupSession.tutor));
+      const instants = getSessionInstants(groupSession.scheduledDate, groupSession.startTime, groupSession.endTime, tutorTimezone);
+
+      for (const { participant, booking } of seats) {
+        const session = formatSession(instants, participant.student.user.timezone || DEFAULT_TIMEZONE);
+        await sendEmail({
+          to: participant.student.user.email,
+          subject: 'Group Session Cancelled - Ed Share',
+          html: `<p>Hi ${participant.student.user.firstName},</p><p>The ${groupSession.subject} group session on ${session.date} at ${session.startTime} has been cancelled. Reason: ${reason}</p><p>Any payment for your seat will be refunded.</p>`,
+          attachments: booking ? [createCalendarAttachment(booking, 'CANCEL')] : undefined
+        });
+      }
+    } catch (notificationError) {
+      console.error('Notification sending failed:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Group session cancelled successfully',
+      data: { groupSession }
+    });
+
+  } catch (error) {
+    console.error('Cancel group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel group session'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const GuardianLink = require('../models/GuardianLink');
+const Student = require('../models/Student');
+
+const LINK_CODE_EXPIRY_MINUTES = parseInt(process.env.GUARDIAN_LINK_CODE_MINUTES, 10) || 30;
+const MAX_LINKED_CHILDREN = parseInt(process.env.MAX_LINKED_CHILDREN, 10) || 6;
+// Link requests and code guesses a parent gets per child in each window, whatever codes were sent
+const LINK_REQUEST_WINDOW_HOURS = parseInt(process.env.GUARDIAN_LINK_WINDOW_HOURS, 10) || 24;
+const MAX_LINK_REQUESTS = 3;
+const MAX_LINK_CODE_ATTEMPTS = 5;
+
+const hashLinkCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// IDs of the student profiles a parent is actively linked to
+const getLinkedStudentIds = async (parentId) => {
+  const links = await GuardianLink.find({ parent: parentId, status: 'active' }).select('student');
+  return links.map(link => link.student.toString());
+};
+
+// Check if the user is a parent linked to the student (a profile or its ID).
+// Relies on linkedStudentIds, which verifyAccessToken loads for parents on every
+// authenticated request and chat socket
+const isLinkedParent = (user, student) => {
+  const studentId = student && (student._id || student);
+  return user.role === 'parent' && Boolean(studentId) &&
+    (user.linkedStudentIds || []).includes(studentId.toString());
+};
+
+// Student profile query for the student a request acts for: the student's own profile,
+// or the linked child a parent names with studentId. Finds nothing for anyone else
+const findActingStudent = (req) => {
+  if (req.user.role === 'parent') {
+    const studentId = (req.body && req.body.studentId) || req.query.studentId;
+    return Student.findOne({ _id: isLinkedParent(req.user, studentId) ? studentId : null });
+  }
+  return Student.findOne({ user: req.user.role === 'student' ? req.user._id : null });
+};
+
+// Student profile IDs a parent's list queries cover: one named child, or all linked children
+const getActingStudentIds = (req) => {
+  const { studentId } = req.query;
+  if (studentId) {
+    return isLinkedParent(req.user, studentId) ? [studentId] : [];
+  }
+  return req.user.linkedStudentIds || [];
+};
+
+// Check whether a parent has room to link another child
+const canLinkAnotherChild = async (parentId) => {
+  const activeLinks = await GuardianLink.countDocuments({ parent: parentId, status: 'active' });
+  return activeLinks < MAX_LINKED_CHILDREN;
+};
+
+// Count a link request against the parent and child's window, starting a new window once the
+// last one has passed. Returns the link, or null once the window's requests or guesses are used up
+const claimLinkRequest = async (parentId, studentId) => {
+  const now = new Date();
+  const windowStartedAt = new Date(now.getTime() - LINK_REQUEST_WINDOW_HOURS * 60 * 60 * 1000);
+  const query = { parent: parentId, student: studentId, status: { $ne: 'active' } };
+
+  const renewed = await GuardianLink.findOneAndUpdate(
+    { ...query, $or: [{ 'requestLimit.windowStartedAt': null }, { 'requestLimit.windowStartedAt': { $lte: windowStartedAt } }] },
+    { $set: { 'requestLimit.windowStartedAt': now, 'requestLimit.requests': 1, 'requestLimit.attempts': 0 } },
+    { new: true }
+  );
+  if (renewed) {
+    return renewed;
+  }
+
+  return await GuardianLink.findOneAndUpdate(
+    {
+      ...query,
+      'requestLimit.windowStartedAt': { $gt: windowStartedAt },
+      'requestLimit.requests': { $not: { $gte: MAX_LINK_REQUESTS } },
+      'requestLimit.attempts': { $not: { $gte: MAX_LINK_CODE_ATTEMPTS } }
+    },
+    { $inc: { 'requestLimit.requests': 1 } },
+    { new: true }
+  );
+};
+
+// Open a link request from a parent to a child's profile, with a fresh code to text the child.
+// Returns { link, code }, or null if the child is already linked or has been asked too often lately
+const requestLink = async (parent, student, relationship) => {
+  await GuardianLink.updateOne(
+    { parent: parent._id, student: student._id },
+    { $setOnInsert: { relationship, status: 'pending' } },
+    { upsert: true }
+  );
+
+  const link = await claimLinkRequest(parent._id, student._id);
+  if (!link) {
+    return null;
+  }
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  link.relationship = relationship;
+  link.status = 'pending';
+  link.verification = {
+    codeHash: hashLinkCode(code),
+    expiresAt: new Date(Date.now() + LINK_CODE_EXPIRY_MINUTES * 60 * 1000)
+  };
+  link.requestedAt = new Date();
+  link.respondedAt = undefined;
+  link.revokedAt = undefined;
+  link.revokedBy = undefined;
+  await link.save();
+
+  return { link, code };
+};
+
+// Activate a pending link, recording how the child agreed to it
+const activateLink = async (link, verifiedBy) => {
+  link.status = 'active';
+  link.verifiedBy = verifiedBy;
+  link.linkedAt = new Date();
+  link.respondedAt = link.linkedAt;
+  link.verification = undefined;
+  await link.save();
+  return link;
+};
+
+// Activate a parent's pending link with the code texted to the child, or return null.
+// Each guess is counted before it is checked, so the window's guesses can't be exceeded
+// by trying codes in parallel or by asking for new ones
+const verifyLinkCode = async (parentId, studentId, code) => {
+  const link = await GuardianLink.findOneAndUpdate(
+    {
+      parent: parentId,
+      student: studentId,
+      status: 'pending',
+      'verification.codeHash': { $exists: true },
+      'verification.expiresAt': { $gt: new Date() },
+      'requestLimit.attempts': { $not: { $gte: MAX_LINK_CODE_ATTEMPTS } }
+    },
+    { $inc: { 'requestLimit.attempts': 1 } },
+    { new: true }
+  );
+  if (!link) {
+    return null;
+  }
+
+  const expected = Buffer.from(link.verification.codeHash);
+  const given = Buffer.from(hashLinkCode(code));
+  if (!crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  return await activateLink(link, 'phone_code');
+};
+
+// Let the child approve or reject a pending link
+const respondToLink = async (link, approve) => {
+  if (approve) {
+    return await activateLink(link, 'student_consent');
+  }
+
+  link.status = 'rejected';
+  link.respondedAt = new Date();
+  link.verification = undefined;
+  await link.save();
+  return link;
+};
+
+// End a link from either side
+const revokeLink = async (link, userId) => {
+  link.status = 'revoked';
+  link.revokedAt = new Date();
+  link.revokedBy = userId;
+  link.verification = undefined;
+  await link.save();
+  return link;
+};
+
+module.exports = {
+  LINK_CODE_EXPIRY_MINUTES,
+  MAX_LINKED_CHILDREN,
+  getLinkedStudentIds,
+  isLinkedParent,
+  findActingStudent,
+  getActingStudentIds,
+  canLinkAnotherChild,
+  requestLink,
+  verifyLinkCode,
+  respondToLink,
+  revokeLink
+};
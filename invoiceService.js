@@ -0,0 +1,373 @@
+const Booking = require('../models/Booking');
+const Student = require('../models/Student');
+const Tutor = require('../models/Tutor');
+const Invoice = require('../models/Invoice');
+const DocumentCounter = require('../models/DocumentCounter');
+const { sendEmail } = require('./emailService');
+const { createPdf } = require('./pdfService');
+const { DEFAULT_TIMEZONE, utcToZonedTime, formatSession } = require('./timezoneUtils');
+
+// Commercial training and coaching services
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '999293';
+const DOCUMENT_PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+const DOCUMENT_TITLES = { invoice: 'TAX INVOICE', credit_note: 'CREDIT NOTE' };
+
+// Round a currency amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const formatAmount = (amount) => Number(amount || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  timeZone: DEFAULT_TIMEZONE,
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatAddress = (address) => {
+  if (!address) {
+    return '';
+  }
+  if (typeof address === 'string') {
+    return address;
+  }
+  return [address.street, address.city, address.state, address.pincode].filter(Boolean).join(', ');
+};
+
+// The platform is the supplier of the tutoring service on every document
+const getSupplier = () => ({
+  name: process.env.PLATFORM_LEGAL_NAME || 'Ed Share',
+  address: process.env.PLATFORM_ADDRESS,
+  state: process.env.PLATFORM_STATE,
+  gstin: process.env.PLATFORM_GSTIN
+});
+
+// Indian financial year of a date, April to March, e.g. 2026-27
+const getFinancialYear = (date) => {
+  const { date: local } = utcToZonedTime(new Date(date), DEFAULT_TIMEZONE);
+  const year = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+
+  return `${year}-${String(year + 1).slice(-2)}`;
+};
+
+// Next number in a document series, e.g. INV/2627/000001 (GST allows at most 16 characters)
+const nextDocumentNumber = async (type, financialYear) => {
+  const prefix = DOCUMENT_PREFIXES[type];
+  const counter = await DocumentCounter.findOneAndUpdate(
+    { _id: `${prefix}/${financialYear}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  return `${prefix}/${financialYear.replace('-', '').slice(2)}/${String(counter.seq).padStart(6, '0')}`;
+};
+
+// CGST and SGST for a supply within the supplier's state, IGST across states; unknown states count as local
+const splitTax = (totalTax, supplierState, recipientState) => {
+  const interState = Boolean(supplierState && recipientState) &&
+    supplierState.trim().toLowerCase() !== recipientState.trim().toLowerCase();
+
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: totalTax };
+  }
+
+  const cgst = roundAmount(totalTax / 2);
+  return { cgst, sgst: roundAmount(totalTax - cgst), igst: 0 };
+};
+
+// Create a tax invoice for a sale to a student, populated with its user, optionally delivered by a tutor
+const createTaxInvoice = async ({ student, tutor, booking, studentPackage, membership, membershipPaymentId, description, baseAmount, tax, issuedAt }) => {
+  const studentUser = student.user;
+  const supplier = getSupplier();
+  const recipientState = studentUser.address && studentUser.address.state;
+
+  const taxableValue = roundAmount(baseAmount);
+  const totalTax = roundAmount(tax);
+  const financialYear = getFinancialYear(issuedAt);
+
+  return await Invoice.create({
+    type: 'invoice',
+    number: await nextDocumentNumber('invoice', financialYear),
+    financialYear,
+    booking,
+    studentPackage,
+    membership,
+    membershipPaymentId,
+    student: student._id,
+    tutor: tutor && tutor._id,
+    issuedAt,
+    supplier,
+    recipient: {
+      name: `${studentUser.firstName} ${studentUser.lastName}`,
+      email: studentUser.email,
+      address: formatAddress(studentUser.address),
+      state: recipientState
+    },
+    tutorName: tutor ? `${tutor.user.firstName} ${tutor.user.lastName}` : undefined,
+    tutorGstin: tutor && tutor.gstin,
+    placeOfSupply: recipientState || supplier.state,
+    items: [{
+      description,
+      sacCode: SAC_CODE,
+      taxableValue
+    }],
+    taxRate: taxableValue ? Math.round((totalTax / taxableValue) * 100) : 0,
+    taxableValue,
+    ...splitTax(totalTax, supplier.state, recipientState),
+    totalTax,
+    totalAmount: roundAmount(taxableValue + totalTax)
+  });
+};
+
+// Issue the tax invoice for a paid booking, or return the one already issued
+const issueInvoice = async (booking) => {
+  const existing = await Invoice.findOne({ booking: booking._id, type: 'invoice' });
+  if (existing) {
+    return existing;
+  }
+
+  const withParties = await Booking.findById(booking._id)
+    .populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName lastName email address' } })
+    .populate({ path: 'tutor', select: 'user gstin', populate: { path: 'user', select: 'firstName lastName' } });
+
+  // Coupon discounts are taken off before tax, so the taxable value is already net of them
+  const { couponCode, discount } = withParties.pricing;
+  const discountNote = couponCode ? ` (coupon ${couponCode}, ${formatAmount(discount)} off)` : '';
+
+  return await createTaxInvoice({
+    student: withParties.student,
+    tutor: withParties.tutor,
+    booking: booking._id,
+    description: `${withParties.subject} ${withParties.sessionType} session, ${formatSession(withParties)}${discountNote}`,
+    baseAmount: withParties.pricing.baseAmount,
+    tax: withParties.pricing.tax,
+    issuedAt: (booking.payment && booking.payment.paidAt) || new Date()
+  });
+};
+
+// Issue the tax invoice for a prepaid package when it is bought; its sessions are not invoiced again
+const issuePackageInvoice = async (studentPackage) => {
+  const existing = await Invoice.findOne({ studentPackage: studentPackage._id, type: 'invoice' });
+  if (existing) {
+    return existing;
+  }
+
+  const student = await Student.findById(studentPackage.student)
+    .select('user')
+    .populate('user', 'firstName lastName email address');
+  const tutor = studentPackage.tutor && await Tutor.findById(studentPackage.tutor)
+    .select('user gstin')
+    .populate('user', 'firstName lastName');
+
+  return await createTaxInvoice({
+    student,
+    tutor,
+    studentPackage: studentPackage._id,
+    description: `${studentPackage.name}: ${studentPackage.minutesPurchased / 60} hours of ${studentPackage.subject}`,
+    baseAmount: studentPackage.pricing.baseAmount,
+    tax: studentPackage.pricing.tax,
+    issuedAt: studentPackage.purchasedAt
+  });
+};
+
+// Issue the tax invoice for one membership fee payment, or return the one already issued
+const issueMembershipInvoice = async (membership, paymentId, amount, paidAt = new Date()) => {
+  const existing = await Invoice.findOne({ membershipPaymentId: paymentId, type: 'invoice' });
+  if (existing) {
+    return existing;
+  }
+
+  const student = await Student.findById(membership.student)
+    .select('user')
+    .populate('user', 'firstName lastName email address');
+  const { tax, totalAmount } = membership.pricing;
+  const totalTax = totalAmount ? roundAmount(amount * tax / totalAmount) : 0;
+
+  return await createTaxInvoice({
+    student,
+    membership: membership._id,
+    membershipPaymentId: paymentId,
+    description: `${membership.planName} membership (${membership.interval})`,
+    baseAmount: amount - totalTax,
+    tax: totalTax,
+    issuedAt: paidAt
+  });
+};
+
+// Issue a credit note reducing a booking's invoice by a refunded amount, tax included
+const issueCreditNote = async (booking, refundAmount, refundId, reason) => {
+  const invoice = await Invoice.findOne({ booking: booking._id, type: 'invoice' });
+  if (!invoice || !refundAmount) {
+    return null;
+  }
+
+  if (refundId) {
+    const existing = await Invoice.findOne({ type: 'credit_note', refundId });
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const totalAmount = roundAmount(Math.min(refundAmount, invoice.totalAmount));
+  const taxableValue = roundAmount(totalAmount * 100 / (100 + invoice.taxRate));
+  const totalTax = roundAmount(totalAmount - taxableValue);
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+
+  return await Invoice.create({
+    type: 'credit_note',
+    number: await nextDocumentNumber('credit_note', financialYear),
+    financialYear,
+    booking: booking._id,
+    student: invoice.student,
+    tutor: invoice.tutor,
+    originalInvoice: invoice._id,
+    refundId,
+    reason,
+    issuedAt,
+    supplier: invoice.supplier,
+    recipient: invoice.recipient,
+    tutorName: invoice.tutorName,
+    tutorGstin: invoice.tutorGstin,
+    placeOfSupply: invoice.placeOfSupply,
+    items: [{
+      description: `Refund against invoice ${invoice.number}`,
+      sacCode: SAC_CODE,
+      taxableValue
+    }],
+    taxRate: invoice.taxRate,
+    taxableValue,
+    ...splitTax(totalTax, invoice.supplier.state, invoice.recipient.state),
+    totalTax,
+    totalAmount
+  });
+};
+
+// Render an invoice or credit note as a PDF
+const renderInvoicePdf = async (invoice) => {
+  const pdf = createPdf();
+  const left = 50;
+  const right = 470;
+  let y = pdf.height - 60;
+
+  const row = (label, value, options) => {
+    pdf.text(left, y, label, options);
+    pdf.text(right, y, value, options);
+    y -= 16;
+  };
+
+  pdf.text(left, y, DOCUMENT_TITLES[invoice.type], { size: 18, bold: true });
+  y -= 30;
+  pdf.text(left, y, `${invoice.type === 'invoice' ? 'Invoice' : 'Credit note'} No: ${invoice.number}`);
+  pdf.text(330, y, `Date: ${formatDate(invoice.issuedAt)}`);
+  y -= 16;
+
+  if (invoice.originalInvoice) {
+    const original = await Invoice.findById(invoice.originalInvoice).select('number issuedAt');
+    pdf.text(left, y, `Against invoice: ${original.number} dated ${formatDate(original.issuedAt)}`);
+    y -= 16;
+  }
+  pdf.text(left, y, `Place of supply: ${invoice.placeOfSupply || '-'}`);
+  y -= 28;
+
+  // Supplier and recipient side by side
+  const partyTop = y;
+  const party = (x, heading, details) => {
+    y = partyTop;
+    pdf.text(x, y, heading, { bold: true });
+    y -= 14;
+    details.filter(Boolean).forEach(detail => {
+      pdf.text(x, y, detail, { size: 9 });
+      y -= 12;
+    });
+    return y;
+  };
+  const supplierBottom = party(left, 'Supplier', [
+    invoice.supplier.name,
+    invoice.supplier.address,
+    invoice.supplier.state,
+    `GSTIN: ${invoice.supplier.gstin || 'Not registered'}`,
+    invoice.tutorName && `Tutor: ${invoice.tutorName}${invoice.tutorGstin ? ` (GSTIN: ${invoice.tutorGstin})` : ''}`
+  ]);
+  const recipientBottom = party(330, 'Billed to', [
+    invoice.recipient.name,
+    invoice.recipient.email,
+    invoice.recipient.address
+  ]);
+  y = Math.min(supplierBottom, recipientBottom) - 16;
+
+  // Line items
+  pdf.line(left, y + 12, pdf.width - 50, y + 12);
+  pdf.text(left, y, 'Description', { bold: true });
+  pdf.text(340, y, 'SAC', { bold: true });
+  pdf.text(400, y, 'Qty', { bold: true });
+  pdf.text(right, y, 'Taxable value', { bold: true });
+  y -= 6;
+  pdf.line(left, y, pdf.width - 50, y);
+  y -= 14;
+  invoice.items.forEach(item => {
+    pdf.text(left, y, item.description.slice(0, 60), { size: 9 });
+    pdf.text(340, y, item.sacCode, { size: 9 });
+    pdf.text(400, y, String(item.quantity), { size: 9 });
+    pdf.text(right, y, formatAmount(item.taxableValue), { size: 9 });
+    y -= 14;
+  });
+  pdf.line(left, y + 4, pdf.width - 50, y + 4);
+  y -= 14;
+
+  // Tax breakup
+  row('Taxable value', formatAmount(invoice.taxableValue));
+  if (invoice.igst) {
+    row(`IGST @ ${invoice.taxRate}%`, formatAmount(invoice.igst));
+  } else {
+    row(`CGST @ ${invoice.taxRate / 2}%`, formatAmount(invoice.cgst));
+    row(`SGST @ ${invoice.taxRate / 2}%`, formatAmount(invoice.sgst));
+  }
+  row(`Total (${invoice.currency})`, formatAmount(invoice.totalAmount), { bold: true });
+
+  if (invoice.reason) {
+    y -= 10;
+    pdf.text(left, y, `Reason: ${invoice.reason}`, { size: 9 });
+  }
+
+  pdf.text(left, 50, 'This is a computer generated document and does not require a signature.', { size: 8 });
+
+  return pdf.toBuffer();
+};
+
+// File name of a document's PDF, e.g. INV-2627-000001.pdf
+const getInvoiceFilename = (invoice) => `${invoice.number.replace(/\//g, '-')}.pdf`;
+
+// Email the student an invoice or credit note with its PDF attached
+const sendInvoiceEmail = async (invoice) => {
+  const booking = invoice.booking && await Booking.findById(invoice.booking).select('subject');
+
+  await sendEmail({
+    to: invoice.recipient.email,
+    template: invoice.type === 'invoice' ? 'paymentConfirmation' : 'refundConfirmation',
+    data: {
+      studentName: invoice.recipient.name,
+      purchase: booking ? `your ${booking.subject} session` : invoice.items[0].description,
+      documentNumber: invoice.number,
+      amount: formatAmount(invoice.totalAmount),
+      historyLink: `${process.env.CLIENT_URL}/payments`
+    },
+    attachments: [{
+      filename: getInvoiceFilename(invoice),
+      content: await renderInvoicePdf(invoice),
+      contentType: 'application/pdf'
+    }]
+  });
+};
+
+module.exports = {
+  SAC_CODE,
+  getFinancialYear,
+  issueInvoice,
+  issuePackageInvoice,
+  issueMembershipInvoice,
+  issueCreditNote,
+  renderInvoicePdf,
+  getInvoiceFilename,
+  sendInvoiceEmail
+};
@@ -0,0 +1,372 @@
+const Membership = require('../models/Membership');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const { applyTax } = require('./bookingUtils');
+const { getSubscriptionGateway } = require('./subscriptionGateways');
+const { postMembershipPayment } = require('./earningsService');
+const { issueMembershipInvoice, sendInvoiceEmail } = require('./invoiceService');
+const { sendEmail } = require('./emailService');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = parseInt(process.env.MEMBERSHIP_GRACE_DAYS, 10) || 7;
+const REMINDER_INTERVAL_DAYS = 2;
+const OPEN_MEMBERSHIP_STATUSES = ['pending', 'active', 'past_due'];
+
+// What students get without a membership; chat stays open unless FREE_CHAT_ACCESS=false
+const FREE_ENTITLEMENTS = {
+  freeDemoSessions: 0,
+  chatAccess: process.env.FREE_CHAT_ACCESS !== 'false',
+  discountPercentage: 0
+};
+
+// Round a currency amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Price of one billing period of a plan, GST included
+const getPlanPricing = (plan) => {
+  const { baseAmount, tax, totalAmount } = applyTax(plan.price);
+  return { baseAmount: roundAmount(baseAmount), tax: roundAmount(tax), totalAmount: roundAmount(totalAmount) };
+};
+
+// Email a member about their membership without failing the caller
+const notifyMember = async (membership, subject, message) => {
+  try {
+    const student = await Student.findById(membership.student)
+      .select('user')
+      .populate('user', 'firstName email');
+
+    await sendEmail({
+      to: student.user.email,
+      subject: `${subject} - Ed Share`,
+      html: `<p>Hi ${student.user.firstName},</p><p>${message}</p>`
+    });
+  } catch (notificationError) {
+    console.error('Notification sending failed:', notificationError);
+  }
+};
+
+// Gateway plan of a membership plan, created the first time someone subscribes through that gateway
+const getGatewayPlanId = async (plan, provider) => {
+  const existing = plan.gatewayPlans && plan.gatewayPlans[provider];
+  if (existing) {
+    return existing;
+  }
+
+  const gatewayPlanId = await getSubscriptionGateway(provider).createPlan(plan, getPlanPricing(plan).totalAmount);
+  plan.set(`gatewayPlans.${provider}`, gatewayPlanId);
+  await plan.save();
+
+  return gatewayPlanId;
+};
+
+const getOpenMembership = async (studentId) => {
+  return await Membership.findOne({ student: studentId, status: { $in: OPEN_MEMBERSHIP_STATUSES } }).populate('plan', 'name isActive');
+};
+
+// Start a subscription on the gateway; it becomes active when the gateway reports the first payment
+const subscribe = async (student, user, plan, provider) => {
+  const open = await getOpenMembership(student._id);
+  if (open && open.status !== 'pending') {
+    return { status: 400, message: 'You already have an active membership' };
+  }
+
+  // A checkout the student abandoned is replaced by the new one
+  if (open) {
+    try {
+      await getSubscriptionGateway(open.provider).cancelSubscription(open.gatewaySubscriptionId, false);
+    } catch (error) {
+      console.error('Abandoned subscription cancel failed:', error);
+    }
+    open.status = 'cancelled';
+    open.cancelledAt = new Date();
+    open.endedAt = open.cancelledAt;
+    await open.save();
+  }
+
+  const gateway = getSubscriptionGateway(provider);
+  const gatewayPlanId = await getGatewayPlanId(plan, provider);
+  const subscription = await gateway.createSubscription(gatewayPlanId, plan, { student, user });
+
+  const membership = await Membership.create({
+    student: student._id,
+    plan: plan._id,
+    planName: plan.name,
+    interval: plan.interval,
+    pricing: getPlanPricing(plan),
+    entitlements: plan.entitlements,
+    provider,
+    gatewaySubscriptionId: subscription.subscriptionId,
+    gatewayCustomerId: subscription.customerId,
+    managementUrl: subscription.managementUrl
+  });
+
+  return { membership, checkout: subscription.checkout };
+};
+
+// Entitlements a student currently has, with the membership that grants them if any
+const getEntitlements = async (studentId, now = new Date()) => {
+  const membership = await Membership.findOne({ student: studentId, status: { $in: ['active', 'past_due'] } });
+  if (!membership || !membership.isEntitled(now)) {
+    return { membership: null, entitlements: { ...FREE_ENTITLEMENTS, freeDemosLeft: 0 } };
+  }
+
+  const { freeDemoSessions = 0, chatAccess, discountPercentage = 0 } = membership.entitlements || {};
+  return {
+    membership,
+    entitlements: {
+      freeDemoSessions,
+      freeDemosLeft: Math.max(freeDemoSessions - membership.demoSessionsUsed, 0),
+      chatAccess: Boolean(chatAccess) || FREE_ENTITLEMENTS.chatAccess,
+      discountPercentage
+    }
+  };
+};
+
+// Whether a user may message another; only students messaging tutors can need a membership
+const canMessageUser = async (user, recipientId) => {
+  if (user.role !== 'student' || FREE_ENTITLEMENTS.chatAccess) {
+    return true;
+  }
+
+  const recipient = await User.findById(recipientId).select('role');
+  if (!recipient || recipient.role !== 'tutor') {
+    return true;
+  }
+
+  const student = await Student.findOne({ user: user._id }).select('_id');
+  if (!student) {
+    return false;
+  }
+  const { entitlements } = await getEntitlements(student._id);
+  return entitlements.chatAccess;
+};
+
+// Use one of the membership's free demos for this period, returning null if none are left
+const claimFreeDemo = async (membership) => {
+  return await Membership.findOneAndUpdate(
+    {
+      _id: membership._id,
+      status: { $in: ['active', 'past_due'] },
+      demoSessionsUsed: { $lt: membership.entitlements.freeDemoSessions }
+    },
+    { $inc: { demoSessionsUsed: 1 } },
+    { new: true }
+  );
+};
+
+// Give back a free demo whose booking was cancelled or never created
+const returnFreeDemo = async (membershipId) => {
+  return await Membership.findOneAndUpdate(
+    { _id: membershipId, demoSessionsUsed: { $gt: 0 } },
+    { $inc: { demoSessionsUsed: -1 } },
+    { new: true }
+  );
+};
+
+// Cancel on the gateway, either straight away or when the paid period ends
+const cancelMembership = async (membership, immediately = false) => {
+  await getSubscriptionGateway(membership.provider).cancelSubscription(membership.gatewaySubscriptionId, !immediately);
+
+  membership.cancelledAt = new Date();
+  if (immediately) {
+    membership.status = 'cancelled';
+    membership.endedAt = membership.cancelledAt;
+  } else {
+    membership.cancelAtPeriodEnd = true;
+  }
+
+  await membership.save();
+  return membership;
+};
+
+// Close a membership that the gateway or dunning ended
+const endMembership = async (membership, status, message) => {
+  if (!OPEN_MEMBERSHIP_STATUSES.includes(membership.status)) {
+    return membership;
+  }
+
+  membership.status = status;
+  membership.endedAt = new Date();
+  await membership.save();
+
+  await notifyMember(membership, 'Membership Ended', message);
+  return membership;
+};
+
+// Record a paid billing period, renewing the membership and clearing any failed renewal
+const recordMembershipPayment = async (membership, { paymentId, amount, currency, periodStart, periodEnd }) => {
+  if (membership.payments.some(payment => payment.gatewayPaymentId === paymentId && payment.status === 'paid')) {
+    return membership;
+  }
+
+  // Free demos are counted per billing period
+  if (periodStart && membership.currentPeriodStart && periodStart > membership.currentPeriodStart) {
+    membership.demoSessionsUsed = 0;
+  }
+
+  // A late payment on an ended membership is still recorded, but doesn't reopen it
+  if (OPEN_MEMBERSHIP_STATUSES.includes(membership.status)) {
+    membership.status = 'active';
+  }
+  if (periodStart) membership.currentPeriodStart = periodStart;
+  if (periodEnd) membership.currentPeriodEnd = periodEnd;
+  membership.dunning = { failedAttempts: 0 };
+  membership.payments.push({ gatewayPaymentId: paymentId, status: 'paid', amount, currency, periodStart, periodEnd });
+
+  await membership.save();
+  await postMembershipPayment(membership, paymentId, amount);
+
+  try {
+    const invoice = await issueMembershipInvoice(membership, paymentId, amount);
+    await sendInvoiceEmail(invoice);
+  } catch (error) {
+    console.error('Invoice issue failed:', error);
+  }
+
+  return membership;
+};
+
+// Start or continue dunning after a failed renewal; the membership stays usable during the grace period
+const recordFailedRenewal = async (membership, { paymentId, failureReason, nextRetryAt }, now = new Date()) => {
+  membership.payments.push({ gatewayPaymentId: paymentId, status: 'failed', failureReason, at: now });
+
+  // A failed first payment just leaves the checkout pending
+  if (membership.status === 'pending') {
+    await membership.save();
+    return membership;
+  }
+
+  const dunning = membership.dunning || {};
+  membership.status = 'past_due';
+  membership.dunning = {
+    failedAttempts: (dunning.failedAttempts || 0) + 1,
+    firstFailedAt: dunning.firstFailedAt || now,
+    lastFailedAt: now,
+    failureReason,
+    nextRetryAt,
+    graceEndsAt: dunning.graceEndsAt || new Date(now.getTime() + GRACE_DAYS * DAY_IN_MS),
+    lastReminderAt: now
+  };
+  await membership.save();
+
+  await notifyMember(
+    membership,
+    'Membership Renewal Failed',
+    `We couldn't renew your ${membership.planName} membership${failureReason ? ` (${failureReason})` : ''}. ` +
+    `Please update your payment method by ${membership.dunning.graceEndsAt.toDateString()} to keep your benefits: ` +
+    `<a href="${membership.managementUrl || `${process.env.CLIENT_URL}/membership`}">update payment</a>.`
+  );
+  return membership;
+};
+
+// Apply a subscription webhook event from a gateway to its membership
+const handleSubscriptionEvent = async (provider, event) => {
+  const parsed = getSubscriptionGateway(provider).parseEvent(event);
+  if (!parsed) {
+    return { status: 'ignored' };
+  }
+
+  const membership = await Membership.findOne({ gatewaySubscriptionId: parsed.subscriptionId });
+  if (!membership) {
+    return { status: 'ignored' };
+  }
+
+  switch (parsed.type) {
+    case 'activated':
+      if (membership.status === 'pending') {
+        membership.status = 'active';
+        membership.currentPeriodStart = parsed.periodStart;
+        membership.currentPeriodEnd = parsed.periodEnd;
+        await membership.save();
+      }
+      break;
+
+    case 'paid':
+      await recordMembershipPayment(membership, parsed);
+      break;
+
+    case 'payment_failed':
+      await recordFailedRenewal(membership, parsed);
+      break;
+
+    case 'halted':
+      await endMembership(membership, 'expired', `Your ${membership.planName} membership has ended because its renewal payments failed.`);
+      break;
+
+    case 'ended':
+      await endMembership(
+        membership,
+        membership.status === 'past_due' ? 'expired' : 'cancelled',
+        `Your ${membership.planName} membership has ended.`
+      );
+      break;
+  }
+
+  return { status: 'processed' };
+};
+
+// Remind members with failed renewals and end memberships whose grace period is over
+const processMembershipDunning = async (now = new Date()) => {
+  let processed = 0;
+
+  const overdue = await Membership.find({ status: 'past_due', 'dunning.graceEndsAt': { $lte: now } });
+  for (const membership of overdue) {
+    try {
+      await getSubscriptionGateway(membership.provider).cancelSubscription(membership.gatewaySubscriptionId, false);
+      await endMembership(membership, 'expired', `Your ${membership.planName} membership has ended because we couldn't collect the renewal payment.`);
+      processed += 1;
+    } catch (error) {
+      console.error(`Failed to end membership ${membership._id}:`, error);
+    }
+  }
+
+  const reminders = await Membership.find({
+    status: 'past_due',
+    'dunning.graceEndsAt': { $gt: now },
+    'dunning.lastReminderAt': { $lte: new Date(now.getTime() - REMINDER_INTERVAL_DAYS * DAY_IN_MS) }
+  });
+  for (const membership of reminders) {
+    membership.dunning.lastReminderAt = now;
+    await membership.save();
+    await notifyMember(
+      membership,
+      'Membership Payment Due',
+      `Your ${membership.planName} membership renewal is still unpaid. Your benefits end on ${membership.dunning.graceEndsAt.toDateString()} unless you ` +
+      `<a href="${membership.managementUrl || `${process.env.CLIENT_URL}/membership`}">update your payment method</a>.`
+    );
+    processed += 1;
+  }
+
+  // Fallback for memberships cancelled at period end whose gateway event never arrived
+  const lapsed = await Membership.find({ status: 'active', cancelAtPeriodEnd: true, currentPeriodEnd: { $lte: now } });
+  for (const membership of lapsed) {
+    await endMembership(membership, 'cancelled', `Your ${membership.planName} membership has ended.`);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+// Periodically run membership dunning (call once on server start)
+const startMembershipJob = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    processMembershipDunning().catch(error => console.error('Membership job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  FREE_ENTITLEMENTS,
+  getPlanPricing,
+  getOpenMembership,
+  subscribe,
+  getEntitlements,
+  canMessageUser,
+  claimFreeDemo,
+  returnFreeDemo,
+  cancelMembership,
+  handleSubscriptionEvent,
+  processMembershipDunning,
+  startMembershipJob
+};
@@ -0,0 +1,115 @@
+const Tutor = require('../models/Tutor');
+const { verifyAccessToken } = require('../utils/sessionService');
+
+// Authenticate the bearer access token. The token's session must still be open, so logging out,
+// revoking other sessions and suspending the account take effect on the next request. Sessions
+// that still owe the 2FA their role requires get a 403 telling the client to set it up, rather
+// than a 401 it would answer by refreshing the token
+const authenticateToken = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    const user = await verifyAccessToken(header.slice(7), { allowTwoFactorPending: true });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Invalid or expired token.'
+      });
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended. Please contact support.'
+      });
+    }
+
+    if (user.twoFactorPending) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up before using this feature',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authenticate token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+// Only let through users with one of the given roles
+const authorizeRoles = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Insufficient permissions.'
+    });
+  }
+  next();
+};
+
+// Only let a user act on their own account (the :id route parameter by default), unless they are staff
+const checkOwnership = (param = 'id') => (req, res, next) => {
+  if (['admin', 'employee'].includes(req.user.role) || req.params[param] === req.user._id.toString()) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied'
+  });
+};
+
+// Only let staff through who hold the permission; admins hold every permission
+const checkPermission = (permission) => (req, res, next) => {
+  if (req.user.role === 'admin' || (req.user.role === 'employee' && (req.user.permissions || []).includes(permission))) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied. Insufficient permissions.'
+  });
+};
+
+// Load the requesting tutor's profile onto the request as req.tutor
+const checkTutorProfile = async (req, res, next) => {
+  try {
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    req.tutor = tutor;
+    next();
+  } catch (error) {
+    console.error('Check tutor profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load tutor profile'
+    });
+  }
+};
+
+module.exports = {
+  authenticateToken,
+  authorizeRoles,
+  checkOwnership,
+  checkPermission,
+  checkTutorProfile
+};
@@ -0,0 +1,191 @@
+const StudentPackage = require('../models/StudentPackage');
+const { applyTax } = require('./bookingUtils');
+const { debitWallet } = require('./walletService');
+const { postPackagePurchase, postPackageExpiry } = require('./earningsService');
+const { issuePackageInvoice, sendInvoiceEmail } = require('./invoiceService');
+const { sendEmail } = require('./emailService');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Round a currency amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Buy a package for a student with their wallet balance, returning null if the balance is too low
+const purchasePackage = async (studentId, sessionPackage) => {
+  const { baseAmount, tax, totalAmount } = applyTax(sessionPackage.price);
+  const purchasedAt = new Date();
+
+  const studentPackage = new StudentPackage({
+    student: studentId,
+    package: sessionPackage._id,
+    name: sessionPackage.name,
+    tutor: sessionPackage.tutor,
+    subject: sessionPackage.subject,
+    minutesPurchased: sessionPackage.hours * 60,
+    minutesRemaining: sessionPackage.hours * 60,
+    pricing: {
+      baseAmount: roundAmount(baseAmount),
+      tax: roundAmount(tax),
+      totalAmount: roundAmount(totalAmount)
+    },
+    purchasedAt,
+    expiresAt: new Date(purchasedAt.getTime() + sessionPackage.validityDays * DAY_IN_MS)
+  });
+
+  const walletTransaction = await debitWallet(studentId, studentPackage.pricing.totalAmount, 'package_purchase', {
+    reference: `package_purchase:${studentPackage._id}`,
+    studentPackage: studentPackage._id,
+    description: `Purchase of ${sessionPackage.name}`
+  });
+  if (!walletTransaction) {
+    return null;
+  }
+
+  await studentPackage.save();
+  await postPackagePurchase(studentPackage);
+
+  try {
+    const invoice = await issuePackageInvoice(studentPackage);
+    await sendInvoiceEmail(invoice);
+  } catch (error) {
+    console.error('Invoice issue failed:', error);
+  }
+
+  return studentPackage;
+};
+
+// Why a package can't pay for a session, or null if it can
+const getPackageUnusableReason = (studentPackage, tutorId, subject, minutes, now = new Date()) => {
+  if (!studentPackage) {
+    return 'Package not found';
+  }
+  if (studentPackage.status === 'expired' || studentPackage.expiresAt <= now) {
+    return 'Package has expired';
+  }
+  if (studentPackage.tutor && studentPackage.tutor.toString() !== tutorId.toString()) {
+    return 'Package is for a different tutor';
+  }
+  if (studentPackage.subject.toLowerCase() !== subject.toLowerCase()) {
+    return 'Package is for a different subject';
+  }
+  if (studentPackage.minutesRemaining < minutes) {
+    return 'Package does not have enough hours left';
+  }
+  return null;
+};
+
+// Price of a session drawn from a package, at the package's discounted rate
+const getPackagePricing = (studentPackage, minutes) => {
+  const share = minutes / studentPackage.minutesPurchased;
+  const baseAmount = roundAmount(studentPackage.pricing.baseAmount * share);
+  const tax = roundAmount(studentPackage.pricing.tax * share);
+
+  return { baseAmount, tax, totalAmount: roundAmount(baseAmount + tax) };
+};
+
+// Draw a session's minutes from a package, returning null if they were used up or it expired meanwhile
+const drawPackageMinutes = async (studentPackage, booking, minutes) => {
+  const updated = await StudentPackage.findOneAndUpdate(
+    {
+      _id: studentPackage._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      minutesRemaining: { $gte: minutes }
+    },
+    {
+      $inc: { minutesRemaining: -minutes },
+      $push: { usage: { booking: booking._id, type: 'draw', minutes } }
+    },
+    { new: true }
+  );
+
+  if (updated && updated.minutesRemaining === 0) {
+    updated.status = 'exhausted';
+    await updated.save();
+  }
+
+  return updated;
+};
+
+// Give a booking's minutes back to the package it was drawn from; minutes returned after expiry lapse with it
+const returnPackageMinutes = async (studentPackageId, bookingId, minutes) => {
+  return await StudentPackage.findOneAndUpdate(
+    {
+      _id: studentPackageId,
+      status: { $in: ['active', 'exhausted'] },
+      expiresAt: { $gt: new Date() },
+      usage: { $not: { $elemMatch: { booking: bookingId, type: 'return' } } }
+    },
+    {
+      $inc: { minutesRemaining: minutes },
+      $set: { status: 'active' },
+      $push: { usage: { booking: bookingId, type: 'return', minutes } }
+    },
+    { new: true }
+  );
+};
+
+// Let the student know unused hours on a package have expired
+const notifyPackageExpired = async (studentPackage, minutes) => {
+  await studentPackage.populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName email' } });
+  const user = studentPackage.student.user;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Package Expired - Ed Share',
+    html: `<p>Hi ${user.firstName},</p><p>Your package "${studentPackage.name}" has expired with ${Math.round((minutes / 60) * 100) / 100} unused hours of ${studentPackage.subject}.</p>`
+  });
+};
+
+// Expire packages past their validity, writing off the minutes left on them
+const expirePackages = async (now = new Date()) => {
+  const packages = await StudentPackage.find({
+    status: { $in: ['active', 'exhausted'] },
+    expiresAt: { $lte: now }
+  });
+
+  let expired = 0;
+  for (const studentPackage of packages) {
+    try {
+      const minutes = studentPackage.minutesRemaining;
+
+      studentPackage.status = 'expired';
+      studentPackage.expiredMinutes = minutes;
+      studentPackage.minutesRemaining = 0;
+      await studentPackage.save();
+      await postPackageExpiry(studentPackage, minutes);
+      expired += 1;
+
+      if (minutes > 0) {
+        try {
+          await notifyPackageExpired(studentPackage, minutes);
+        } catch (notificationError) {
+          console.error('Notification sending failed:', notificationError);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to expire package ${studentPackage._id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+// Periodically expire packages (call once on server start)
+const startPackageExpiryJob = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    expirePackages().catch(error => console.error('Package expiry job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purchasePackage,
+  getPackageUnusableReason,
+  getPackagePricing,
+  drawPackageMinutes,
+  returnPackageMinutes,
+  expirePackages,
+  startPackageExpiryJob
+};
@@ -0,0 +1,220 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const GuardianLink = require('../models/GuardianLink');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { sendSMS } = require('../utils/smsService');
+const { claimSendSlot, getRetryAfterSeconds } = require('../utils/authThrottleService');
+const { LINK_CODE_EXPIRY_MINUTES, MAX_LINKED_CHILDREN, canLinkAnotherChild, requestLink, verifyLinkCode, revokeLink } = require('../utils/guardianService');
+
+const router = express.Router();
+
+// Student profile of the student account with this email or phone, or null
+const findStudentByIdentifier = async (emailOrPhone) => {
+  const user = await User.findOne({
+    role: 'student',
+    $or: [
+      { email: emailOrPhone.toLowerCase() },
+      { phone: emailOrPhone }
+    ]
+  }).select('firstName lastName email phone');
+  if (!user) {
+    return null;
+  }
+
+  const student = await Student.findOne({ user: user._id });
+  return student && { student, user };
+};
+
+// @desc    Get linked children and pending link requests
+// @route   GET /api/parents/children
+// @access  Private (Parent)
+router.get('/children', authenticateToken, authorizeRoles('parent'), async (req, res) => {
+  try {
+    const links = await GuardianLink.find({ parent: req.user._id, status: { $in: ['pending', 'active'] } })
+      .select('-verification')
+      .populate({ path: 'student', select: 'user currentClass board stats', populate: { path: 'user', select: 'firstName lastName avatar' } })
+      .sort({ status: 1, linkedAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        children: links.filter(link => link.status === 'active'),
+        pending: links.filter(link => link.status === 'pending')
+      }
+    });
+
+  } catch (error) {
+    console.error('Get children error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch linked children'
+    });
+  }
+});
+
+// @desc    Ask to link a child's student account; the child approves it or shares the code texted to them
+// @route   POST /api/parents/children
+// @access  Private (Parent)
+router.post('/children', authenticateToken, authorizeRoles('parent'), [
+  body('emailOrPhone').trim().notEmpty().withMessage("Child's email or phone is required"),
+  body('relationship').isIn(['father', 'mother', 'guardian']).withMessage('Invalid relationship')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { emailOrPhone, relationship } = req.body;
+
+    if (!await canLinkAnotherChild(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `You can link up to ${MAX_LINKED_CHILDREN} children`
+      });
+    }
+
+    // Limit how often a child can be asked, whether or not the account exists. A matching child is
+    // limited by their account, so asking by email and then by phone doesn't get round it
+    const match = await findStudentByIdentifier(emailOrPhone);
+    const nextSendAt = await claimSendSlot('guardian_link', match ? match.student._id.toString() : emailOrPhone);
+    if (nextSendAt) {
+      const retryAfter = getRetryAfterSeconds(nextSendAt);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before sending another link request',
+        retryAfter
+      });
+    }
+
+    // The response is the same whether or not a student account matches, and whether or not the
+    // child is already linked or has been asked too often lately
+    const request = match && await requestLink(req.user, match.student, relationship);
+    if (request) {
+      const { link, code } = request;
+      const parentName = `${req.user.firstName} ${req.user.lastName}`;
+      try {
+        await sendSMS(match.user.phone,
+          `${parentName} wants to link your Ed Share account as your ${link.relationship}. Share code ${code} with them, or approve the request in your account. Valid for ${LINK_CODE_EXPIRY_MINUTES} minutes.`
+        );
+        await sendEmail({
+          to: match.user.email,
+          subject: 'Parent Link Request - Ed Share',
+          html: `<p>Hi ${match.user.firstName},</p><p>${parentName} has asked to link your Ed Share account as your ${link.relationship}, so they can book and pay for your sessions and follow your progress.</p><p>You can approve or reject the request from your account.</p>`
+        });
+      } catch (notificationError) {
+        console.error('Notification sending failed:', notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If a student account matches, we have asked them to confirm. Enter the code sent to their phone, or wait for them to approve.'
+    });
+
+  } catch (error) {
+    console.error('Request child link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send link request'
+    });
+  }
+});
+
+// @desc    Complete a link request with the code texted to the child
+// @route   POST /api/parents/children/verify
+// @access  Private (Parent)
+router.post('/children/verify', authenticateToken, authorizeRoles('parent'), [
+  body('emailOrPhone').trim().notEmpty().withMessage("Child's email or phone is required"),
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { emailOrPhone, code } = req.body;
+
+    const match = await findStudentByIdentifier(emailOrPhone);
+    const link = match && await verifyLinkCode(req.user._id, match.student._id, code);
+    if (!link) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Child linked successfully',
+      data: { studentId: match.student._id }
+    });
+
+  } catch (error) {
+    console.error('Verify child link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify link code'
+    });
+  }
+});
+
+// @desc    Unlink a child, or withdraw a pending request
+// @route   DELETE /api/parents/children/:studentId
+// @access  Private (Parent)
+router.delete('/children/:studentId', authenticateToken, authorizeRoles('parent'), [
+  param('studentId').isMongoId().withMessage('Invalid student ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const link = await GuardianLink.findOne({
+      parent: req.user._id,
+      student: req.params.studentId,
+      status: { $in: ['pending', 'active'] }
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Linked child not found'
+      });
+    }
+
+    await revokeLink(link, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Child unlinked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlink child error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink child'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// Payment gateways booking and wallet payments can be taken through. Every provider has:
+//   name, defaultCurrency
+//   createOrder({ amount, currency, metadata }) -> { orderId, clientData } for the checkout
+//   verify(body) -> payment for the proof the client sends back, or null if it doesn't check out
+//   fetch(transactionId) -> payment
+//   refund(transactionId, amount, metadata) -> refund
+//   fetchRefund(refundId) -> refund, to follow a pending refund until the gateway settles it
+//   parseWebhook(rawBody, headers) -> { id, name, payload, event }, or null if the signature is invalid
+//   parseSettlementRow(row) -> { type: payment/refund/other, transactionId, refundId, amount, fee, tax,
+//     currency, settledAt, settlementId } as text, for a settlement report row keyed by lowercased column
+// Amounts are in major units. A payment is { transactionId, orderId, amount, currency,
+// status: pending/captured/refunded/failed, failureReason, metadata }, a refund is { refundId, amount,
+// status: pending/processed/failed, processedAt, failureReason }, and a webhook event is
+// { type, occurredAt } plus a payment (payment_captured, payment_failed), a refund
+// (refund_processed, refund_failed) or the raw event (subscription).
+const providers = {
+  razorpay: () => require('./razorpayProvider'),
+  stripe: () => require('./stripeProvider'),
+  fake: () => require('./fakePaymentProvider')
+};
+
+// Providers switched on for this deployment, e.g. PAYMENT_PROVIDERS=fake in CI
+const PAYMENT_PROVIDERS = (process.env.PAYMENT_PROVIDERS || 'razorpay,stripe')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => providers[name]);
+
+// Provider for an enabled gateway, or null
+const getPaymentProvider = (name) => (PAYMENT_PROVIDERS.includes(name) ? providers[name]() : null);
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  getPaymentProvider
+};
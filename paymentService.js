@@ -0,0 +1,482 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const PaymentEvent = require('../models/PaymentEvent');
+const { creditBookingEarnings, debitBookingRefund, postWalletTopUp } = require('./earningsService');
+const { issueInvoice, issueCreditNote, sendInvoiceEmail } = require('./invoiceService');
+const { creditWallet } = require('./walletService');
+const { returnPackageMinutes } = require('./packageService');
+const { returnFreeDemo, handleSubscriptionEvent } = require('./membershipService');
+const { getPaymentProvider } = require('./paymentProviders');
+
+const SETTLED_PAYMENT_STATUSES = ['paid', 'partial_refund', 'refunded'];
+const BOOKING_CURRENCY = 'INR';
+// Events still being handled after this long are assumed to have been cut off
+const STALE_EVENT_MINUTES = 5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Compare a captured amount and currency with the booking's price, returning the mismatch if any
+const getPaymentMismatch = (booking, amount, currency) => {
+  if (Math.round(amount * 100) !== Math.round(booking.pricing.totalAmount * 100)) {
+    return `Captured amount ${amount} does not match booking total ${booking.pricing.totalAmount}`;
+  }
+  if (!currency || currency.toUpperCase() !== BOOKING_CURRENCY) {
+    return `Captured currency ${currency} does not match booking currency ${BOOKING_CURRENCY}`;
+  }
+  return null;
+};
+
+// Issue and email the tax invoice for a newly paid booking without failing the payment
+const issueBookingInvoice = async (booking) => {
+  try {
+    const invoice = await issueInvoice(booking);
+    await sendInvoiceEmail(invoice);
+  } catch (error) {
+    console.error('Invoice issue failed:', error);
+  }
+};
+
+// Issue and email a credit note for a refund without failing the refund
+const issueRefundCreditNote = async (booking, refundAmount, refundId, reason) => {
+  try {
+    const creditNote = await issueCreditNote(booking, refundAmount, refundId, reason);
+    if (creditNote) {
+      await sendInvoiceEmail(creditNote);
+    }
+  } catch (error) {
+    console.error('Credit note issue failed:', error);
+  }
+};
+
+// Credit the tutor for a paid booking and invoice it
+const completeBookingPayment = async (booking) => {
+  await creditBookingEarnings(booking);
+
+  // Package sessions were invoiced when the package was bought, and free membership demos aren't sold
+  if (!['package', 'membership'].includes(booking.payment.method)) {
+    await issueBookingInvoice(booking);
+  }
+};
+
+// Mark a booking paid unless the gateway has already settled it; payments that don't match the price are held for review
+const markBookingPaid = async (booking, { method, transactionId, paymentId, amount, currency, paidAt = new Date() }) => {
+  if (booking.payment && [...SETTLED_PAYMENT_STATUSES, 'under_review'].includes(booking.payment.status)) {
+    return booking;
+  }
+
+  const mismatch = getPaymentMismatch(booking, amount, currency);
+
+  booking.payment = {
+    status: mismatch ? 'under_review' : 'paid',
+    method,
+    transactionId,
+    paymentId,
+    amount,
+    currency,
+    paidAt,
+    reviewReason: mismatch || undefined
+  };
+  if (!mismatch && booking.status === 'scheduled') {
+    booking.status = 'confirmed';
+  }
+
+  await booking.save();
+
+  // Flagged payments are credited to the tutor once an admin approves them
+  if (!mismatch) {
+    await completeBookingPayment(booking);
+  }
+  return booking;
+};
+
+// Record a failed attempt, leaving a booking that was paid through another attempt untouched
+const markBookingPaymentFailed = async (booking, { method, transactionId, paymentId, reason }) => {
+  if (booking.payment && [...SETTLED_PAYMENT_STATUSES, 'under_review'].includes(booking.payment.status)) {
+    return booking;
+  }
+
+  booking.payment = {
+    status: 'failed',
+    method,
+    transactionId,
+    paymentId,
+    failureReason: reason,
+    failedAt: new Date()
+  };
+
+  await booking.save();
+  return booking;
+};
+
+// Total of a booking's refunds still waiting on the gateway
+const getPendingRefundTotal = (booking) => (booking.payment.refunds || [])
+  .filter(refund => refund.status === 'pending')
+  .reduce((total, refund) => total + refund.amount, 0);
+
+// Amount of a booking's payment not yet refunded or being refunded
+const getRefundableAmount = (booking) => {
+  const paidAmount = booking.payment.amount || booking.pricing.totalAmount;
+  return roundAmount(paidAmount - (booking.payment.refundAmount || 0) - getPendingRefundTotal(booking));
+};
+
+// Add a pending refund to a booking, or null if another refund was added since the booking was read
+const reserveRefund = async (booking, { amount, reason, provider, processedBy }) => {
+  const count = (booking.payment.refunds || []).length;
+  const refund = {
+    _id: new mongoose.Types.ObjectId(),
+    amount,
+    status: 'pending',
+    reason,
+    provider,
+    processedBy,
+    requestedAt: new Date()
+  };
+
+  // The refunds the refundable amount was worked out from must still be the only ones
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'payment.refunds': count ? { $size: count } : { $in: [null, []] } },
+    { $push: { 'payment.refunds': refund } },
+    { new: true }
+  );
+  if (!updated) {
+    return null;
+  }
+
+  return { booking: updated, refund: updated.payment.refunds.id(refund._id) };
+};
+
+// Settle a pending refund once, whether the route, a webhook or the sync job sees it first;
+// processed refunds come off the tutor's earnings and get a credit note
+const settleRefund = async (booking, refund, { status, refundId, processedAt = new Date(), failureReason, account }) => {
+  const set = { 'payment.refunds.$.lastCheckedAt': new Date() };
+  if (refundId) {
+    set['payment.refunds.$.refundId'] = refundId;
+  }
+
+  if (status === 'pending') {
+    await Booking.updateOne({ _id: booking._id, 'payment.refunds._id': refund._id }, { $set: set });
+    refund.refundId = refundId || refund.refundId;
+    return booking;
+  }
+
+  set['payment.refunds.$.status'] = status;
+  const update = { $set: set };
+  if (status === 'failed') {
+    set['payment.refunds.$.failureReason'] = failureReason;
+  } else {
+    set['payment.refunds.$.processedAt'] = processedAt;
+    set['payment.refundId'] = refundId || refund.refundId;
+    set['payment.refundedAt'] = processedAt;
+    update.$inc = { 'payment.refundAmount': refund.amount };
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'payment.refunds': { $elemMatch: { _id: refund._id, status: 'pending' } } },
+    update,
+    { new: true }
+  );
+  if (!updated || status === 'failed') {
+    return updated || booking;
+  }
+
+  const paidAmount = updated.payment.amount || updated.pricing.totalAmount;
+  updated.payment.refundAmount = roundAmount(updated.payment.refundAmount);
+  updated.payment.status = updated.payment.refundAmount >= paidAmount ? 'refunded' : 'partial_refund';
+  await updated.save();
+
+  const settledId = refundId || refund.refundId;
+  await debitBookingRefund(updated, refund.amount, settledId, account);
+  await issueRefundCreditNote(updated, refund.amount, settledId, refund.reason);
+  return updated;
+};
+
+// Record a refund that has already settled, such as a wallet refund or one made from the gateway dashboard
+const recordBookingRefund = async (booking, { refundId, amount, refundedAt = new Date(), reason, provider, account }) => {
+  const refund = {
+    _id: new mongoose.Types.ObjectId(),
+    refundId,
+    amount,
+    status: 'pending',
+    reason,
+    provider,
+    requestedAt: refundedAt
+  };
+
+  const updated = await Booking.findByIdAndUpdate(booking._id, { $push: { 'payment.refunds': refund } }, { new: true });
+  return await settleRefund(updated, refund, { status: 'processed', processedAt: refundedAt, account });
+};
+
+// Ask the gateways about refunds still pending on them and settle the ones that have finished
+const syncPendingRefunds = async () => {
+  const bookings = await Booking.find({
+    'payment.refunds': { $elemMatch: { status: 'pending', refundId: { $exists: true } } }
+  });
+
+  let settled = 0;
+  for (const booking of bookings) {
+    const pending = booking.payment.refunds.filter(refund => refund.status === 'pending' && refund.refundId);
+
+    for (const refund of pending) {
+      const provider = getPaymentProvider(refund.provider);
+      if (!provider) continue;
+
+      try {
+        const result = await provider.fetchRefund(refund.refundId);
+        await settleRefund(booking, refund, result);
+        if (result.status !== 'pending') {
+          settled += 1;
+        }
+      } catch (error) {
+        console.error(`Failed to sync refund ${refund.refundId}:`, error);
+      }
+    }
+  }
+
+  return settled;
+};
+
+// Periodically sync pending gateway refunds (call once on server start)
+const startRefundSyncJob = (intervalMs = 15 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    syncPendingRefunds().catch(error => console.error('Refund sync job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Return what a student is owed for a paid booking to their wallet, as hours to the package the session was drawn from,
+// or as a free demo to the membership that paid for it. The key names the refund, so it is only applied once
+const refundBookingToStudent = async (booking, { refundAmount, refundPercentage, reason }, key, description) => {
+  if (!refundAmount || !booking.payment || booking.payment.status !== 'paid') {
+    return null;
+  }
+
+  const reference = `${key}:${booking._id}`;
+  if ((booking.payment.refunds || []).some(refund => refund.refundId === reference)) {
+    return null;
+  }
+
+  if (booking.payment.method === 'package') {
+    const minutes = Math.round(booking.duration * refundPercentage / 100);
+    // The package a session was drawn from is recorded as its transaction
+    const studentPackage = await returnPackageMinutes(booking.payment.transactionId, booking._id, minutes);
+    if (!studentPackage) {
+      return null;
+    }
+  } else if (booking.payment.method === 'membership') {
+    // The membership that paid for the demo is recorded as its transaction
+    await returnFreeDemo(booking.payment.transactionId);
+  } else {
+    await creditWallet(booking.student._id || booking.student, refundAmount, key, {
+      reference,
+      booking: booking._id,
+      description
+    });
+  }
+
+  return await recordBookingRefund(booking, {
+    refundId: reference,
+    amount: refundAmount,
+    reason,
+    provider: ['package', 'membership'].includes(booking.payment.method) ? booking.payment.method : 'wallet',
+    account: booking.payment.method === 'membership' ? 'membership_benefits' : 'student_wallet'
+  });
+};
+
+// Refund a cancelled booking under the terms it was cancelled with
+const refundCancellation = async (booking) => {
+  return await refundBookingToStudent(booking, booking.cancellation || {}, 'cancellation_refund',
+    `Refund for cancelled ${booking.subject} session`);
+};
+
+// Refund a session the tutor missed under the no-show terms recorded on it
+const refundNoShow = async (booking) => {
+  const noShow = booking.noShow || {};
+  const terms = {
+    refundAmount: noShow.refundAmount,
+    refundPercentage: noShow.refundPercentage,
+    reason: `No-show by ${noShow.party}`
+  };
+
+  return await refundBookingToStudent(booking, terms, 'no_show_refund', `Refund for missed ${booking.subject} session`);
+};
+
+// Credit a student's wallet with a captured gateway payment, once per payment
+const topUpWallet = async (studentId, { method, transactionId, amount, currency }) => {
+  if (!currency || currency.toUpperCase() !== BOOKING_CURRENCY) {
+    throw new Error(`Wallet top-ups must be paid in ${BOOKING_CURRENCY}`);
+  }
+
+  const reference = `${method}:${transactionId}`;
+  const walletTransaction = await creditWallet(studentId, amount, 'top_up', {
+    reference: `top_up:${reference}`,
+    description: `Top-up via ${method}`
+  });
+  await postWalletTopUp(studentId, amount, reference);
+
+  return walletTransaction;
+};
+
+// Find the booking a gateway payment belongs to, by the booking ID we sent or the stored gateway IDs
+const findPaymentBooking = async (bookingId, gatewayIds) => {
+  if (bookingId) {
+    const booking = await Booking.findById(bookingId);
+    if (booking) {
+      return booking;
+    }
+  }
+
+  const ids = gatewayIds.filter(Boolean);
+  if (!ids.length) {
+    return null;
+  }
+
+  return await Booking.findOne({
+    $or: [
+      { 'payment.transactionId': { $in: ids } },
+      { 'payment.paymentId': { $in: ids } }
+    ]
+  });
+};
+
+// Store an incoming webhook event, reporting whether it has already been handled
+const recordPaymentEvent = async (provider, eventId, type, payload) => {
+  try {
+    const event = await PaymentEvent.create({ provider, eventId, type, payload });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Failed events, and events whose handling never finished, are claimed again when the gateway redelivers them
+    const retry = await PaymentEvent.findOneAndUpdate(
+      {
+        provider,
+        eventId,
+        $or: [
+          { status: 'failed' },
+          { status: 'received', updatedAt: { $lt: new Date(Date.now() - STALE_EVENT_MINUTES * 60 * 1000) } }
+        ]
+      },
+      { $set: { status: 'received' } },
+      { new: true }
+    );
+    if (retry) {
+      return { event: retry, duplicate: false };
+    }
+
+    const event = await PaymentEvent.findOne({ provider, eventId });
+    return { event, duplicate: true };
+  }
+};
+
+// Apply a provider's normalized webhook event to its booking, wallet or membership
+const handlePaymentEvent = async (provider, event) => {
+  const { payment, refund } = event;
+
+  switch (event.type) {
+    case 'subscription':
+      return await handleSubscriptionEvent(provider, event.raw);
+
+    case 'payment_captured': {
+      if (payment.metadata.purpose === 'wallet_top_up') {
+        await topUpWallet(payment.metadata.studentId, {
+          method: provider,
+          transactionId: payment.transactionId,
+          amount: payment.amount,
+          currency: payment.currency
+        });
+        return { status: 'processed' };
+      }
+
+      const booking = await findPaymentBooking(payment.metadata.bookingId, [payment.transactionId, payment.orderId]);
+      if (!booking) return { status: 'ignored' };
+
+      await markBookingPaid(booking, {
+        method: provider,
+        transactionId: payment.transactionId,
+        paymentId: payment.orderId,
+        amount: payment.amount,
+        currency: payment.currency,
+        paidAt: event.occurredAt
+      });
+      return { status: 'processed', booking };
+    }
+
+    case 'payment_failed': {
+      const booking = await findPaymentBooking(payment.metadata.bookingId, [payment.transactionId, payment.orderId]);
+      if (!booking) return { status: 'ignored' };
+
+      await markBookingPaymentFailed(booking, {
+        method: provider,
+        transactionId: payment.transactionId,
+        paymentId: payment.orderId,
+        reason: payment.failureReason
+      });
+      return { status: 'processed', booking };
+    }
+
+    case 'refund_processed':
+    case 'refund_failed': {
+      const booking = await findPaymentBooking(refund.metadata.bookingId, [refund.transactionId]);
+      if (!booking) return { status: 'ignored' };
+
+      // Refunds we started carry the ID of their entry in the booking's refunds
+      const existing = (booking.payment.refunds || []).find(entry =>
+        (refund.refundId && entry.refundId === refund.refundId) ||
+        entry._id.toString() === refund.metadata.bookingRefundId);
+      const status = event.type === 'refund_processed' ? 'processed' : 'failed';
+
+      if (existing) {
+        const updated = await settleRefund(booking, existing, {
+          status,
+          refundId: refund.refundId,
+          processedAt: refund.refundedAt,
+          failureReason: refund.failureReason
+        });
+        return { status: 'processed', booking: updated };
+      }
+      if (status === 'failed') return { status: 'ignored' };
+
+      // Refunds made from the gateway dashboard; without the refund amount, the running total gives it
+      const amount = refund.amount !== undefined
+        ? refund.amount
+        : roundAmount(refund.totalRefunded - (booking.payment.refundAmount || 0) - getPendingRefundTotal(booking));
+      if (!(amount > 0)) return { status: 'ignored' };
+
+      const updated = await recordBookingRefund(booking, {
+        refundId: refund.refundId,
+        amount,
+        refundedAt: refund.refundedAt,
+        reason: 'Refunded from the gateway dashboard',
+        provider
+      });
+      return { status: 'processed', booking: updated };
+    }
+
+    default:
+      return { status: 'ignored' };
+  }
+};
+
+module.exports = {
+  SETTLED_PAYMENT_STATUSES,
+  BOOKING_CURRENCY,
+  getPaymentMismatch,
+  issueBookingInvoice,
+  completeBookingPayment,
+  markBookingPaid,
+  markBookingPaymentFailed,
+  getRefundableAmount,
+  reserveRefund,
+  settleRefund,
+  recordBookingRefund,
+  syncPendingRefunds,
+  startRefundSyncJob,
+  refundCancellation,
+  refundNoShow,
+  topUpWallet,
+  recordPaymentEvent,
+  handlePaymentEvent
+};
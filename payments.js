@@ -1,30 +1,85 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const Razorpay = require('razorpay');
-const stripe = require('stripe');
-const crypto = require('crypto');
+const { body, validationResult, query } = require('express-validator');
 const Booking = require('../models/Booking');
 const Student = require('../models/Student');
 const Tutor = require('../models/Tutor');
-const { authenticateToken } = require('../middleware/auth');
+const Invoice = require('../models/Invoice');
+const MembershipPlan = require('../models/MembershipPlan');
+const SettlementReconciliation = require('../models/SettlementReconciliation');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const {
+  SETTLED_PAYMENT_STATUSES,
+  BOOKING_CURRENCY,
+  completeBookingPayment,
+  markBookingPaid,
+  getRefundableAmount,
+  reserveRefund,
+  settleRefund,
+  topUpWallet,
+  recordPaymentEvent,
+  handlePaymentEvent
+} = require('../utils/paymentService');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { SETTLEMENT_REPORTS_DIR, importSettlementReports, toReconciliationCsv } = require('../utils/reconciliationService');
+const { renderInvoicePdf, getInvoiceFilename } = require('../utils/invoiceService');
+const { SUBSCRIPTION_PROVIDERS } = require('../utils/subscriptionGateways');
+const { getPlanPricing, getOpenMembership, subscribe, getEntitlements, cancelMembership } = require('../utils/membershipService');
+const { isLinkedParent, findActingStudent, getActingStudentIds } = require('../utils/guardianService');
 
 const router = express.Router();
 
-// Initialize payment gateways
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+// Load a booking the user can pay for, as its student or a linked parent, or the status and message to reject the request with
+const findPayableBooking = async (bookingId, user) => {
+  const booking = await Booking.findById(bookingId).populate('student', 'user');
+  if (!booking) {
+    return { status: 404, message: 'Booking not found' };
+  }
+
+  if (booking.student.user.toString() !== user._id.toString() && !isLinkedParent(user, booking.student)) {
+    return { status: 403, message: 'Access denied' };
+  }
+
+  if (booking.status === 'cancelled') {
+    return { status: 400, message: 'Booking is cancelled' };
+  }
 
-const stripeClient = stripe(process.env.STRIPE_SECRET_KEY);
+  if (booking.payment && [...SETTLED_PAYMENT_STATUSES, 'under_review'].includes(booking.payment.status)) {
+    return { status: 400, message: 'Booking has already been paid' };
+  }
+
+  return { booking };
+};
+
+// Remember the pending gateway order on the booking so webhooks can match it
+const recordPendingPayment = async (booking, method, paymentId) => {
+  booking.payment = {
+    status: 'pending',
+    method,
+    paymentId
+  };
+  await booking.save();
+};
 
-// @desc    Create Razorpay order
-// @route   POST /api/payments/razorpay/create-order
+// Attach the enabled payment provider named in the route to the request
+const loadProvider = (req, res, next) => {
+  req.paymentProvider = getPaymentProvider(req.params.provider);
+  if (!req.paymentProvider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment provider not available'
+    });
+  }
+  next();
+};
+
+// @desc    Create a gateway order (a payment intent on Stripe)
+// @route   POST /api/payments/:provider/create-order (also /api/payments/stripe/create-intent)
 // @access  Private
-router.post('/razorpay/create-order', authenticateToken, [
-  body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
-  body('currency').optional().isIn(['INR', 'USD']).withMessage('Invalid currency'),
-  body('bookingId').optional().isMongoId().withMessage('Invalid booking ID')
+router.post(['/:provider/create-order', '/:provider/create-intent'], authenticateToken, loadProvider, [
+  body('amount').if((value, { req }) => !req.body.bookingId || req.body.purpose === 'wallet_top_up').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
+  body('currency').optional().isIn(['INR', 'USD', 'inr', 'usd']).withMessage('Invalid currency'),
+  body('bookingId').optional().isMongoId().withMessage('Invalid booking ID'),
+  body('purpose').optional().isIn(['booking', 'wallet_top_up']).withMessage('Invalid payment purpose')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -36,36 +91,65 @@ router.post('/razorpay/create-order', authenticateToken, [
       });
     }
 
-    const { amount, currency = 'INR', bookingId } = req.body;
+    const provider = req.paymentProvider;
+    let { amount, currency = provider.defaultCurrency, bookingId, purpose = 'booking' } = req.body;
+    let booking;
+    let student;
 
-    // Convert amount to smallest currency unit (paise for INR)
-    const amountInSmallestUnit = Math.round(amount * 100);
+    if (purpose === 'wallet_top_up') {
+      // Top-ups are paid in INR into the requesting student's own wallet, or a parent's linked child's
+      student = await findActingStudent(req);
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student profile not found'
+        });
+      }
 
-    const options = {
-      amount: amountInSmallestUnit,
+      bookingId = undefined;
+      currency = BOOKING_CURRENCY;
+    } else if (bookingId) {
+      // Bookings are always charged their own price, whatever amount the client sends
+      const payable = await findPayableBooking(bookingId, req.user);
+      if (!payable.booking) {
+        return res.status(payable.status).json({
+          success: false,
+          message: payable.message
+        });
+      }
+
+      booking = payable.booking;
+      amount = booking.pricing.totalAmount;
+      currency = BOOKING_CURRENCY;
+    }
+
+    const order = await provider.createOrder({
+      amount,
       currency,
-      receipt: `receipt_${Date.now()}`,
-      notes: {
+      metadata: {
         userId: req.user._id.toString(),
         bookingId: bookingId || '',
-        userRole: req.user.role
+        userRole: req.user.role,
+        purpose,
+        studentId: student ? student._id.toString() : ''
       }
-    };
+    });
 
-    const order = await razorpay.orders.create(options);
+    if (booking) {
+      await recordPendingPayment(booking, provider.name, order.orderId);
+    }
 
     res.json({
       success: true,
       data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        keyId: process.env.RAZORPAY_KEY_ID
+        provider: provider.name,
+        orderId: order.orderId,
+        ...order.clientData
       }
     });
 
   } catch (error) {
-    console.error('Razorpay create order error:', error);
+    console.error('Create payment order error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to create payment order'
@@ -73,13 +157,10 @@ router.post('/razorpay/create-order', authenticateToken, [
   }
 });
 
-// @desc    Verify Razorpay payment
-// @route   POST /api/payments/razorpay/verify
+// @desc    Verify a payment the client completed at the gateway
+// @route   POST /api/payments/:provider/verify (also /api/payments/stripe/confirm)
 // @access  Private
-router.post('/razorpay/verify', authenticateToken, [
-  body('razorpay_order_id').notEmpty().withMessage('Order ID is required'),
-  body('razorpay_payment_id').notEmpty().withMessage('Payment ID is required'),
-  body('razorpay_signature').notEmpty().withMessage('Signature is required'),
+router.post(['/:provider/verify', '/:provider/confirm'], authenticateToken, loadProvider, [
   body('bookingId').optional().isMongoId().withMessage('Invalid booking ID')
 ], async (req, res) => {
   try {
@@ -92,60 +173,96 @@ router.post('/razorpay/verify', authenticateToken, [
       });
     }
 
-    const {
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-      bookingId
-    } = req.body;
-
-    // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
+    const provider = req.paymentProvider;
+    const { bookingId } = req.body;
 
-    if (expectedSignature !== razorpay_signature) {
+    // The provider checks the gateway's proof and fetches the payment with the metadata we sent
+    const payment = await provider.verify(req.body);
+    if (!payment) {
       return res.status(400).json({
         success: false,
         message: 'Invalid payment signature'
       });
     }
 
-    // Get payment details from Razorpay
-    const payment = await razorpay.payments.fetch(razorpay_payment_id);
+    if (payment.status !== 'captured') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment has not been captured yet'
+      });
+    }
+
+    const paymentData = {
+      paymentId: payment.transactionId,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status
+    };
+
+    // Credit top-ups to the wallet of the student who created the order, unless a webhook already did
+    if (payment.metadata.purpose === 'wallet_top_up') {
+      if (payment.metadata.userId !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const walletTransaction = await topUpWallet(payment.metadata.studentId, {
+        method: provider.name,
+        transactionId: payment.transactionId,
+        amount: payment.amount,
+        currency: payment.currency
+      });
 
-    // Update booking if bookingId is provided
+      return res.json({
+        success: true,
+        message: 'Wallet topped up successfully',
+        data: {
+          ...paymentData,
+          walletBalance: walletTransaction.balanceAfter
+        }
+      });
+    }
+
+    // Update booking if bookingId is provided, unless a webhook has already settled it
     if (bookingId) {
+      if (payment.metadata.bookingId !== bookingId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment was not made for this booking'
+        });
+      }
+
       const booking = await Booking.findById(bookingId);
       if (booking) {
-        booking.payment = {
-          status: 'paid',
-          method: 'razorpay',
-          transactionId: razorpay_payment_id,
-          paymentId: razorpay_order_id,
-          paidAt: new Date()
-        };
-        booking.status = 'confirmed';
-        await booking.save();
+        // The captured amount is checked against the booking price before confirming it
+        await markBookingPaid(booking, {
+          method: provider.name,
+          transactionId: payment.transactionId,
+          paymentId: payment.orderId,
+          amount: payment.amount,
+          currency: payment.currency
+        });
+
+        if (booking.payment.status === 'under_review') {
+          return res.status(409).json({
+            success: false,
+            message: 'Payment does not match the booking price and has been flagged for review'
+          });
+        }
       }
     }
 
     res.json({
       success: true,
       message: 'Payment verified successfully',
-      data: {
-        paymentId: razorpay_payment_id,
-        orderId: razorpay_order_id,
-        amount: payment.amount / 100,
-        currency: payment.currency,
-        status: payment.status
-      }
+      data: paymentData
     });
 
   } catch (error) {
-    console.error('Razorpay verify payment error:', error);
+    console.error('Verify payment error:', error);
     res.status(500).json({
       success: false,
       message: 'Payment verification failed'
@@ -153,13 +270,147 @@ router.post('/razorpay/verify', authenticateToken, [
   }
 });
 
-// @desc    Create Stripe payment intent
-// @route   POST /api/payments/stripe/create-intent
+// Webhook signatures are computed over the exact request bytes. Mount the payments
+// router before express.json(), or keep the bytes with express.json({ verify }) as req.rawBody.
+const rawBody = express.raw({ type: 'application/json' });
+
+// Get the raw request body captured for signature verification
+const getRawBody = (req) => (Buffer.isBuffer(req.body) ? req.body : req.rawBody);
+
+// Store a verified webhook event and apply it once, however often the gateway delivers it
+const processWebhookEvent = async (provider, eventId, type, payload, handler) => {
+  const { event, duplicate } = await recordPaymentEvent(provider, eventId, type, payload);
+  if (duplicate) {
+    return { duplicate: true };
+  }
+
+  try {
+    const result = await handler();
+    event.status = result.status;
+    event.booking = result.booking && result.booking._id;
+    event.error = undefined;
+    event.processedAt = new Date();
+    await event.save();
+    return { duplicate: false, status: result.status };
+  } catch (error) {
+    event.status = 'failed';
+    event.error = error.message;
+    await event.save();
+    throw error;
+  }
+};
+
+// @desc    Receive gateway webhook events
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signed by the gateway)
+router.post('/webhooks/:provider', rawBody, loadProvider, async (req, res) => {
+  try {
+    const provider = req.paymentProvider;
+    const payload = getRawBody(req);
+
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing webhook payload or signature'
+      });
+    }
+
+    const webhook = provider.parseWebhook(payload, req.headers);
+    if (!webhook) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const result = await processWebhookEvent(provider.name, webhook.id, webhook.name, webhook.payload,
+      () => handlePaymentEvent(provider.name, webhook.event));
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error(`${req.params.provider} webhook error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+});
+
+// @desc    Get membership plans on sale
+// @route   GET /api/payments/membership/plans
 // @access  Private
-router.post('/stripe/create-intent', authenticateToken, [
-  body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
-  body('currency').optional().isIn(['usd', 'inr']).withMessage('Invalid currency'),
-  body('bookingId').optional().isMongoId().withMessage('Invalid booking ID')
+router.get('/membership/plans', authenticateToken, async (req, res) => {
+  try {
+    const plans = await MembershipPlan.find({ isActive: true })
+      .select('-gatewayPlans -createdBy')
+      .sort({ interval: 1, price: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        plans: plans.map(plan => ({ ...plan.toJSON(), pricing: getPlanPricing(plan) }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get membership plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch membership plans'
+    });
+  }
+});
+
+// @desc    Get own membership and the benefits it currently gives
+// @route   GET /api/payments/membership
+// @access  Private (Student/Parent)
+router.get('/membership', authenticateToken, authorizeRoles('student', 'parent'), async (req, res) => {
+  try {
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const membership = await getOpenMembership(student._id);
+    const { entitlements } = await getEntitlements(student._id);
+    const invoices = membership
+      ? await Invoice.find({ membership: membership._id }).select('number totalAmount issuedAt').sort({ issuedAt: -1 })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        membership,
+        entitlements,
+        invoices: invoices.map(invoice => ({
+          ...invoice.toJSON(),
+          downloadUrl: `/api/payments/invoices/${invoice._id}/pdf`
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get membership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch membership'
+    });
+  }
+});
+
+// @desc    Subscribe to a membership plan with recurring billing
+// @route   POST /api/payments/membership/subscribe
+// @access  Private (Student/Parent)
+router.post('/membership/subscribe', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('planId').isMongoId().withMessage('Invalid plan ID'),
+  body('provider').isIn(SUBSCRIPTION_PROVIDERS).withMessage('Invalid payment provider')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -171,44 +422,55 @@ router.post('/stripe/create-intent', authenticateToken, [
       });
     }
 
-    const { amount, currency = 'usd', bookingId } = req.body;
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
 
-    // Convert amount to smallest currency unit (cents for USD, paise for INR)
-    const amountInSmallestUnit = Math.round(amount * 100);
+    const plan = await MembershipPlan.findOne({ _id: req.body.planId, isActive: true });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Membership plan not found'
+      });
+    }
 
-    const paymentIntent = await stripeClient.paymentIntents.create({
-      amount: amountInSmallestUnit,
-      currency,
-      metadata: {
-        userId: req.user._id.toString(),
-        bookingId: bookingId || '',
-        userRole: req.user.role
-      }
-    });
+    const result = await subscribe(student, req.user, plan, req.body.provider);
+    if (!result.membership) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
 
-    res.json({
+    // The membership is activated by the gateway's webhook once the first payment goes through
+    res.status(201).json({
       success: true,
+      message: 'Subscription created, complete the first payment to activate it',
       data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        membership: result.membership,
+        checkout: result.checkout,
+        key: req.body.provider === 'razorpay' ? process.env.RAZORPAY_KEY_ID : process.env.STRIPE_PUBLISHABLE_KEY
       }
     });
 
   } catch (error) {
-    console.error('Stripe create payment intent error:', error);
+    console.error('Subscribe to membership error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create payment intent'
+      message: 'Failed to create subscription'
     });
   }
 });
 
-// @desc    Confirm Stripe payment
-// @route   POST /api/payments/stripe/confirm
-// @access  Private
-router.post('/stripe/confirm', authenticateToken, [
-  body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
-  body('bookingId').optional().isMongoId().withMessage('Invalid booking ID')
+// @desc    Cancel own membership, by default when the paid period ends
+// @route   POST /api/payments/membership/cancel
+// @access  Private (Student/Parent)
+router.post('/membership/cancel', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('immediately').optional().isBoolean().withMessage('immediately must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -220,50 +482,112 @@ router.post('/stripe/confirm', authenticateToken, [
       });
     }
 
-    const { paymentIntentId, bookingId } = req.body;
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const membership = await getOpenMembership(student._id);
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'No membership to cancel'
+      });
+    }
+
+    // Checkouts that were never paid have no period to run out
+    const immediately = req.body.immediately === true || membership.status === 'pending';
+    await cancelMembership(membership, immediately);
+
+    res.json({
+      success: true,
+      message: immediately
+        ? 'Membership cancelled'
+        : 'Membership will be cancelled at the end of the current billing period',
+      data: { membership }
+    });
+
+  } catch (error) {
+    console.error('Cancel membership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel membership'
+    });
+  }
+});
+
+// @desc    Get payments flagged for review
+// @route   GET /api/payments/review
+// @access  Private (Admin/Employee)
+router.get('/review', authenticateToken, authorizeRoles('admin', 'employee'), async (req, res) => {
+  try {
+    const bookings = await Booking.find({ 'payment.status': 'under_review' })
+      .populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName lastName email' } })
+      .select('payment pricing subject scheduledDate startTime status student')
+      .sort({ 'payment.paidAt': -1 });
+
+    res.json({
+      success: true,
+      data: { bookings }
+    });
 
-    // Retrieve payment intent from Stripe
-    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    console.error('Get payments for review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments for review'
+    });
+  }
+});
 
-    if (paymentIntent.status !== 'succeeded') {
+// @desc    Accept a flagged payment as full payment for its booking
+// @route   PUT /api/payments/review/:bookingId/approve
+// @access  Private (Admin)
+router.put('/review/:bookingId/approve', authenticateToken, authorizeRoles('admin'), [
+  body('note').optional().isString().withMessage('Note must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Payment not successful'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Update booking if bookingId is provided
-    if (bookingId) {
-      const booking = await Booking.findById(bookingId);
-      if (booking) {
-        booking.payment = {
-          status: 'paid',
-          method: 'stripe',
-          transactionId: paymentIntent.id,
-          paymentId: paymentIntent.id,
-          paidAt: new Date()
-        };
-        booking.status = 'confirmed';
-        await booking.save();
-      }
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking || !booking.payment || booking.payment.status !== 'under_review') {
+      return res.status(404).json({
+        success: false,
+        message: 'No flagged payment found for this booking'
+      });
     }
 
+    booking.payment.status = 'paid';
+    booking.payment.reviewedBy = req.user._id;
+    booking.payment.reviewedAt = new Date();
+    booking.payment.reviewNote = req.body.note;
+    if (booking.status === 'scheduled') {
+      booking.status = 'confirmed';
+    }
+    await booking.save();
+    await completeBookingPayment(booking);
+
     res.json({
       success: true,
-      message: 'Payment confirmed successfully',
-      data: {
-        paymentIntentId: paymentIntent.id,
-        amount: paymentIntent.amount / 100,
-        currency: paymentIntent.currency,
-        status: paymentIntent.status
-      }
+      message: 'Payment approved successfully',
+      data: { booking }
     });
 
   } catch (error) {
-    console.error('Stripe confirm payment error:', error);
+    console.error('Approve flagged payment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Payment confirmation failed'
+      message: 'Failed to approve payment'
     });
   }
 });
@@ -304,64 +628,78 @@ router.post('/refund', authenticateToken, [
       });
     }
 
-    if (booking.payment.status !== 'paid') {
+    // Flagged payments can be refunded instead of approved, and partly refunded ones refunded further
+    if (!['paid', 'under_review', 'partial_refund'].includes(booking.payment.status)) {
       return res.status(400).json({
         success: false,
         message: 'Booking payment is not in paid status'
       });
     }
 
-    const refundAmount = amount || booking.pricing.totalAmount;
-    let refund;
-
-    try {
-      if (booking.payment.method === 'razorpay') {
-        // Process Razorpay refund
-        refund = await razorpay.payments.refund(booking.payment.transactionId, {
-          amount: Math.round(refundAmount * 100), // Convert to paise
-          notes: {
-            reason,
-            processedBy: req.user._id.toString()
-          }
-        });
-      } else if (booking.payment.method === 'stripe') {
-        // Process Stripe refund
-        refund = await stripeClient.refunds.create({
-          payment_intent: booking.payment.transactionId,
-          amount: Math.round(refundAmount * 100), // Convert to cents
-          metadata: {
-            reason,
-            processedBy: req.user._id.toString()
-          }
-        });
-      }
+    // Wallet, package and membership payments are refunded through cancellation
+    const provider = getPaymentProvider(booking.payment.method);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: `Payments made with ${booking.payment.method} cannot be refunded to a gateway`
+      });
+    }
 
-      // Update booking
-      booking.payment.status = refundAmount >= booking.pricing.totalAmount ? 'refunded' : 'partial_refund';
-      booking.payment.refundId = refund.id;
-      booking.payment.refundAmount = refundAmount;
-      booking.payment.refundedAt = new Date();
-      
-      await booking.save();
+    // Refunds, including ones still pending at the gateway, never add up to more than was captured
+    const refundable = getRefundableAmount(booking);
+    const refundAmount = amount || refundable;
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund exceeds the refundable amount of ${refundable}`
+      });
+    }
 
-      res.json({
-        success: true,
-        message: 'Refund processed successfully',
-        data: {
-          refundId: refund.id,
-          refundAmount,
-          status: refund.status
-        }
+    const reserved = await reserveRefund(booking, {
+      amount: refundAmount,
+      reason,
+      provider: provider.name,
+      processedBy: req.user._id
+    });
+    if (!reserved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another refund was just recorded for this booking, please try again'
       });
+    }
 
+    let refund;
+    try {
+      refund = await provider.refund(booking.payment.transactionId, refundAmount, {
+        reason,
+        processedBy: req.user._id.toString(),
+        bookingId: booking._id.toString(),
+        bookingRefundId: reserved.refund._id.toString()
+      });
     } catch (refundError) {
       console.error('Refund processing error:', refundError);
-      res.status(500).json({
+      await settleRefund(reserved.booking, reserved.refund, { status: 'failed', failureReason: refundError.message });
+      return res.status(500).json({
         success: false,
         message: 'Failed to process refund'
       });
     }
 
+    // Settled refunds come out of the tutor's earnings now; pending ones when the gateway settles them
+    const updated = await settleRefund(reserved.booking, reserved.refund, refund);
+
+    res.json({
+      success: true,
+      message: refund.status === 'pending' ? 'Refund initiated' : 'Refund processed successfully',
+      data: {
+        refundId: refund.refundId,
+        refundAmount,
+        status: refund.status,
+        refundableAmount: getRefundableAmount(updated),
+        refunds: updated.payment.refunds
+      }
+    });
+
   } catch (error) {
     console.error('Refund error:', error);
     res.status(500).json({
@@ -385,6 +723,9 @@ router.get('/history', authenticateToken, async (req, res) => {
       if (student) {
         query.student = student._id;
       }
+    } else if (req.user.role === 'parent') {
+      // All linked children, or the one named by studentId
+      query.student = { $in: getActingStudentIds(req) };
     } else if (req.user.role === 'tutor') {
       const tutor = await Tutor.findOne({ user: req.user._id });
       if (tutor) {
@@ -407,10 +748,27 @@ router.get('/history', authenticateToken, async (req, res) => {
 
     const total = await Booking.countDocuments(query);
 
+    // Invoices and credit notes are the student's tax documents
+    const documents = req.user.role === 'tutor' ? [] : await Invoice.find({ booking: { $in: payments.map(payment => payment._id) } })
+      .select('type number booking totalAmount issuedAt')
+      .sort({ issuedAt: 1 });
+
     res.json({
       success: true,
       data: {
-        payments,
+        payments: payments.map(payment => ({
+          ...payment.toObject(),
+          documents: documents
+            .filter(document => document.booking.toString() === payment._id.toString())
+            .map(document => ({
+              _id: document._id,
+              type: document.type,
+              number: document.number,
+              totalAmount: document.totalAmount,
+              issuedAt: document.issuedAt,
+              downloadUrl: `/api/payments/invoices/${document._id}/pdf`
+            }))
+        })),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -430,6 +788,44 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+// @desc    Download an invoice or credit note as PDF
+// @route   GET /api/payments/invoices/:id/pdf
+// @access  Private (Student owner, linked parent or Admin/Employee)
+router.get('/invoices/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).populate('student', 'user');
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const isOwner = invoice.student.user.toString() === req.user._id.toString() || isLinkedParent(req.user, invoice.student);
+    if (!isOwner && !['admin', 'employee'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${getInvoiceFilename(invoice)}"`
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download invoice'
+    });
+  }
+});
+
 // @desc    Get payment statistics (Admin only)
 // @route   GET /api/payments/stats
 // @access  Private (Admin)
@@ -485,4 +881,176 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// @desc    Import new gateway settlement reports from the reports folder
+// @route   POST /api/payments/reconciliations/import
+// @access  Private (Admin)
+router.post('/reconciliations/import', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const imported = await importSettlementReports(SETTLEMENT_REPORTS_DIR, req.user._id);
+
+    res.json({
+      success: true,
+      message: imported.length ? `${imported.length} settlement report(s) reconciled` : 'No new settlement reports found',
+      data: {
+        reconciliations: imported.map(reconciliation => ({
+          _id: reconciliation._id,
+          provider: reconciliation.provider,
+          filename: reconciliation.filename,
+          summary: reconciliation.summary
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Import settlement reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import settlement reports'
+    });
+  }
+});
+
+// @desc    Get settlement reconciliations
+// @route   GET /api/payments/reconciliations
+// @access  Private (Admin)
+router.get('/reconciliations', authenticateToken, authorizeRoles('admin'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('provider').optional().isIn(['razorpay', 'stripe', 'fake'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, provider } = req.query;
+
+    let query = {};
+    if (provider) query.provider = provider;
+
+    const reconciliations = await SettlementReconciliation.find(query)
+      .select('-lines')
+      .populate('importedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await SettlementReconciliation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reconciliations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalReconciliations: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliations'
+    });
+  }
+});
+
+// @desc    Get a settlement reconciliation with its lines, optionally only one status
+// @route   GET /api/payments/reconciliations/:id
+// @access  Private (Admin)
+router.get('/reconciliations/:id', authenticateToken, authorizeRoles('admin'), [
+  query('status').optional().isIn(['matched', 'missing_booking', 'amount_mismatch', 'refund_not_reflected', 'unrecognised']).withMessage('Invalid line status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await SettlementReconciliation.findById(req.params.id)
+      .populate('importedBy', 'firstName lastName');
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const { status } = req.query;
+    const lines = status ? reconciliation.lines.filter(line => line.status === status) : reconciliation.lines;
+
+    res.json({
+      success: true,
+      data: {
+        reconciliation: { ...reconciliation.toObject(), lines }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation'
+    });
+  }
+});
+
+// @desc    Export a settlement reconciliation as CSV, optionally only its mismatches
+// @route   GET /api/payments/reconciliations/:id/export
+// @access  Private (Admin)
+router.get('/reconciliations/:id/export', authenticateToken, authorizeRoles('admin'), [
+  query('mismatchesOnly').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await SettlementReconciliation.findById(req.params.id);
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation not found'
+      });
+    }
+
+    const lines = req.query.mismatchesOnly === 'true'
+      ? reconciliation.lines.filter(line => line.status !== 'matched')
+      : reconciliation.lines;
+    const filename = `reconciliation-${reconciliation.provider}-${reconciliation.createdAt.toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(toReconciliationCsv(lines));
+
+  } catch (error) {
+    console.error('Export reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export reconciliation'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,59 @@
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Escape a string for a PDF literal; the standard fonts only cover Latin-1, so other characters are replaced
+const escapePdfText = (value) => String(value)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Single-page A4 PDF built from positioned text and rules, using the built-in Helvetica fonts
+const createPdf = () => {
+  const operations = [];
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    // Draw text with its baseline at (x, y), measured in points from the bottom-left corner
+    text(x, y, value, { size = 10, bold = false } = {}) {
+      operations.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${escapePdfText(value)}) Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, width = 0.5) {
+      operations.push(`${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+    },
+
+    toBuffer() {
+      const stream = operations.join('\n');
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>`,
+        `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+      ];
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+
+      // Cross-reference entries are exactly 20 bytes each
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+};
+
+module.exports = {
+  createPdf
+};
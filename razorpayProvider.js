@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+const PAYMENT_STATUSES = { captured: 'captured', refunded: 'refunded', failed: 'failed' };
+const REFUND_STATUSES = { processed: 'processed', failed: 'failed' };
+
+let client;
+
+// Razorpay client, created on first use so the app can start without Razorpay keys
+const getClient = () => {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+};
+
+// Compare a received HMAC signature with the expected one in constant time
+const signatureMatches = (signature, expected) => typeof signature === 'string' &&
+  signature.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+const toRefund = (refund) => ({
+  refundId: refund.id,
+  amount: refund.amount / 100,
+  status: REFUND_STATUSES[refund.status] || 'pending',
+  processedAt: refund.status === 'processed' ? new Date() : undefined
+});
+
+const toPayment = (payment, metadata = payment.notes) => ({
+  transactionId: payment.id,
+  orderId: payment.order_id,
+  amount: payment.amount / 100,
+  currency: payment.currency,
+  status: PAYMENT_STATUSES[payment.status] || 'pending',
+  amountRefunded: (payment.amount_refunded || 0) / 100,
+  failureReason: payment.error_description,
+  metadata: metadata || {}
+});
+
+// ID of the entity a webhook is about, preferring the refund over the payment it belongs to
+const getEntityId = (event) => {
+  const { refund, payment, subscription } = event.payload || {};
+  const wrapper = refund || payment || subscription;
+  return wrapper && wrapper.entity && wrapper.entity.id;
+};
+
+// Turn a verified webhook body into a provider-neutral event
+const toEvent = (event) => {
+  const payment = event.payload.payment && event.payload.payment.entity;
+  const refund = event.payload.refund && event.payload.refund.entity;
+  const occurredAt = new Date(event.created_at * 1000);
+
+  if (event.event.startsWith('subscription.')) {
+    return { type: 'subscription', raw: event };
+  }
+
+  switch (event.event) {
+    case 'payment.captured':
+      return { type: 'payment_captured', payment: toPayment(payment), occurredAt };
+    case 'payment.failed':
+      return { type: 'payment_failed', payment: toPayment(payment), occurredAt };
+    case 'refund.processed':
+    case 'refund.failed':
+      return {
+        type: event.event === 'refund.processed' ? 'refund_processed' : 'refund_failed',
+        refund: {
+          refundId: refund.id,
+          transactionId: refund.payment_id,
+          amount: refund.amount / 100,
+          // The payment entity, when sent, carries the running total across partial refunds
+          totalRefunded: payment ? payment.amount_refunded / 100 : undefined,
+          refundedAt: new Date(refund.created_at * 1000),
+          failureReason: refund.status === 'failed' ? 'Refund failed at Razorpay' : undefined,
+          metadata: refund.notes || {}
+        },
+        occurredAt
+      };
+    default:
+      return { type: 'other' };
+  }
+};
+
+module.exports = {
+  name: 'razorpay',
+  defaultCurrency: 'INR',
+  getClient,
+
+  createOrder: async ({ amount, currency, metadata }) => {
+    const order = await getClient().orders.create({
+      amount: Math.round(amount * 100),
+      currency: currency.toUpperCase(),
+      receipt: `receipt_${Date.now()}`,
+      notes: metadata
+    });
+
+    return {
+      orderId: order.id,
+      clientData: {
+        amount: order.amount,
+        currency: order.currency,
+        keyId: process.env.RAZORPAY_KEY_ID
+      }
+    };
+  },
+
+  // Checkout returns the order and payment IDs signed with our key secret
+  verify: async ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
+    if (!razorpay_order_id || !razorpay_payment_id) {
+      return null;
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+      .digest('hex');
+    if (!signatureMatches(razorpay_signature, expectedSignature)) {
+      return null;
+    }
+
+    const [payment, order] = await Promise.all([
+      getClient().payments.fetch(razorpay_payment_id),
+      getClient().orders.fetch(razorpay_order_id)
+    ]);
+
+    // Our own order notes are trusted over anything on the payment
+    return { ...toPayment(payment, order.notes), orderId: order.id };
+  },
+
+  fetch: async (transactionId) => toPayment(await getClient().payments.fetch(transactionId)),
+
+  refund: async (transactionId, amount, metadata) => {
+    const refund = await getClient().payments.refund(transactionId, {
+      amount: Math.round(amount * 100),
+      notes: metadata
+    });
+
+    return toRefund(refund);
+  },
+
+  fetchRefund: async (refundId) => toRefund(await getClient().refunds.fetch(refundId)),
+
+  // Settlement recon report: payments and refunds are entities, refunds also name their payment
+  parseSettlementRow: (row) => ({
+    type: ['payment', 'refund'].includes(row.type) ? row.type : 'other',
+    transactionId: row.type === 'refund' ? row.payment_id : row.entity_id,
+    refundId: row.type === 'refund' ? row.entity_id : undefined,
+    amount: row.amount,
+    fee: row.fee,
+    tax: row.tax,
+    currency: row.currency,
+    settledAt: row.settled_at,
+    settlementId: row.settlement_id
+  }),
+
+  parseWebhook: (rawBody, headers) => {
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+      .update(rawBody)
+      .digest('hex');
+    if (!signatureMatches(headers['x-razorpay-signature'], expectedSignature)) {
+      return null;
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+      // Without the event ID header, the entity keeps events of the same kind in the same second apart
+      id: headers['x-razorpay-event-id'] || `${payload.event}:${getEntityId(payload)}:${payload.created_at}:${payload.account_id}`,
+      name: payload.event,
+      payload,
+      event: toEvent(payload)
+    };
+  }
+};
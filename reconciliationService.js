@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const WalletTransaction = require('../models/WalletTransaction');
+const Membership = require('../models/Membership');
+const SettlementReconciliation = require('../models/SettlementReconciliation');
+const { PAYMENT_PROVIDERS, getPaymentProvider } = require('./paymentProviders');
+
+// Settlement reports are dropped into <dir>/<provider>/*.csv, e.g. reports/settlements/razorpay
+const SETTLEMENT_REPORTS_DIR = process.env.SETTLEMENT_REPORTS_DIR || path.join(process.cwd(), 'reports', 'settlements');
+
+const EXPORT_COLUMNS = [
+  'type', 'status', 'transactionId', 'refundId', 'settlementId', 'settledAt', 'source', 'booking',
+  'reportedAmount', 'bookedAmount', 'fee', 'tax', 'currency', 'note'
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Parse RFC 4180 CSV text into objects keyed by lowercased, trimmed header
+const parseCsv = (csv) => {
+  // Spreadsheet exports often start with a byte order mark
+  const text = csv.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(key => key.trim().toLowerCase());
+
+  return records.map(cells => keys.reduce((record, key, index) => {
+    record[key] = (cells[index] || '').trim();
+    return record;
+  }, {}));
+};
+
+// Quote a CSV value when it contains a separator, quote or line break
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseAmount = (value) => (value ? Math.abs(roundAmount(Number(value.replace(/,/g, '')))) || 0 : 0);
+
+// Report dates are unix seconds or date strings depending on the gateway
+const parseDate = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const date = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Compare a settled amount with what we booked, noting any difference on the line
+const checkAmount = (line, bookedAmount) => {
+  line.bookedAmount = bookedAmount;
+  if (Math.round(line.reportedAmount * 100) !== Math.round(bookedAmount * 100)) {
+    line.status = 'amount_mismatch';
+    line.note = `Gateway settled ${line.reportedAmount}, booked ${bookedAmount}`;
+  }
+  return line;
+};
+
+// Match a settled payment to the booking, wallet top-up or membership charge it paid for
+const reconcilePayment = async (provider, line, invoiceId) => {
+  const booking = await Booking.findOne({ 'payment.method': provider, 'payment.transactionId': line.transactionId })
+    .select('payment pricing');
+  if (booking) {
+    line.source = 'booking';
+    line.booking = booking._id;
+    return checkAmount(line, booking.payment.amount || booking.pricing.totalAmount);
+  }
+
+  const topUp = await WalletTransaction.findOne({ reference: `top_up:${provider}:${line.transactionId}` });
+  if (topUp) {
+    line.source = 'wallet_top_up';
+    return checkAmount(line, topUp.amount);
+  }
+
+  // Stripe charges memberships through invoices, which are what a membership records
+  const chargeIds = [line.transactionId, invoiceId].filter(Boolean);
+  const membership = await Membership.findOne({ 'payments.gatewayPaymentId': { $in: chargeIds } }).select('payments');
+  if (membership) {
+    const payment = membership.payments.find(entry => chargeIds.includes(entry.gatewayPaymentId) && entry.status === 'paid');
+    line.source = 'membership';
+    return payment ? checkAmount(line, payment.amount) : line;
+  }
+
+  line.status = 'missing_booking';
+  line.note = 'No booking, top-up or membership payment has this transaction ID';
+  return line;
+};
+
+// Check a settled refund is recorded as processed on its booking
+const reconcileRefund = async (provider, line) => {
+  const booking = await Booking.findOne({
+    'payment.method': provider,
+    $or: [
+      { 'payment.refunds.refundId': line.refundId },
+      { 'payment.transactionId': line.transactionId }
+    ]
+  }).select('payment');
+  if (!booking) {
+    line.status = 'missing_booking';
+    line.note = 'No booking has this refund or transaction ID';
+    return line;
+  }
+
+  line.source = 'booking';
+  line.booking = booking._id;
+
+  const refund = (booking.payment.refunds || []).find(entry => entry.refundId === line.refundId);
+  if (!refund || refund.status !== 'processed') {
+    line.status = 'refund_not_reflected';
+    line.note = refund ? `Refund is ${refund.status} on the booking` : 'Refund is not recorded on the booking';
+    return line;
+  }
+
+  return checkAmount(line, refund.amount);
+};
+
+// Reconcile one report row against our records
+const reconcileRow = async (provider, row) => {
+  const line = {
+    type: row.type,
+    transactionId: row.transactionId || undefined,
+    refundId: row.refundId || undefined,
+    settlementId: row.settlementId || undefined,
+    settledAt: parseDate(row.settledAt),
+    reportedAmount: parseAmount(row.amount),
+    fee: parseAmount(row.fee),
+    tax: parseAmount(row.tax),
+    currency: row.currency ? row.currency.toUpperCase() : undefined,
+    status: 'matched'
+  };
+
+  if (line.type === 'payment' && line.transactionId) {
+    return await reconcilePayment(provider, line, row.invoiceId);
+  }
+  if (line.type === 'refund' && (line.refundId || line.transactionId)) {
+    return await reconcileRefund(provider, line);
+  }
+
+  line.status = 'unrecognised';
+  line.note = 'Adjustments, disputes and other entries are reconciled by hand';
+  return line;
+};
+
+// Count line outcomes and total the money the report moved
+const summarize = (lines) => {
+  const summary = {
+    lines: lines.length,
+    matched: 0,
+    missingBooking: 0,
+    amountMismatch: 0,
+    refundNotReflected: 0,
+    unrecognised: 0,
+    grossAmount: 0,
+    refundedAmount: 0,
+    fees: 0,
+    taxes: 0
+  };
+  const counters = {
+    matched: 'matched',
+    missing_booking: 'missingBooking',
+    amount_mismatch: 'amountMismatch',
+    refund_not_reflected: 'refundNotReflected',
+    unrecognised: 'unrecognised'
+  };
+
+  lines.forEach(line => {
+    summary[counters[line.status]] += 1;
+    if (line.type === 'payment') summary.grossAmount += line.reportedAmount;
+    if (line.type === 'refund') summary.refundedAmount += line.reportedAmount;
+    summary.fees += line.fee;
+    summary.taxes += line.tax;
+  });
+
+  ['grossAmount', 'refundedAmount', 'fees', 'taxes'].forEach(key => { summary[key] = roundAmount(summary[key]); });
+  summary.netAmount = roundAmount(summary.grossAmount - summary.refundedAmount - summary.fees - summary.taxes);
+  return summary;
+};
+
+// Reconcile a gateway settlement report, once per provider and file contents
+const importSettlementReport = async (provider, filename, content, importedBy) => {
+  const paymentProvider = getPaymentProvider(provider);
+  if (!paymentProvider || !paymentProvider.parseSettlementRow) {
+    throw new Error(`Settlement reports are not supported for ${provider}`);
+  }
+
+  const checksum = crypto.createHash('sha256').update(content).digest('hex');
+  const existing = await SettlementReconciliation.findOne({ provider, checksum });
+  if (existing) {
+    return { reconciliation: existing, duplicate: true };
+  }
+
+  const lines = [];
+  for (const row of parseCsv(content)) {
+    lines.push(await reconcileRow(provider, paymentProvider.parseSettlementRow(row)));
+  }
+
+  const dates = lines.map(line => line.settledAt).filter(Boolean).map(date => date.getTime());
+
+  try {
+    const reconciliation = await SettlementReconciliation.create({
+      provider,
+      filename,
+      checksum,
+      importedBy,
+      periodStart: dates.length ? new Date(Math.min(...dates)) : undefined,
+      periodEnd: dates.length ? new Date(Math.max(...dates)) : undefined,
+      summary: summarize(lines),
+      lines
+    });
+    return { reconciliation, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return { reconciliation: await SettlementReconciliation.findOne({ provider, checksum }), duplicate: true };
+  }
+};
+
+// Import every new report in the settlement reports folder of each enabled provider
+const importSettlementReports = async (dir = SETTLEMENT_REPORTS_DIR, importedBy) => {
+  const imported = [];
+
+  for (const provider of PAYMENT_PROVIDERS) {
+    const providerDir = path.join(dir, provider);
+    if (!fs.existsSync(providerDir)) continue;
+
+    const files = (await fs.promises.readdir(providerDir)).filter(file => file.toLowerCase().endsWith('.csv')).sort();
+    for (const file of files) {
+      try {
+        const content = await fs.promises.readFile(path.join(providerDir, file), 'utf8');
+        const { reconciliation, duplicate } = await importSettlementReport(provider, file, content, importedBy);
+        if (!duplicate) {
+          imported.push(reconciliation);
+        }
+      } catch (error) {
+        console.error(`Failed to import settlement report ${provider}/${file}:`, error);
+      }
+    }
+  }
+
+  return imported;
+};
+
+// Periodically import new settlement reports (call once on server start)
+const startReconciliationJob = (intervalMs = 6 * 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    importSettlementReports().catch(error => console.error('Reconciliation job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Reconciliation lines as CSV for accounting
+const toReconciliationCsv = (lines) => [
+  EXPORT_COLUMNS.join(','),
+  ...lines.map(line => EXPORT_COLUMNS.map(column => escapeCsv(line[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  SETTLEMENT_REPORTS_DIR,
+  importSettlementReport,
+  importSettlementReports,
+  startReconciliationJob,
+  toReconciliationCsv
+};
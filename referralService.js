@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Student = require('../models/Student');
+const Referral = require('../models/Referral');
+const { creditWallet } = require('./walletService');
+const { postReferralReward } = require('./earningsService');
+
+const REFERRER_REWARD = parseFloat(process.env.REFERRAL_REFERRER_REWARD) || 100;
+const REFEREE_REWARD = parseFloat(process.env.REFERRAL_REFEREE_REWARD) || 100;
+const CODE_ATTEMPTS = 5;
+
+// Get a student's referral code, generating one the first time it's asked for
+const getReferralCode = async (student) => {
+  for (let attempt = 0; !student.referralCode && attempt < CODE_ATTEMPTS; attempt += 1) {
+    try {
+      student.referralCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+      await student.save();
+    } catch (error) {
+      student.referralCode = undefined;
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  if (!student.referralCode) {
+    throw new Error('Could not generate a unique referral code');
+  }
+  return student.referralCode;
+};
+
+// Link a student to the referrer whose code they entered, before their first booking
+const applyReferralCode = async (student, code) => {
+  const referrer = await Student.findOne({ referralCode: String(code).trim().toUpperCase() });
+  if (!referrer) {
+    return { status: 404, message: 'Invalid referral code' };
+  }
+  if (referrer._id.toString() === student._id.toString()) {
+    return { status: 400, message: 'You cannot use your own referral code' };
+  }
+  if (await Referral.exists({ referee: student._id })) {
+    return { status: 400, message: 'A referral code has already been applied' };
+  }
+  if (await Booking.exists({ student: student._id })) {
+    return { status: 400, message: 'Referral codes can only be applied before your first booking' };
+  }
+
+  try {
+    const referral = await Referral.create({
+      referrer: referrer._id,
+      referee: student._id,
+      code: referrer.referralCode
+    });
+    return { referral };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 400, message: 'A referral code has already been applied' };
+    }
+    throw error;
+  }
+};
+
+// Credit both wallets once a referred student's first paid session has been completed, so a booking
+// that is cancelled and refunded earns nothing
+const rewardReferral = async (booking) => {
+  if (booking.status !== 'completed' || !booking.payment || !['paid', 'partial_refund'].includes(booking.payment.status)) {
+    return null;
+  }
+
+  const studentId = booking.student._id || booking.student;
+
+  const referral = await Referral.findOneAndUpdate(
+    { referee: studentId, status: 'pending' },
+    {
+      status: 'rewarded',
+      booking: booking._id,
+      referrerReward: REFERRER_REWARD,
+      refereeReward: REFEREE_REWARD,
+      rewardedAt: new Date()
+    },
+    { new: true }
+  );
+  if (!referral) {
+    return null;
+  }
+
+  const rewards = [
+    { student: referral.referrer, amount: REFERRER_REWARD, role: 'referrer', description: 'Reward for referring a friend' },
+    { student: referral.referee, amount: REFEREE_REWARD, role: 'referee', description: 'Reward for joining through a referral' }
+  ];
+
+  for (const reward of rewards) {
+    const reference = `${referral._id}:${reward.role}`;
+    await creditWallet(reward.student, reward.amount, 'referral_reward', {
+      reference: `referral_reward:${reference}`,
+      booking: booking._id,
+      description: reward.description
+    });
+    await postReferralReward(reward.student, reward.amount, reference);
+  }
+
+  return referral;
+};
+
+module.exports = {
+  REFERRER_REWARD,
+  REFEREE_REWARD,
+  getReferralCode,
+  applyReferralCode,
+  rewardReferral
+};
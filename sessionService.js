@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { isTwoFactorRequired } = require('./twoFactorService');
+const { getLinkedStudentIds } = require('./guardianService');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const ROTATED_TOKENS_KEPT = 5;
+
+// Audiences keep the token kinds apart: a 2FA login challenge is never accepted as an access token
+const ACCESS_TOKEN_AUDIENCE = 'access';
+const TWO_FACTOR_CHALLENGE_AUDIENCE = 'two_factor_login';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived access token naming the session it belongs to
+const signAccessToken = (userId, sessionId) => jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+  audience: ACCESS_TOKEN_AUDIENCE,
+  expiresIn: ACCESS_TOKEN_EXPIRE
+});
+
+// Short-lived token that carries a login between the password and the 2FA code
+const signTwoFactorChallenge = (userId) => jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+  audience: TWO_FACTOR_CHALLENGE_AUDIENCE,
+  expiresIn: '5m'
+});
+
+// User ID a 2FA login challenge was issued for, or null if it is invalid or expired
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: TWO_FACTOR_CHALLENGE_AUDIENCE }).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token pair handed to the client after login or refresh
+const issueTokens = (session, refreshToken) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRE,
+  sessionId: session._id
+});
+
+// Start a session for a user who has just authenticated, recording the device it came from
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await UserSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: req.body.deviceName || req.headers['x-device-name'],
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    lastUsedIp: req.ip,
+    twoFactorVerifiedAt: twoFactorVerified ? new Date() : undefined,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_IN_MS)
+  });
+
+  return issueTokens(session, refreshToken);
+};
+
+// Record that a session has passed two-factor authentication
+const markSessionTwoFactorVerified = async (sessionId) => {
+  await UserSession.updateOne({ _id: sessionId }, { twoFactorVerifiedAt: new Date() });
+};
+
+// Revoke one session of a user, returning it, or null if it wasn't open
+const revokeSession = async (userId, sessionId, reason) => {
+  return await UserSession.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every open session of a user, optionally keeping one, returning the revoked session IDs
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await UserSession.find(query).select('_id');
+  await UserSession.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return sessions.map(session => session._id);
+};
+
+// Swap a refresh token for a new token pair. A token that was already rotated out
+// means it leaked, so the whole session is revoked
+const rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const newToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  const session = await UserSession.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: hashToken(newToken), lastUsedAt: now, lastUsedIp: req.ip },
+      $push: { rotatedTokenHashes: { $each: [hash], $slice: -ROTATED_TOKENS_KEPT } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await UserSession.findOne({ rotatedTokenHashes: hash, revokedAt: null });
+    if (reused) {
+      await revokeSession(reused.user, reused._id, 'token_reuse');
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user).select('status');
+  if (!user || user.status !== 'active') {
+    await revokeSession(session.user, session._id, 'account_status');
+    return null;
+  }
+
+  return issueTokens(session, newToken);
+};
+
+// Decode an access token and load its user, or null if the token or its session is no longer valid.
+// Sessions of users whose role requires 2FA are only let through for setting it up until they have passed it
+const verifyAccessToken = async (token, { allowTwoFactorPending = false } = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  // Tokens issued before sessions existed have no session to revoke, so they are no longer accepted,
+  // and tokens issued for anything else are never access tokens
+  if (!decoded.sid || decoded.purpose) {
+    return null;
+  }
+
+  const session = await UserSession.findOne({ _id: decoded.sid, user: decoded.id, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (!session) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  user.sessionId = session._id;
+  user.twoFactorPending = !session.twoFactorVerifiedAt && await isTwoFactorRequired(user);
+  if (user.twoFactorPending && !allowTwoFactorPending) {
+    return null;
+  }
+
+  // Parents act for their linked children in student, booking and payment routes
+  if (user.role === 'parent') {
+    user.linkedStudentIds = await getLinkedStudentIds(user._id);
+  }
+  return user;
+};
+
+// Session ID of the access token on a request
+const getRequestSessionId = (req) => {
+  const header = req.headers.authorization || '';
+  const decoded = jwt.decode(header.replace(/^Bearer\s+/i, ''));
+  return decoded && decoded.sid;
+};
+
+// Drop the chat sockets of revoked sessions; each socket joins a room for its session
+const disconnectSessions = (io, sessionIds) => {
+  if (!io) {
+    return;
+  }
+  sessionIds.forEach(sessionId => io.in(`session_${sessionId}`).disconnectSockets(true));
+};
+
+module.exports = {
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  markSessionTwoFactorVerified,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  getRequestSessionId,
+  disconnectSessions
+};
@@ -0,0 +1,152 @@
+const stripe = require('stripe');
+
+const PAYMENT_STATUSES = { succeeded: 'captured', canceled: 'failed' };
+const REFUND_STATUSES = { succeeded: 'processed', failed: 'failed', canceled: 'failed' };
+
+let client;
+
+// Stripe client, created on first use so the app can start without Stripe keys
+const getClient = () => {
+  if (!client) {
+    client = stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+const toRefund = (refund) => ({
+  refundId: refund.id,
+  amount: refund.amount / 100,
+  status: REFUND_STATUSES[refund.status] || 'pending',
+  processedAt: refund.status === 'succeeded' ? new Date(refund.created * 1000) : undefined,
+  failureReason: refund.failure_reason
+});
+
+const toPayment = (intent) => ({
+  transactionId: intent.id,
+  orderId: intent.id,
+  amount: (intent.status === 'succeeded' ? intent.amount_received : intent.amount) / 100,
+  currency: intent.currency,
+  status: PAYMENT_STATUSES[intent.status] || 'pending',
+  failureReason: intent.last_payment_error && intent.last_payment_error.message,
+  metadata: intent.metadata || {}
+});
+
+// Turn a verified webhook event into a provider-neutral event
+const toEvent = (event) => {
+  const object = event.data.object;
+  const occurredAt = new Date(event.created * 1000);
+
+  if (event.type.startsWith('invoice.') || event.type.startsWith('customer.subscription.')) {
+    return { type: 'subscription', raw: event };
+  }
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return { type: 'payment_captured', payment: toPayment(object), occurredAt };
+    case 'payment_intent.payment_failed':
+      return { type: 'payment_failed', payment: toPayment(object), occurredAt };
+    case 'charge.refunded': {
+      const latestRefund = object.refunds && object.refunds.data && object.refunds.data[0];
+      return {
+        type: 'refund_processed',
+        refund: {
+          refundId: latestRefund && latestRefund.id,
+          transactionId: object.payment_intent,
+          amount: latestRefund ? latestRefund.amount / 100 : undefined,
+          totalRefunded: object.amount_refunded / 100,
+          refundedAt: latestRefund ? new Date(latestRefund.created * 1000) : occurredAt,
+          metadata: (latestRefund && latestRefund.metadata) || object.metadata || {}
+        },
+        occurredAt
+      };
+    }
+    case 'charge.refund.updated': {
+      // Sent when a refund that was pending fails or is reversed
+      if (object.status !== 'failed' && object.status !== 'canceled') {
+        return { type: 'other' };
+      }
+      return {
+        type: 'refund_failed',
+        refund: {
+          refundId: object.id,
+          transactionId: object.payment_intent,
+          amount: object.amount / 100,
+          failureReason: object.failure_reason,
+          metadata: object.metadata || {}
+        },
+        occurredAt
+      };
+    }
+    default:
+      return { type: 'other' };
+  }
+};
+
+module.exports = {
+  name: 'stripe',
+  defaultCurrency: 'usd',
+  getClient,
+
+  createOrder: async ({ amount, currency, metadata }) => {
+    const paymentIntent = await getClient().paymentIntents.create({
+      amount: Math.round(amount * 100),
+      currency: currency.toLowerCase(),
+      metadata
+    });
+
+    return {
+      orderId: paymentIntent.id,
+      clientData: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id
+      }
+    };
+  },
+
+  // The client only sends the intent ID; its status and metadata come from Stripe
+  verify: async ({ paymentIntentId }) => {
+    if (!paymentIntentId) {
+      return null;
+    }
+    return toPayment(await getClient().paymentIntents.retrieve(paymentIntentId));
+  },
+
+  fetch: async (transactionId) => toPayment(await getClient().paymentIntents.retrieve(transactionId)),
+
+  refund: async (transactionId, amount, metadata) => {
+    const refund = await getClient().refunds.create({
+      payment_intent: transactionId,
+      amount: Math.round(amount * 100),
+      metadata
+    });
+
+    return toRefund(refund);
+  },
+
+  fetchRefund: async (refundId) => toRefund(await getClient().refunds.retrieve(refundId)),
+
+  // Itemized payout reconciliation report; refunds have a negative gross and their own source ID.
+  // Stripe's fee already includes tax
+  parseSettlementRow: (row) => ({
+    type: { charge: 'payment', refund: 'refund' }[row.reporting_category] || 'other',
+    transactionId: row.payment_intent_id,
+    refundId: row.reporting_category === 'refund' ? row.source_id : undefined,
+    invoiceId: row.invoice_id,
+    amount: row.gross,
+    fee: row.fee,
+    currency: row.currency,
+    settledAt: row.automatic_payout_effective_at || row.available_on_utc,
+    settlementId: row.automatic_payout_id
+  }),
+
+  parseWebhook: (rawBody, headers) => {
+    let payload;
+    try {
+      payload = getClient().webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    return { id: payload.id, name: payload.type, payload, event: toEvent(payload) };
+  }
+};
@@ -3,16 +3,27 @@ const { body, validationResult, query } = require('express-validator');
 const Student = require('../models/Student');
 const Tutor = require('../models/Tutor');
 const User = require('../models/User');
+const SessionPackage = require('../models/SessionPackage');
+const StudentPackage = require('../models/StudentPackage');
+const WalletTransaction = require('../models/WalletTransaction');
+const Invoice = require('../models/Invoice');
+const Referral = require('../models/Referral');
+const GuardianLink = require('../models/GuardianLink');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { sendEmail } = require('../utils/emailService');
+const { getWallet } = require('../utils/walletService');
+const { purchasePackage } = require('../utils/packageService');
+const { REFERRER_REWARD, REFEREE_REWARD, getReferralCode, applyReferralCode } = require('../utils/referralService');
+const { findActingStudent, respondToLink, revokeLink } = require('../utils/guardianService');
 
 const router = express.Router();
 
 // @desc    Get student profile
 // @route   GET /api/students/profile
-// @access  Private (Student)
-router.get('/profile', authenticateToken, authorizeRoles('student'), async (req, res) => {
+// @access  Private (Student/Parent)
+router.get('/profile', authenticateToken, authorizeRoles('student', 'parent'), async (req, res) => {
   try {
-    const student = await Student.findOne({ user: req.user._id })
+    const student = await findActingStudent(req)
       .populate('user', 'firstName lastName email phone avatar address location')
       .populate('favoriteTutors', 'user subjects rating')
       .populate('favoriteTutors.user', 'firstName lastName avatar');
@@ -108,10 +119,10 @@ router.post('/profile', authenticateToken, authorizeRoles('student'), [
 
 // @desc    Get student dashboard data
 // @route   GET /api/students/dashboard
-// @access  Private (Student)
-router.get('/dashboard', authenticateToken, authorizeRoles('student'), async (req, res) => {
+// @access  Private (Student/Parent)
+router.get('/dashboard', authenticateToken, authorizeRoles('student', 'parent'), async (req, res) => {
   try {
-    const student = await Student.findOne({ user: req.user._id })
+    const student = await findActingStudent(req)
       .populate('user', 'firstName lastName email phone avatar');
 
     if (!student) {
@@ -134,9 +145,12 @@ router.get('/dashboard', authenticateToken, authorizeRoles('student'), async (re
     // Get attendance summary
     student.updateAttendanceStats();
 
+    const wallet = await getWallet(student._id);
+
     const dashboardData = {
       profile: student,
       stats: student.stats,
+      walletBalance: wallet.balance,
       recentProgress,
       attendancePercentage: student.attendancePercentage,
       // upcomingSessions,
@@ -158,6 +172,275 @@ router.get('/dashboard', authenticateToken, authorizeRoles('student'), async (re
   }
 });
 
+// @desc    Get wallet balance and transactions
+// @route   GET /api/students/wallet
+// @access  Private (Student/Parent)
+router.get('/wallet', authenticateToken, authorizeRoles('student', 'parent'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const wallet = await getWallet(student._id);
+    const transactions = await WalletTransaction.find({ student: student._id })
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WalletTransaction.countDocuments({ student: student._id });
+
+    res.json({
+      success: true,
+      data: {
+        wallet,
+        transactions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalTransactions: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet'
+    });
+  }
+});
+
+// @desc    Get purchased session packages
+// @route   GET /api/students/packages
+// @access  Private (Student/Parent)
+router.get('/packages', authenticateToken, authorizeRoles('student', 'parent'), [
+  query('status').optional().isIn(['active', 'exhausted', 'expired'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    let query = { student: student._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const packages = await StudentPackage.find(query)
+      .populate({ path: 'tutor', select: 'user', populate: { path: 'user', select: 'firstName lastName' } })
+      .sort({ status: 1, expiresAt: 1 });
+
+    const invoices = await Invoice.find({ studentPackage: { $in: packages.map(studentPackage => studentPackage._id) } })
+      .select('number studentPackage');
+
+    res.json({
+      success: true,
+      data: {
+        packages: packages.map(studentPackage => {
+          const invoice = invoices.find(document => document.studentPackage.toString() === studentPackage._id.toString());
+          return {
+            ...studentPackage.toJSON(),
+            invoice: invoice && {
+              _id: invoice._id,
+              number: invoice.number,
+              downloadUrl: `/api/payments/invoices/${invoice._id}/pdf`
+            }
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get student packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch packages'
+    });
+  }
+});
+
+// @desc    Buy a session package with the wallet balance
+// @route   POST /api/students/packages
+// @access  Private (Student/Parent)
+router.post('/packages', authenticateToken, authorizeRoles('student', 'parent'), [
+  body('packageId').isMongoId().withMessage('Invalid package ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const student = await findActingStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const sessionPackage = await SessionPackage.findOne({ _id: req.body.packageId, isActive: true });
+    if (!sessionPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    const studentPackage = await purchasePackage(student._id, sessionPackage);
+    if (!studentPackage) {
+      const wallet = await getWallet(student._id);
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient wallet balance',
+        data: { walletBalance: wallet.balance }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Package purchased successfully',
+      data: { package: studentPackage }
+    });
+
+  } catch (error) {
+    console.error('Purchase package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purchase package'
+    });
+  }
+});
+
+// @desc    Get own referral code and the students referred with it
+// @route   GET /api/students/referral
+// @access  Private (Student)
+router.get('/referral', authenticateToken, authorizeRoles('student'), async (req, res) => {
+  try {
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const referralCode = await getReferralCode(student);
+    const referrals = await Referral.find({ referrer: student._id })
+      .populate({ path: 'referee', select: 'user', populate: { path: 'user', select: 'firstName' } })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        referralCode,
+        referrerReward: REFERRER_REWARD,
+        refereeReward: REFEREE_REWARD,
+        referredBy: await Referral.findOne({ referee: student._id }).select('code status refereeReward'),
+        referrals: referrals.map(referral => ({
+          _id: referral._id,
+          firstName: referral.referee.user.firstName,
+          status: referral.status,
+          reward: referral.referrerReward,
+          joinedAt: referral.createdAt,
+          rewardedAt: referral.rewardedAt
+        })),
+        totalEarned: referrals.reduce((sum, referral) => sum + (referral.referrerReward || 0), 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get referral error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch referral details'
+    });
+  }
+});
+
+// @desc    Apply a friend's referral code before the first booking
+// @route   POST /api/students/referral
+// @access  Private (Student)
+router.post('/referral', authenticateToken, authorizeRoles('student'), [
+  body('code').trim().notEmpty().withMessage('Referral code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const result = await applyReferralCode(student, req.body.code);
+    if (!result.referral) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Referral code applied. After your first paid session you get ${REFEREE_REWARD} and your friend gets ${REFERRER_REWARD} in your wallets.`,
+      data: { referral: result.referral }
+    });
+
+  } catch (error) {
+    console.error('Apply referral error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply referral code'
+    });
+  }
+});
+
 // @desc    Add tutor to favorites
 // @route   POST /api/students/favorites/:tutorId
 // @access  Private (Student)
@@ -306,8 +589,8 @@ router.post('/progress', authenticateToken, authorizeRoles('student', 'tutor'),
 
 // @desc    Get student progress
 // @route   GET /api/students/progress
-// @access  Private (Student)
-router.get('/progress', authenticateToken, authorizeRoles('student'), [
+// @access  Private (Student/Parent)
+router.get('/progress', authenticateToken, authorizeRoles('student', 'parent'), [
   query('subject').optional().trim(),
   query('tutor').optional().isMongoId().withMessage('Invalid tutor ID')
 ], async (req, res) => {
@@ -323,7 +606,7 @@ router.get('/progress', authenticateToken, authorizeRoles('student'), [
 
     const { subject, tutor } = req.query;
 
-    const student = await Student.findOne({ user: req.user._id })
+    const student = await findActingStudent(req)
       .populate('progress.tutor', 'user')
       .populate('progress.tutor.user', 'firstName lastName avatar');
 
@@ -403,6 +686,125 @@ router.put('/notifications', authenticateToken, authorizeRoles('student'), async
   }
 });
 
+// @desc    Get parents linked to the student and their pending requests
+// @route   GET /api/students/guardians
+// @access  Private (Student)
+router.get('/guardians', authenticateToken, authorizeRoles('student'), async (req, res) => {
+  try {
+    const student = await Student.findOne({ user: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const guardians = await GuardianLink.find({ student: student._id, status: { $in: ['pending', 'active'] } })
+      .select('-verification')
+      .populate('parent', 'firstName lastName email phone')
+      .sort({ requestedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { guardians }
+    });
+
+  } catch (error) {
+    console.error('Get guardians error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch guardians'
+    });
+  }
+});
+
+// @desc    Approve or reject a parent's link request
+// @route   PUT /api/students/guardians/:id/respond
+// @access  Private (Student)
+router.put('/guardians/:id/respond', authenticateToken, authorizeRoles('student'), [
+  body('approve').isBoolean().withMessage('approve must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const student = await Student.findOne({ user: req.user._id });
+    const link = student && await GuardianLink.findOne({ _id: req.params.id, student: student._id, status: 'pending' })
+      .populate('parent', 'firstName email');
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link request not found'
+      });
+    }
+
+    const approve = req.body.approve === true || req.body.approve === 'true';
+    await respondToLink(link, approve);
+
+    try {
+      await sendEmail({
+        to: link.parent.email,
+        subject: approve ? 'Child Linked - Ed Share' : 'Link Request Declined - Ed Share',
+        html: approve
+          ? `<p>Hi ${link.parent.firstName},</p><p>${req.user.firstName} has approved your request. You can now book, pay for and follow their sessions.</p>`
+          : `<p>Hi ${link.parent.firstName},</p><p>${req.user.firstName} has declined your request to link their account.</p>`
+      });
+    } catch (emailError) {
+      console.error('Email sending failed:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: approve ? 'Parent linked successfully' : 'Link request rejected'
+    });
+
+  } catch (error) {
+    console.error('Respond to guardian link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to link request'
+    });
+  }
+});
+
+// @desc    Remove a linked parent
+// @route   DELETE /api/students/guardians/:id
+// @access  Private (Student)
+router.delete('/guardians/:id', authenticateToken, authorizeRoles('student'), async (req, res) => {
+  try {
+    const student = await Student.findOne({ user: req.user._id });
+    const link = student && await GuardianLink.findOne({ _id: req.params.id, student: student._id, status: { $in: ['pending', 'active'] } });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Linked parent not found'
+      });
+    }
+
+    await revokeLink(link, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Parent removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove guardian error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove parent'
+    });
+  }
+});
+
 // @desc    Get students by class and board (Admin/Employee)
 // @route   GET /api/students/by-class-board
 // @access  Private (Admin/Employee)
@@ -0,0 +1,192 @@
+// Subscriptions share the payment providers' gateway clients
+const razorpayProvider = require('./razorpayProvider');
+const stripeProvider = require('./stripeProvider');
+
+// Billing cycles a Razorpay subscription runs for before it needs renewing
+const RAZORPAY_TOTAL_COUNT = { monthly: 120, annual: 10 };
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+// Each gateway creates plans and subscriptions, cancels them, and turns its
+// webhook events into { type, subscriptionId, ... } where type is one of
+// activated, paid, payment_failed, halted or ended; other events give null
+const gateways = {
+  razorpay: {
+    createPlan: async (plan, totalAmount) => {
+      const gatewayPlan = await razorpayProvider.getClient().plans.create({
+        period: plan.interval === 'annual' ? 'yearly' : 'monthly',
+        interval: 1,
+        item: {
+          name: plan.name,
+          description: plan.description,
+          amount: toPaise(totalAmount),
+          currency: 'INR'
+        }
+      });
+      return gatewayPlan.id;
+    },
+
+    createSubscription: async (gatewayPlanId, plan, { student }) => {
+      const subscription = await razorpayProvider.getClient().subscriptions.create({
+        plan_id: gatewayPlanId,
+        total_count: RAZORPAY_TOTAL_COUNT[plan.interval],
+        customer_notify: 1,
+        notes: {
+          studentId: student._id.toString(),
+          membershipPlanId: plan._id.toString()
+        }
+      });
+
+      return {
+        subscriptionId: subscription.id,
+        managementUrl: subscription.short_url,
+        checkout: { subscriptionId: subscription.id, shortUrl: subscription.short_url }
+      };
+    },
+
+    cancelSubscription: async (subscriptionId, atPeriodEnd) => {
+      await razorpayProvider.getClient().subscriptions.cancel(subscriptionId, atPeriodEnd);
+    },
+
+    parseEvent: (event) => {
+      const subscription = event.payload.subscription && event.payload.subscription.entity;
+      const payment = event.payload.payment && event.payload.payment.entity;
+      if (!subscription) {
+        return null;
+      }
+
+      const parsed = {
+        subscriptionId: subscription.id,
+        periodStart: fromUnixTime(subscription.current_start),
+        periodEnd: fromUnixTime(subscription.current_end)
+      };
+
+      switch (event.event) {
+        case 'subscription.activated':
+          return { ...parsed, type: 'activated' };
+        case 'subscription.charged':
+          return {
+            ...parsed,
+            type: 'paid',
+            paymentId: payment.id,
+            amount: payment.amount / 100,
+            currency: payment.currency
+          };
+        case 'subscription.pending':
+          return {
+            ...parsed,
+            type: 'payment_failed',
+            paymentId: payment ? payment.id : `${subscription.id}:${subscription.paid_count}`,
+            failureReason: payment && payment.error_description
+          };
+        case 'subscription.halted':
+          return { ...parsed, type: 'halted' };
+        case 'subscription.cancelled':
+        case 'subscription.completed':
+          return { ...parsed, type: 'ended' };
+        default:
+          return null;
+      }
+    }
+  },
+
+  stripe: {
+    createPlan: async (plan, totalAmount) => {
+      const price = await stripeProvider.getClient().prices.create({
+        currency: 'inr',
+        unit_amount: toPaise(totalAmount),
+        recurring: { interval: plan.interval === 'annual' ? 'year' : 'month' },
+        product_data: { name: plan.name }
+      });
+      return price.id;
+    },
+
+    createSubscription: async (gatewayPlanId, plan, { student, user }) => {
+      const customer = await stripeProvider.getClient().customers.create({
+        email: user.email,
+        name: `${user.firstName} ${user.lastName}`,
+        metadata: { studentId: student._id.toString() }
+      });
+
+      // The first invoice is paid on the client with the returned client secret
+      const subscription = await stripeProvider.getClient().subscriptions.create({
+        customer: customer.id,
+        items: [{ price: gatewayPlanId }],
+        payment_behavior: 'default_incomplete',
+        payment_settings: { save_default_payment_method: 'on_subscription' },
+        expand: ['latest_invoice.payment_intent'],
+        metadata: {
+          studentId: student._id.toString(),
+          membershipPlanId: plan._id.toString()
+        }
+      });
+
+      const paymentIntent = subscription.latest_invoice && subscription.latest_invoice.payment_intent;
+      return {
+        subscriptionId: subscription.id,
+        customerId: customer.id,
+        checkout: {
+          subscriptionId: subscription.id,
+          clientSecret: paymentIntent && paymentIntent.client_secret
+        }
+      };
+    },
+
+    cancelSubscription: async (subscriptionId, atPeriodEnd) => {
+      if (atPeriodEnd) {
+        await stripeProvider.getClient().subscriptions.update(subscriptionId, { cancel_at_period_end: true });
+      } else {
+        await stripeProvider.getClient().subscriptions.cancel(subscriptionId);
+      }
+    },
+
+    parseEvent: (event) => {
+      const object = event.data.object;
+
+      if (event.type === 'customer.subscription.deleted') {
+        return { type: 'ended', subscriptionId: object.id };
+      }
+
+      // Newer API versions moved the invoice's subscription under parent
+      const subscriptionId = object.subscription ||
+        (object.parent && object.parent.subscription_details && object.parent.subscription_details.subscription);
+      if (!subscriptionId || !['invoice.paid', 'invoice.payment_failed'].includes(event.type)) {
+        return null;
+      }
+
+      const period = object.lines && object.lines.data.length ? object.lines.data[0].period : {};
+      const parsed = {
+        subscriptionId,
+        paymentId: object.id,
+        periodStart: fromUnixTime(period.start),
+        periodEnd: fromUnixTime(period.end)
+      };
+
+      if (event.type === 'invoice.paid') {
+        return { ...parsed, type: 'paid', amount: object.amount_paid / 100, currency: object.currency };
+      }
+
+      return {
+        ...parsed,
+        type: 'payment_failed',
+        failureReason: object.last_finalization_error && object.last_finalization_error.message,
+        nextRetryAt: fromUnixTime(object.next_payment_attempt)
+      };
+    }
+  }
+};
+
+const getSubscriptionGateway = (provider) => {
+  const gateway = gateways[provider];
+  if (!gateway) {
+    throw new Error(`Unsupported subscription gateway: ${provider}`);
+  }
+  return gateway;
+};
+
+module.exports = {
+  SUBSCRIPTION_PROVIDERS: Object.keys(gateways),
+  getSubscriptionGateway
+};
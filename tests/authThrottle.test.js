@@ -0,0 +1,99 @@
+// Login lockouts and OTP send throttling
+const request = require('supertest');
+const db = require('./db');
+const { PASSWORD, buildApp, createUser } = require('./helpers');
+
+jest.mock('../emailService', () => ({ sendEmail: jest.fn().mockResolvedValue({ success: true }) }));
+jest.mock('../smsService', () => ({ sendSMS: jest.fn().mockResolvedValue({ success: true }) }));
+
+const AuthLockout = require('../AuthLockout');
+const { sendSMS } = require('../smsService');
+const { claimSendSlot, OTP_RESEND_COOLDOWN_SECONDS } = require('../authThrottleService');
+const authRoutes = require('../auth');
+
+const app = buildApp({ '/api/auth': authRoutes });
+
+// Attempts allowed per account before a lockout, with no AUTH_MAX_ATTEMPTS set
+const MAX_ATTEMPTS = 5;
+
+const logIn = (emailOrPhone, password) => request(app)
+  .post('/api/auth/login')
+  .send({ emailOrPhone, password });
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+  await db.clear();
+  sendSMS.mockClear();
+});
+
+describe('login lockouts', () => {
+  test('locks an account out after repeated wrong passwords, even for the right one', async () => {
+    const user = await createUser('student');
+
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      expect((await logIn(user.email, 'wrong-password')).status).toBe(401);
+    }
+
+    const locked = await logIn(user.email, 'wrong-password');
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+    const rightPassword = await logIn(user.email, PASSWORD);
+    expect(rightPassword.status).toBe(429);
+
+    const lockouts = await AuthLockout.find({ action: 'login', scope: 'account' });
+    expect(lockouts).toHaveLength(1);
+    expect(lockouts[0]).toMatchObject({ key: user.email, attempts: MAX_ATTEMPTS, lockoutCount: 1 });
+    expect(lockouts[0].user.toString()).toBe(user._id.toString());
+  });
+
+  test('counts attempts against identifiers that match no account', async () => {
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      expect((await logIn('nobody@example.com', 'wrong-password')).status).toBe(401);
+    }
+    expect((await logIn('nobody@example.com', 'wrong-password')).status).toBe(429);
+
+    // Other accounts from the same IP are unaffected
+    const user = await createUser('student');
+    expect((await logIn(user.email, PASSWORD)).status).toBe(200);
+  });
+
+  test('clears the failed attempts after a successful login', async () => {
+    const user = await createUser('student');
+
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      await logIn(user.email, 'wrong-password');
+    }
+    expect((await logIn(user.email, PASSWORD)).status).toBe(200);
+
+    expect((await logIn(user.email, 'wrong-password')).status).toBe(401);
+  });
+});
+
+describe('OTP send throttling', () => {
+  test('sends at most one OTP per cooldown', async () => {
+    const user = await createUser('student');
+
+    const sent = await request(app).post('/api/auth/resend-otp').send({ phone: user.phone });
+    expect(sent.status).toBe(200);
+
+    const tooSoon = await request(app).post('/api/auth/resend-otp').send({ phone: user.phone });
+    expect(tooSoon.status).toBe(429);
+    expect(Number(tooSoon.headers['retry-after'])).toBeLessThanOrEqual(OTP_RESEND_COOLDOWN_SECONDS);
+
+    expect(sendSMS).toHaveBeenCalledTimes(1);
+  });
+
+  test('claims a send slot once per cooldown', async () => {
+    expect(await claimSendSlot('resend_otp', '9000000001')).toBeNull();
+
+    const nextSendAt = await claimSendSlot('resend_otp', '9000000001');
+    expect(nextSendAt).toBeInstanceOf(Date);
+    expect(nextSendAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Each account has its own cooldown
+    expect(await claimSendSlot('resend_otp', '9000000002')).toBeNull();
+  });
+});
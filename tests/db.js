@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongo;
+
+// Connect to a throwaway MongoDB: MONGODB_TEST_URI if CI provides one, else an in-memory server.
+// Indexes are built before the tests start, since upserts and claims rely on the unique ones
+const connect = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    mongo = await MongoMemoryServer.create();
+    uri = mongo.getUri();
+  }
+
+  await mongoose.connect(uri);
+  await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+};
+
+// Empty every collection between tests, keeping the indexes
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (mongo) {
+    await mongo.stop();
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
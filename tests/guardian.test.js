@@ -0,0 +1,148 @@
+// Linking a parent to a child: code guesses and link requests are limited per window
+const request = require('supertest');
+const db = require('./db');
+const { buildApp, createUser, createStudent, login, bearer } = require('./helpers');
+
+jest.mock('../emailService', () => ({ sendEmail: jest.fn().mockResolvedValue({ success: true }) }));
+jest.mock('../smsService', () => ({ sendSMS: jest.fn().mockResolvedValue({ success: true }) }));
+
+const GuardianLink = require('../GuardianLink');
+const { sendSMS } = require('../smsService');
+const { requestLink, verifyLinkCode } = require('../guardianService');
+const parentRoutes = require('../parents');
+
+const app = buildApp({ '/api/parents': parentRoutes });
+
+// Code guesses and link requests a parent gets per child in each window
+const MAX_ATTEMPTS = 5;
+const MAX_REQUESTS = 3;
+
+let parent;
+let child;
+
+// A code that isn't the one sent
+const wrongCode = (code) => String((Number(code) + 1) % 900000 + 100000);
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+  await db.clear();
+  sendSMS.mockClear();
+  parent = await createUser('parent');
+  child = await createStudent();
+});
+
+describe('guardian link codes', () => {
+  test('links a child with the code sent to them', async () => {
+    const { code } = await requestLink(parent, child.student, 'mother');
+
+    const link = await verifyLinkCode(parent._id, child.student._id, code);
+    expect(link).toMatchObject({ status: 'active', verifiedBy: 'phone_code' });
+  });
+
+  test('stops accepting even the right code once the guesses are used up', async () => {
+    const { code } = await requestLink(parent, child.student, 'mother');
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      expect(await verifyLinkCode(parent._id, child.student._id, wrongCode(code))).toBeNull();
+    }
+    expect(await verifyLinkCode(parent._id, child.student._id, code)).toBeNull();
+
+    // Asking for a new code doesn't buy more guesses
+    expect(await requestLink(parent, child.student, 'mother')).toBeNull();
+
+    const link = await GuardianLink.findOne({ parent: parent._id, student: child.student._id });
+    expect(link.status).toBe('pending');
+    expect(link.requestLimit.attempts).toBe(MAX_ATTEMPTS);
+  });
+
+  test('limits how often a parent can ask to link the same child', async () => {
+    for (let requested = 0; requested < MAX_REQUESTS; requested++) {
+      expect(await requestLink(parent, child.student, 'father')).not.toBeNull();
+    }
+    expect(await requestLink(parent, child.student, 'father')).toBeNull();
+
+    // Another parent asking for the same child has their own limit
+    const otherParent = await createUser('parent');
+    expect(await requestLink(otherParent, child.student, 'guardian')).not.toBeNull();
+  });
+
+  test('refuses a new request for a child who is already linked', async () => {
+    const { code } = await requestLink(parent, child.student, 'mother');
+    await verifyLinkCode(parent._id, child.student._id, code);
+
+    expect(await requestLink(parent, child.student, 'mother')).toBeNull();
+  });
+});
+
+describe('guardian link routes', () => {
+  let parentToken;
+
+  const askToLink = (emailOrPhone) => request(app)
+    .post('/api/parents/children')
+    .set(bearer(parentToken))
+    .send({ emailOrPhone, relationship: 'father' });
+
+  const enterCode = (code) => request(app)
+    .post('/api/parents/children/verify')
+    .set(bearer(parentToken))
+    .send({ emailOrPhone: child.user.email, code });
+
+  // Code in the last text sent to the child
+  const sentCode = () => sendSMS.mock.calls[sendSMS.mock.calls.length - 1][1].match(/code (\d{6})/)[1];
+
+  beforeEach(async () => {
+    parentToken = (await login(parent)).token;
+  });
+
+  test('links a child with the texted code after a wrong guess', async () => {
+    expect((await askToLink(child.user.email)).status).toBe(200);
+    expect(sendSMS).toHaveBeenCalledWith(child.user.phone, expect.any(String));
+    const code = sentCode();
+
+    expect((await enterCode(wrongCode(code))).status).toBe(400);
+
+    const linked = await enterCode(code);
+    expect(linked.status).toBe(200);
+    expect(linked.body.data.studentId).toBe(child.student._id.toString());
+
+    const children = await request(app).get('/api/parents/children').set(bearer(parentToken));
+    expect(children.body.data.children).toHaveLength(1);
+  });
+
+  test('locks the code after too many wrong guesses', async () => {
+    await askToLink(child.user.email);
+    const code = sentCode();
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      expect((await enterCode(wrongCode(code))).status).toBe(400);
+    }
+    expect((await enterCode(code)).status).toBe(400);
+  });
+
+  test('answers the same whether or not a child matches or is already linked', async () => {
+    const unknown = await askToLink('nobody@example.com');
+    expect(unknown.status).toBe(200);
+
+    const { code } = await requestLink(parent, child.student, 'father');
+    await verifyLinkCode(parent._id, child.student._id, code);
+
+    const alreadyLinked = await askToLink(child.user.email);
+    expect(alreadyLinked.status).toBe(200);
+    expect(alreadyLinked.body.message).toBe(unknown.body.message);
+    expect(sendSMS).not.toHaveBeenCalled();
+  });
+
+  test('unlinks a child, rejecting a malformed child ID', async () => {
+    const { code } = await requestLink(parent, child.student, 'father');
+    await verifyLinkCode(parent._id, child.student._id, code);
+
+    const malformed = await request(app).delete('/api/parents/children/not-an-id').set(bearer(parentToken));
+    expect(malformed.status).toBe(400);
+
+    const unlinked = await request(app).delete(`/api/parents/children/${child.student._id}`).set(bearer(parentToken));
+    expect(unlinked.status).toBe(200);
+    expect((await GuardianLink.findOne({ parent: parent._id })).status).toBe('revoked');
+  });
+});
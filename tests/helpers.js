@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const express = require('express');
+const User = require('../User');
+const Student = require('../Student');
+const Tutor = require('../Tutor');
+const { createSession } = require('../sessionService');
+
+const PASSWORD = 'password123';
+
+let userCount = 0;
+
+// Express app with the given routers, parsing JSON like the server while keeping the raw
+// bytes for webhook signatures
+const buildApp = (routes) => {
+  const app = express();
+  app.set('io', null);
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  return app;
+};
+
+// Active user with a unique email and phone and the password PASSWORD
+const createUser = (role, fields = {}) => {
+  userCount += 1;
+  return User.create({
+    firstName: 'Test',
+    lastName: role,
+    email: `${role}${userCount}@example.com`,
+    phone: `90000${String(userCount).padStart(5, '0')}`,
+    password: PASSWORD,
+    role,
+    ...fields
+  });
+};
+
+const createStudent = async (fields) => {
+  const user = await createUser('student', fields);
+  const student = await Student.create({ user: user._id, currentClass: '10', board: 'CBSE' });
+  return { user, student };
+};
+
+// Tutor available all day, every day, teaching Mathematics
+const createTutor = async (fields) => {
+  const user = await createUser('tutor', fields);
+  const slots = [{ startTime: '00:00', endTime: '23:59' }];
+  const tutor = await Tutor.create({
+    user: user._id,
+    subjects: [{ name: 'Mathematics', classes: ['10'], boards: ['CBSE'], pricePerHour: 1000 }],
+    teachingModes: ['online'],
+    availability: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(day => ({ day, slots })),
+    kyc: { verificationStatus: 'verified' }
+  });
+  return { user, tutor };
+};
+
+// Open a session for a user as a login would, returning its token pair
+const login = (user, options) => createSession(user, { body: {}, headers: {}, ip: '127.0.0.1' }, options);
+
+// Authorization header for an access token
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 code for a base32 secret, as an authenticator app would show it, steps periods from now
+const totp = (secret, steps = 0) => {
+  let bits = '';
+  for (const char of secret.replace(/=+$/, '')) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + steps));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+
+  return ((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).toString().padStart(6, '0');
+};
+
+module.exports = {
+  PASSWORD,
+  buildApp,
+  createUser,
+  createStudent,
+  createTutor,
+  login,
+  bearer,
+  totp
+};
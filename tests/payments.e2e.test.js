@@ -0,0 +1,169 @@
+// Booking -> payment -> refund through the payment routes, paid with the in-memory fake provider.
+// Needs no gateway keys: tests/setupEnv.js enables only the fake provider.
+const request = require('supertest');
+const db = require('./db');
+const { buildApp, createUser, createStudent, createTutor, login, bearer } = require('./helpers');
+
+jest.mock('../emailService', () => ({ sendEmail: jest.fn().mockResolvedValue({ success: true }) }));
+
+const Booking = require('../Booking');
+const LedgerTransaction = require('../LedgerTransaction');
+const fakeProvider = require('../fakePaymentProvider');
+const paymentRoutes = require('../payments');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const app = buildApp({ '/api/payments': paymentRoutes });
+
+let studentToken;
+let adminToken;
+let booking;
+
+const deliverWebhook = ({ body, headers }) => request(app)
+  .post('/api/payments/webhooks/fake')
+  .set(headers)
+  .send(body);
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+  await db.clear();
+  fakeProvider.reset();
+
+  const { user: studentUser, student } = await createStudent();
+  const { tutor } = await createTutor();
+  const admin = await createUser('admin');
+
+  studentToken = (await login(studentUser)).token;
+  adminToken = (await login(admin, { twoFactorVerified: true })).token;
+
+  const scheduledDate = new Date(Date.now() + 3 * DAY_IN_MS);
+  scheduledDate.setUTCHours(0, 0, 0, 0);
+
+  booking = await Booking.create({
+    student: student._id,
+    tutor: tutor._id,
+    sessionType: 'regular',
+    subject: 'Mathematics',
+    class: '10',
+    board: 'CBSE',
+    scheduledDate,
+    startTime: '16:00',
+    endTime: '17:00',
+    duration: 60,
+    mode: 'online',
+    pricing: { listAmount: 1000, discount: 0, baseAmount: 1000, tax: 180, totalAmount: 1180 }
+  });
+});
+
+// Create a gateway order for the booking and pay it at the fake checkout
+const payBooking = async (options) => {
+  const order = await request(app)
+    .post('/api/payments/fake/create-order')
+    .set(bearer(studentToken))
+    .send({ bookingId: booking._id.toString() });
+
+  expect(order.status).toBe(200);
+  expect(order.body.data).toMatchObject({ provider: 'fake', amount: 1180, currency: 'INR' });
+
+  return fakeProvider.capture(order.body.data.orderId, options);
+};
+
+const verifyPayment = (proof) => request(app)
+  .post('/api/payments/fake/verify')
+  .set(bearer(studentToken))
+  .send({ ...proof, bookingId: booking._id.toString() });
+
+const refundBooking = (body) => request(app)
+  .post('/api/payments/refund')
+  .set(bearer(adminToken))
+  .send({ bookingId: booking._id.toString(), reason: 'Tutor unavailable', ...body });
+
+describe('booking payments with the fake provider', () => {
+  test('pays a booking and refunds it in two parts', async () => {
+    const proof = await payBooking();
+
+    const verified = await verifyPayment(proof);
+    expect(verified.status).toBe(200);
+
+    let paid = await Booking.findById(booking._id);
+    expect(paid.status).toBe('confirmed');
+    expect(paid.payment).toMatchObject({ status: 'paid', method: 'fake', amount: 1180, transactionId: proof.paymentId });
+    expect(await LedgerTransaction.countDocuments({ reference: `booking_payment:${booking._id}` })).toBe(1);
+
+    // The gateway's own notification of the capture changes nothing, however often it arrives
+    const captured = fakeProvider.createWebhook('payment.captured', proof.paymentId);
+    const delivered = await deliverWebhook(captured);
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.data).toMatchObject({ duplicate: false, status: 'processed' });
+
+    const redelivered = await deliverWebhook(captured);
+    expect(redelivered.body.data).toEqual({ duplicate: true });
+    expect(await LedgerTransaction.countDocuments({ reference: `booking_payment:${booking._id}` })).toBe(1);
+
+    const partial = await refundBooking({ amount: 500 });
+    expect(partial.status).toBe(200);
+    expect(partial.body.data).toMatchObject({ refundAmount: 500, status: 'processed', refundableAmount: 680 });
+
+    // The refund webhook for a refund the route already settled isn't counted twice
+    const refundWebhook = fakeProvider.createWebhook('refund.processed', proof.paymentId, partial.body.data.refundId);
+    expect((await deliverWebhook(refundWebhook)).status).toBe(200);
+
+    paid = await Booking.findById(booking._id);
+    expect(paid.payment.status).toBe('partial_refund');
+    expect(paid.payment.refundAmount).toBe(500);
+
+    const rest = await refundBooking({});
+    expect(rest.status).toBe(200);
+    expect(rest.body.data).toMatchObject({ refundAmount: 680, refundableAmount: 0 });
+
+    const refunded = await Booking.findById(booking._id);
+    expect(refunded.payment.status).toBe('refunded');
+    expect(refunded.payment.refundAmount).toBe(1180);
+    expect(refunded.payment.refunds.map(refund => refund.status)).toEqual(['processed', 'processed']);
+    expect(await LedgerTransaction.countDocuments({ type: 'refund', booking: booking._id })).toBe(2);
+
+    const overRefund = await refundBooking({ amount: 1 });
+    expect(overRefund.status).toBe(400);
+  });
+
+  test('settles a booking from the webhook when the client never verifies', async () => {
+    const proof = await payBooking();
+
+    const delivered = await deliverWebhook(fakeProvider.createWebhook('payment.captured', proof.paymentId));
+    expect(delivered.status).toBe(200);
+
+    const paid = await Booking.findById(booking._id);
+    expect(paid.payment).toMatchObject({ status: 'paid', method: 'fake', transactionId: proof.paymentId });
+
+    // A late verify sees the booking already paid and leaves it alone
+    expect((await verifyPayment(proof)).status).toBe(200);
+    expect(await LedgerTransaction.countDocuments({ reference: `booking_payment:${booking._id}` })).toBe(1);
+  });
+
+  test('records a declined payment and refuses to refund it', async () => {
+    const proof = await payBooking({ fail: true });
+
+    const verified = await verifyPayment(proof);
+    expect(verified.status).toBe(400);
+
+    await deliverWebhook(fakeProvider.createWebhook('payment.failed', proof.paymentId));
+
+    const failed = await Booking.findById(booking._id);
+    expect(failed.payment).toMatchObject({ status: 'failed', failureReason: 'Declined by fake provider' });
+
+    expect((await refundBooking({})).status).toBe(400);
+  });
+
+  test('rejects webhooks that are not signed with the fake provider secret', async () => {
+    const proof = await payBooking();
+    const { body, headers } = fakeProvider.createWebhook('payment.captured', proof.paymentId);
+
+    const forged = await deliverWebhook({ body, headers: { ...headers, 'x-fake-signature': 'forged' } });
+    expect(forged.status).toBe(400);
+
+    const unpaid = await Booking.findById(booking._id);
+    expect(unpaid.payment.status).toBe('pending');
+  });
+});
@@ -0,0 +1,18 @@
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const APP_DIRS = [ROOT, path.join(ROOT, 'middleware')];
+
+// The server's files sit side by side in the repository root, but require each other
+// through the folders they are deployed in (../models/User, ../utils/paymentService,
+// ../routes/payments, ../middleware/auth). Point those requests at the files themselves.
+module.exports = (request, options) => {
+  const match = /^\.\.\/(models|utils|routes|middleware)\/([A-Za-z]+)$/.exec(request);
+  if (match && APP_DIRS.includes(path.resolve(options.basedir))) {
+    const [, folder, name] = match;
+    const file = folder === 'middleware' ? path.join(ROOT, 'middleware', name) : path.join(ROOT, name);
+    return options.defaultResolver(file, options);
+  }
+
+  return options.defaultResolver(request, options);
+};
@@ -0,0 +1,99 @@
+// Session revocation and refresh token rotation through the auth routes
+const request = require('supertest');
+const db = require('./db');
+const { buildApp, createUser, login, bearer } = require('./helpers');
+
+jest.mock('../emailService', () => ({ sendEmail: jest.fn().mockResolvedValue({ success: true }) }));
+jest.mock('../smsService', () => ({ sendSMS: jest.fn().mockResolvedValue({ success: true }) }));
+
+const UserSession = require('../UserSession');
+const authRoutes = require('../auth');
+
+const app = buildApp({ '/api/auth': authRoutes });
+
+let user;
+
+const getMe = (token) => request(app).get('/api/auth/me').set(bearer(token));
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+  await db.clear();
+  user = await createUser('student');
+});
+
+describe('sessions', () => {
+  test('logging out revokes the access token and the refresh token', async () => {
+    const { token, refreshToken } = await login(user);
+    expect((await getMe(token)).status).toBe(200);
+
+    const loggedOut = await request(app).post('/api/auth/logout').set(bearer(token));
+    expect(loggedOut.status).toBe(200);
+
+    expect((await getMe(token)).status).toBe(401);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+
+  test('rotates the refresh token, keeping the session', async () => {
+    const first = await login(user);
+
+    const rotated = await refresh(first.refreshToken);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.refreshToken).not.toBe(first.refreshToken);
+    expect(rotated.body.data.sessionId.toString()).toBe(first.sessionId.toString());
+
+    expect((await getMe(rotated.body.data.token)).status).toBe(200);
+    expect((await refresh(rotated.body.data.refreshToken)).status).toBe(200);
+  });
+
+  test('revokes the whole session when a rotated refresh token is used again', async () => {
+    const first = await login(user);
+    const rotated = (await refresh(first.refreshToken)).body.data;
+
+    const reused = await refresh(first.refreshToken);
+    expect(reused.status).toBe(401);
+
+    const session = await UserSession.findById(first.sessionId);
+    expect(session.revokedReason).toBe('token_reuse');
+
+    // Whoever holds the current pair is logged out too
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect((await getMe(rotated.token)).status).toBe(401);
+  });
+
+  test('logging out everywhere revokes every session', async () => {
+    const phone = await login(user);
+    const laptop = await login(user);
+
+    const loggedOut = await request(app).post('/api/auth/logout-all').set(bearer(laptop.token));
+    expect(loggedOut.status).toBe(200);
+
+    expect((await getMe(phone.token)).status).toBe(401);
+    expect((await getMe(laptop.token)).status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+  });
+
+  test('revokes one other session, leaving the current one open', async () => {
+    const phone = await login(user);
+    const laptop = await login(user);
+
+    const sessions = await request(app).get('/api/auth/sessions').set(bearer(laptop.token));
+    expect(sessions.body.data.sessions).toHaveLength(2);
+    expect(sessions.body.data.sessions.find(session => session.current)._id).toBe(laptop.sessionId.toString());
+
+    const revoked = await request(app).delete(`/api/auth/sessions/${phone.sessionId}`).set(bearer(laptop.token));
+    expect(revoked.status).toBe(200);
+
+    expect((await getMe(phone.token)).status).toBe(401);
+    expect((await getMe(laptop.token)).status).toBe(200);
+
+    // Another user's session can't be revoked, and looks like it doesn't exist
+    const other = await login(await createUser('student'));
+    const foreign = await request(app).delete(`/api/auth/sessions/${other.sessionId}`).set(bearer(laptop.token));
+    expect(foreign.status).toBe(404);
+    expect((await getMe(other.token)).status).toBe(200);
+  });
+});
@@ -0,0 +1,6 @@
+// Settings the server reads when its modules load: no gateway keys, just the fake provider
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.PAYMENT_PROVIDERS = 'fake';
+process.env.FAKE_PAYMENTS_SECRET = 'test_fake_payments_secret';
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
@@ -0,0 +1,116 @@
+// Two-factor enrollment and login: challenge tokens, TOTP replay and one-time recovery codes.
+// tests/setupEnv.js makes 2FA mandatory for admins only
+const request = require('supertest');
+const db = require('./db');
+const { PASSWORD, buildApp, createUser, bearer, totp } = require('./helpers');
+
+jest.mock('../emailService', () => ({ sendEmail: jest.fn().mockResolvedValue({ success: true }) }));
+jest.mock('../smsService', () => ({ sendSMS: jest.fn().mockResolvedValue({ success: true }) }));
+
+const authRoutes = require('../auth');
+
+const app = buildApp({ '/api/auth': authRoutes });
+
+let admin;
+
+const logIn = () => request(app)
+  .post('/api/auth/login')
+  .send({ emailOrPhone: admin.email, password: PASSWORD });
+
+const logInWith2fa = (challengeToken, fields) => request(app)
+  .post('/api/auth/login/2fa')
+  .send({ challengeToken, ...fields });
+
+const getMe = (token) => request(app).get('/api/auth/me').set(bearer(token));
+
+// Set up 2FA from a fresh session, returning the secret and recovery codes
+const enrollTwoFactor = async () => {
+  const { token } = (await logIn()).body.data;
+
+  const setup = await request(app).post('/api/auth/2fa/setup').set(bearer(token));
+  expect(setup.status).toBe(200);
+  const { secret } = setup.body.data;
+
+  const enabled = await request(app).post('/api/auth/2fa/enable').set(bearer(token)).send({ code: totp(secret) });
+  expect(enabled.status).toBe(200);
+
+  return { token, secret, recoveryCodes: enabled.body.data.recoveryCodes };
+};
+
+beforeAll(db.connect);
+afterAll(db.disconnect);
+
+beforeEach(async () => {
+  await db.clear();
+  admin = await createUser('admin');
+});
+
+describe('two-factor authentication', () => {
+  test('holds a required role to setting up 2FA until it is enabled', async () => {
+    const loggedIn = await logIn();
+    expect(loggedIn.status).toBe(200);
+    expect(loggedIn.body.data.twoFactorSetupRequired).toBe(true);
+
+    const { token } = loggedIn.body.data;
+    const blocked = await getMe(token);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.twoFactorSetupRequired).toBe(true);
+
+    const setup = await request(app).post('/api/auth/2fa/setup').set(bearer(token));
+    expect(setup.status).toBe(200);
+    expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+    const wrongCode = await request(app).post('/api/auth/2fa/enable').set(bearer(token)).send({ code: '000000' });
+    expect(wrongCode.status).toBe(400);
+
+    const enabled = await request(app).post('/api/auth/2fa/enable').set(bearer(token)).send({ code: totp(setup.body.data.secret) });
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.data.recoveryCodes).toHaveLength(10);
+
+    // The session that enrolled has proven the second factor
+    expect((await getMe(token)).status).toBe(200);
+  });
+
+  test('finishes a login with a code from the app, which works only once', async () => {
+    const { secret } = await enrollTwoFactor();
+
+    const loggedIn = await logIn();
+    expect(loggedIn.status).toBe(200);
+    expect(loggedIn.body.data).toMatchObject({ twoFactorRequired: true });
+    expect(loggedIn.body.data.token).toBeUndefined();
+
+    const { challengeToken } = loggedIn.body.data;
+    expect((await getMe(challengeToken)).status).toBe(401);
+
+    // The code that confirmed enrollment can't finish a login
+    expect((await logInWith2fa(challengeToken, { code: totp(secret) })).status).toBe(401);
+
+    const code = totp(secret, 1);
+    const verified = await logInWith2fa(challengeToken, { code });
+    expect(verified.status).toBe(200);
+    expect((await getMe(verified.body.data.token)).status).toBe(200);
+
+    const replayed = await logInWith2fa(challengeToken, { code });
+    expect(replayed.status).toBe(401);
+  });
+
+  test('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enrollTwoFactor();
+    const { challengeToken } = (await logIn()).body.data;
+
+    const recovered = await logInWith2fa(challengeToken, { recoveryCode: recoveryCodes[0] });
+    expect(recovered.status).toBe(200);
+    expect((await getMe(recovered.body.data.token)).status).toBe(200);
+
+    const reused = await logInWith2fa(challengeToken, { recoveryCode: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+
+    const status = await request(app).get('/api/auth/2fa').set(bearer(recovered.body.data.token));
+    expect(status.body.data.twoFactor).toMatchObject({ enabled: true, required: true, recoveryCodesLeft: 9 });
+  });
+
+  test('rejects a login challenge that was not issued by the server', async () => {
+    const forged = await logInWith2fa('not-a-challenge', { code: '123456' });
+    expect(forged.status).toBe(401);
+  });
+});
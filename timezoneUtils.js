@@ -0,0 +1,116 @@
+// Timezone helpers. Session dates are stored as UTC-midnight days with "HH:MM"
+// wall-clock times in the tutor's timezone, plus absolute startsAt/endsAt instants.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+// Check if a string is a valid IANA timezone name
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get the wall-clock parts of an instant in a timezone
+const getZonedParts = (instant, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const values = {};
+  parts.forEach(part => { values[part.type] = parseInt(part.value, 10); });
+  return values;
+};
+
+// Offset of a timezone from UTC at the given instant, in minutes
+const getOffsetMinutes = (instant, timezone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timezone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  return (wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000;
+};
+
+// Convert a calendar day and "HH:MM" wall-clock time in a timezone to an absolute instant
+const zonedTimeToUtc = (date, time, timezone) => {
+  const day = new Date(date);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+  const estimate = new Date(wallClock - getOffsetMinutes(new Date(wallClock), timezone) * 60000);
+  // Re-check the offset at the estimate in case a DST change falls in between
+  return new Date(wallClock - getOffsetMinutes(estimate, timezone) * 60000);
+};
+
+// Convert an absolute instant to a UTC-midnight calendar day and "HH:MM" time in a timezone
+const utcToZonedTime = (instant, timezone) => {
+  const { year, month, day, hour, minute } = getZonedParts(instant, timezone);
+
+  return {
+    date: new Date(Date.UTC(year, month - 1, day)),
+    time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+  };
+};
+
+// Absolute start and end instants of a session stored in the given timezone
+const getSessionInstants = (scheduledDate, startTime, endTime, timezone = DEFAULT_TIMEZONE) => ({
+  startsAt: zonedTimeToUtc(scheduledDate, startTime, timezone),
+  endsAt: zonedTimeToUtc(scheduledDate, endTime, timezone)
+});
+
+// Move a session given in one timezone to its calendar day and "HH:MM" times in another,
+// or null if it would start and end on different days there
+const convertSession = (scheduledDate, startTime, endTime, fromTimezone, toTimezone) => {
+  const { startsAt, endsAt } = getSessionInstants(scheduledDate, startTime, endTime, fromTimezone);
+  const start = utcToZonedTime(startsAt, toTimezone);
+  const end = utcToZonedTime(endsAt, toTimezone);
+
+  if (start.date.getTime() !== end.date.getTime()) {
+    return null;
+  }
+
+  return { scheduledDate: start.date, startTime: start.time, endTime: end.time, startsAt, endsAt };
+};
+
+// Absolute start and end of a stored session, computed for records saved before instants were kept
+const getBookingInstants = (session) => (session.startsAt
+  ? { startsAt: session.startsAt, endsAt: session.endsAt }
+  : getSessionInstants(session.scheduledDate, session.startTime, session.endTime, session.timezone));
+
+// Render a session's date and time range in the recipient's timezone
+const formatSession = (session, timezone = DEFAULT_TIMEZONE) => {
+  const { startsAt, endsAt } = getBookingInstants(session);
+
+  const timeOptions = { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  const zoneName = new Intl.DateTimeFormat('en-IN', { timeZone: timezone, timeZoneName: 'short' })
+    .formatToParts(startsAt)
+    .find(part => part.type === 'timeZoneName').value;
+
+  const startTime = startsAt.toLocaleTimeString('en-IN', timeOptions);
+  const endTime = endsAt ? endsAt.toLocaleTimeString('en-IN', timeOptions) : null;
+
+  return {
+    date: startsAt.toLocaleDateString('en-IN', { timeZone: timezone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }),
+    startTime: `${startTime} ${zoneName}`,
+    time: endTime ? `${startTime} - ${endTime} ${zoneName}` : `${startTime} ${zoneName}`
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedTimeToUtc,
+  utcToZonedTime,
+  getSessionInstants,
+  convertSession,
+  getBookingInstants,
+  formatSession
+};
@@ -4,10 +4,31 @@ const multer = require('multer');
 const path = require('path');
 const User = require('../models/User');
 const Tutor = require('../models/Tutor');
+const Payout = require('../models/Payout');
+const SessionPackage = require('../models/SessionPackage');
 const { authenticateToken, authorizeRoles, checkTutorProfile } = require('../middleware/auth');
+const { getAvailableSlots, getTutorTimezone } = require('../utils/bookingUtils');
+const { getTutorReliability } = require('../utils/attendanceService');
+const { MINIMUM_WITHDRAWAL, getTutorBalance, requestPayout, getTutorStatement } = require('../utils/earningsService');
 
 const router = express.Router();
 
+const MAX_AVAILABILITY_DAYS = 31;
+
+const packageValidation = [
+  body('name').trim().notEmpty().withMessage('Package name is required'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('subject').trim().notEmpty().withMessage('Subject is required'),
+  body('hours').isInt({ min: 1, max: 200 }).withMessage('Hours must be between 1-200'),
+  body('price').isFloat({ min: 1 }).withMessage('Price must be greater than 0'),
+  body('validityDays').optional().isInt({ min: 7, max: 730 }).withMessage('Validity must be between 7-730 days'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Check if the tutor teaches a subject at any class or board
+const teachesSubject = (tutor, subject) =>
+  tutor.subjects.some(s => s.name.toLowerCase() === subject.toLowerCase());
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -269,6 +290,367 @@ router.get('/', [
   }
 });
 
+// @desc    Get tutor earnings balance
+// @route   GET /api/tutors/earnings
+// @access  Private (Tutor only)
+router.get('/earnings', authenticateToken, authorizeRoles('tutor'), async (req, res) => {
+  try {
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    const balance = await getTutorBalance(tutor._id);
+
+    res.json({
+      success: true,
+      data: { balance }
+    });
+
+  } catch (error) {
+    console.error('Get tutor earnings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch earnings'
+    });
+  }
+});
+
+// @desc    Get tutor earnings statement
+// @route   GET /api/tutors/earnings/statement
+// @access  Private (Tutor only)
+router.get('/earnings/statement', authenticateToken, authorizeRoles('tutor'), [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    const statement = await getTutorStatement(tutor._id, req.query);
+
+    res.json({
+      success: true,
+      data: { statement }
+    });
+
+  } catch (error) {
+    console.error('Get tutor statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch statement'
+    });
+  }
+});
+
+// @desc    Request a payout of earnings
+// @route   POST /api/tutors/payouts
+// @access  Private (Tutor only)
+router.post('/payouts', authenticateToken, authorizeRoles('tutor'), [
+  body('amount').isFloat({ min: MINIMUM_WITHDRAWAL }).withMessage(`Minimum withdrawal is ${MINIMUM_WITHDRAWAL}`),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    const amount = Math.round(req.body.amount * 100) / 100;
+
+    // Open payout requests already hold part of the balance
+    const { payout, balance } = await requestPayout(tutor._id, {
+      amount,
+      note: req.body.note,
+      requestedBy: req.user._id
+    });
+    if (!payout) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount exceeds available balance',
+        data: { balance }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payout requested successfully',
+      data: { payout }
+    });
+
+  } catch (error) {
+    console.error('Request payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request payout'
+    });
+  }
+});
+
+// @desc    Get tutor payout requests
+// @route   GET /api/tutors/payouts
+// @access  Private (Tutor only)
+router.get('/payouts', authenticateToken, authorizeRoles('tutor'), [
+  query('status').optional().isIn(['requested', 'approved', 'rejected', 'paid'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    let query = { tutor: tutor._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const payouts = await Payout.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { payouts }
+    });
+
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payouts'
+    });
+  }
+});
+
+// @desc    Get own session packages
+// @route   GET /api/tutors/packages
+// @access  Private (Tutor only)
+router.get('/packages', authenticateToken, authorizeRoles('tutor'), async (req, res) => {
+  try {
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    const packages = await SessionPackage.find({ tutor: tutor._id }).sort({ isActive: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { packages }
+    });
+
+  } catch (error) {
+    console.error('Get tutor packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch packages'
+    });
+  }
+});
+
+// @desc    Create a session package
+// @route   POST /api/tutors/packages
+// @access  Private (Tutor only)
+router.post('/packages', authenticateToken, authorizeRoles('tutor'), packageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    const { name, description, subject, hours, price, validityDays, isActive } = req.body;
+
+    if (!teachesSubject(tutor, subject)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You do not teach this subject'
+      });
+    }
+
+    const sessionPackage = await SessionPackage.create({
+      name,
+      description,
+      tutor: tutor._id,
+      subject,
+      hours,
+      price,
+      validityDays,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Package created successfully',
+      data: { package: sessionPackage }
+    });
+
+  } catch (error) {
+    console.error('Create tutor package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create package'
+    });
+  }
+});
+
+// @desc    Update a session package
+// @route   PUT /api/tutors/packages/:packageId
+// @access  Private (Tutor only)
+router.put('/packages/:packageId', authenticateToken, authorizeRoles('tutor'), packageValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    const sessionPackage = await SessionPackage.findOne({ _id: req.params.packageId, tutor: tutor._id });
+    if (!sessionPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    const { name, description, subject, hours, price, validityDays, isActive } = req.body;
+
+    if (!teachesSubject(tutor, subject)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You do not teach this subject'
+      });
+    }
+
+    // Packages already bought keep the terms they were bought on
+    sessionPackage.name = name;
+    sessionPackage.description = description;
+    sessionPackage.subject = subject;
+    sessionPackage.hours = hours;
+    sessionPackage.price = price;
+    if (validityDays !== undefined) sessionPackage.validityDays = validityDays;
+    if (isActive !== undefined) sessionPackage.isActive = isActive;
+
+    await sessionPackage.save();
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      data: { package: sessionPackage }
+    });
+
+  } catch (error) {
+    console.error('Update tutor package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update package'
+    });
+  }
+});
+
+// @desc    Withdraw a session package from sale
+// @route   DELETE /api/tutors/packages/:packageId
+// @access  Private (Tutor only)
+router.delete('/packages/:packageId', authenticateToken, authorizeRoles('tutor'), async (req, res) => {
+  try {
+    const tutor = await Tutor.findOne({ user: req.user._id });
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor profile not found'
+      });
+    }
+
+    const sessionPackage = await SessionPackage.findOneAndUpdate(
+      { _id: req.params.packageId, tutor: tutor._id },
+      { isActive: false },
+      { new: true }
+    );
+    if (!sessionPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Package withdrawn successfully',
+      data: { package: sessionPackage }
+    });
+
+  } catch (error) {
+    console.error('Withdraw tutor package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw package'
+    });
+  }
+});
+
 // @desc    Get single tutor profile
 // @route   GET /api/tutors/:id
 // @access  Public
@@ -299,6 +681,156 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Get bookable time slots of a tutor
+// @route   GET /api/tutors/:id/availability
+// @access  Public
+router.get('/:id/availability', [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  query('duration').optional().isInt({ min: 30, max: 180 }).withMessage('Duration must be between 30-180 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const from = req.query.from ? new Date(req.query.from) : today;
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 6 * 24 * 60 * 60 * 1000);
+    const duration = parseInt(req.query.duration) || 60;
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must not be before from date'
+      });
+    }
+
+    if (to - from > MAX_AVAILABILITY_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Availability can be fetched for at most ${MAX_AVAILABILITY_DAYS} days at a time`
+      });
+    }
+
+    const tutor = await Tutor.findById(req.params.id);
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    // Start times are in the tutor's timezone
+    const timezone = await getTutorTimezone(tutor);
+
+    if (!tutor.isAvailableForBooking) {
+      return res.json({
+        success: true,
+        data: { tutorId: tutor._id, timezone, duration, from, to, days: [], demoSlots: [] }
+      });
+    }
+
+    const { days, demoSlots } = await getAvailableSlots(tutor, from, to, duration, timezone);
+
+    res.json({
+      success: true,
+      data: {
+        tutorId: tutor._id,
+        timezone,
+        duration,
+        from,
+        to,
+        days,
+        demoSlots
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tutor availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tutor availability'
+    });
+  }
+});
+
+// @desc    Get packages that can be used with a tutor
+// @route   GET /api/tutors/:id/packages
+// @access  Public
+router.get('/:id/packages', async (req, res) => {
+  try {
+    const tutor = await Tutor.findById(req.params.id).select('subjects');
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    // The tutor's own packages, and platform packages for subjects they teach
+    const subjects = tutor.subjects.map(subject => new RegExp(`^${subject.name}$`, 'i'));
+    const packages = await SessionPackage.find({
+      isActive: true,
+      $or: [
+        { tutor: tutor._id },
+        { tutor: { $exists: false }, subject: { $in: subjects } }
+      ]
+    }).sort({ subject: 1, hours: 1 });
+
+    res.json({
+      success: true,
+      data: { packages }
+    });
+
+  } catch (error) {
+    console.error('Get tutor packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch packages'
+    });
+  }
+});
+
+// @desc    Get attendance and cancellation record of a tutor
+// @route   GET /api/tutors/:id/reliability
+// @access  Public
+router.get('/:id/reliability', async (req, res) => {
+  try {
+    const tutor = await Tutor.findById(req.params.id).select('_id');
+    if (!tutor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tutor not found'
+      });
+    }
+
+    const reliability = await getTutorReliability(tutor._id);
+
+    res.json({
+      success: true,
+      data: {
+        tutorId: tutor._id,
+        reliability
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tutor reliability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tutor reliability'
+    });
+  }
+});
+
 // @desc    Create/Update tutor profile
 // @route   POST /api/tutors/profile
 // @access  Private (Tutor only)
@@ -506,7 +1038,8 @@ router.get('/dashboard', authenticateToken, authorizeRoles('tutor'), async (req,
     const dashboardData = {
       profile: tutor,
       stats: tutor.stats,
-      earnings: tutor.earnings,
+      reliability: await getTutorReliability(tutor._id),
+      earnings: await getTutorBalance(tutor._id),
       recentReviews: tutor.reviews.slice(-5),
       // upcomingSessions,
       profileCompletion: tutor.profileCompletionPercentage
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const TwoFactor = require('../models/TwoFactor');
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+
+const ISSUER = 'Ed Share';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const POLICY_CACHE_MS = 60 * 1000;
+
+// Roles that must use 2FA until an admin changes the policy
+const DEFAULT_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,employee')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding, as authenticator apps expect
+const toBase32 = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const fromBase32 = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// AES-256-GCM key for TOTP secrets at rest
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.replace(/[^a-z0-9]/gi, '').toLowerCase())
+  .digest('hex');
+
+// RFC 6238 code for a base32 secret at a time step
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Time step a code matches, or null; steps at or before lastUsedStep are refused
+const matchTotp = (secret, code, lastUsedStep = -1, now = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    const expected = generateTotp(secret, step);
+    if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// One-time recovery codes like 4f9a-c21e-77b0, with the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-'));
+  return { codes, recoveryCodes: codes.map(code => ({ hash: hashRecoveryCode(code) })) };
+};
+
+let policyCache = null;
+
+// Roles that currently require 2FA, as set by admins on top of the defaults
+const getRequiredRoles = async () => {
+  if (policyCache && policyCache.expiresAt > Date.now()) {
+    return policyCache.roles;
+  }
+
+  const policies = await TwoFactorPolicy.find();
+  const roles = new Set(DEFAULT_REQUIRED_ROLES);
+  policies.forEach(policy => (policy.required ? roles.add(policy.role) : roles.delete(policy.role)));
+
+  policyCache = { roles: [...roles], expiresAt: Date.now() + POLICY_CACHE_MS };
+  return policyCache.roles;
+};
+
+// Make 2FA mandatory or optional for the given roles
+const setRequiredRoles = async (roles, adminId) => {
+  await Promise.all(Object.entries(roles).map(([role, required]) => TwoFactorPolicy.findOneAndUpdate(
+    { role },
+    { required, updatedBy: adminId },
+    { upsert: true, new: true, runValidators: true }
+  )));
+  policyCache = null;
+  return await getRequiredRoles();
+};
+
+// Whether a user's role makes 2FA mandatory
+const isTwoFactorRequired = async (user) => (await getRequiredRoles()).includes(user.role);
+
+// Whether a user has 2FA switched on
+const isTwoFactorEnabled = async (userId) => Boolean(await TwoFactor.exists({ user: userId, enabled: true }));
+
+// Start enrollment with a new secret, returning it with the otpauth:// URI to show as a QR code
+const startEnrollment = async (user) => {
+  const secret = toBase32(crypto.randomBytes(20));
+  await TwoFactor.findOneAndUpdate(
+    { user: user._id },
+    { pendingSecret: encryptSecret(secret), pendingCreatedAt: new Date() },
+    { upsert: true }
+  );
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+};
+
+// Switch 2FA on once the user proves their app has the pending secret, returning the recovery codes
+const confirmEnrollment = async (userId, code) => {
+  const twoFactor = await TwoFactor.findOne({ user: userId });
+  if (!twoFactor || !twoFactor.pendingSecret) {
+    return null;
+  }
+
+  const secret = decryptSecret(twoFactor.pendingSecret);
+  const step = matchTotp(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, recoveryCodes } = generateRecoveryCodes();
+  twoFactor.enabled = true;
+  twoFactor.secret = twoFactor.pendingSecret;
+  twoFactor.pendingSecret = undefined;
+  twoFactor.pendingCreatedAt = undefined;
+  twoFactor.lastUsedStep = step;
+  twoFactor.recoveryCodes = recoveryCodes;
+  twoFactor.enabledAt = new Date();
+  await twoFactor.save();
+
+  return codes;
+};
+
+// Check a TOTP code or an unused recovery code, using it up so it can't be replayed
+const verifyTwoFactor = async (userId, { code, recoveryCode }) => {
+  const twoFactor = await TwoFactor.findOne({ user: userId, enabled: true });
+  if (!twoFactor) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const used = await TwoFactor.updateOne(
+      { _id: twoFactor._id, recoveryCodes: { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+      { $set: { 'recoveryCodes.$.usedAt': new Date() } }
+    );
+    return used.modifiedCount === 1;
+  }
+
+  const step = matchTotp(decryptSecret(twoFactor.secret), code, twoFactor.lastUsedStep);
+  if (step === null) {
+    return false;
+  }
+
+  // Only one request can move the step forward, so the same code can't be used twice
+  const accepted = await TwoFactor.updateOne(
+    { _id: twoFactor._id, $or: [{ lastUsedStep: { $lt: step } }, { lastUsedStep: null }] },
+    { lastUsedStep: step }
+  );
+  return accepted.modifiedCount === 1;
+};
+
+// Replace a user's recovery codes, returning the new ones
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, recoveryCodes } = generateRecoveryCodes();
+  await TwoFactor.updateOne({ user: userId, enabled: true }, { recoveryCodes });
+  return codes;
+};
+
+// Switch 2FA off and forget the secret
+const disableTwoFactor = async (userId) => {
+  await TwoFactor.deleteOne({ user: userId });
+};
+
+// 2FA state for the account screen
+const getTwoFactorStatus = async (user) => {
+  const twoFactor = await TwoFactor.findOne({ user: user._id });
+  return {
+    enabled: Boolean(twoFactor && twoFactor.enabled),
+    required: await isTwoFactorRequired(user),
+    enabledAt: twoFactor && twoFactor.enabledAt,
+    recoveryCodesLeft: twoFactor ? twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length : 0
+  };
+};
+
+module.exports = {
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};
@@ -2,8 +2,11 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 const User = require('../models/User');
 const { authenticateToken, authorizeRoles, checkOwnership } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/timezoneUtils');
+const { revokeUserSessions, getRequestSessionId, disconnectSessions } = require('../utils/sessionService');
 
 const router = express.Router();
 
@@ -69,7 +72,8 @@ router.put('/profile', authenticateToken, [
   body('phone').optional().matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit phone number'),
   body('dateOfBirth').optional().isISO8601().withMessage('Please enter a valid date'),
   body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender'),
-  body('address.pincode').optional().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode')
+  body('address.pincode').optional().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -87,7 +91,8 @@ router.put('/profile', authenticateToken, [
       phone,
       dateOfBirth,
       gender,
-      address
+      address,
+      timezone
     } = req.body;
 
     // Check if phone number is already taken by another user
@@ -113,7 +118,8 @@ router.put('/profile', authenticateToken, [
         ...(phone && { phone, isPhoneVerified: false }), // Reset phone verification if changed
         ...(dateOfBirth && { dateOfBirth }),
         ...(gender && { gender }),
-        ...(address && { address })
+        ...(address && { address }),
+        ...(timezone && { timezone })
       },
       { new: true, runValidators: true }
     ).select('-password');
@@ -251,6 +257,10 @@ router.put('/change-password', authenticateToken, [
     user.password = newPassword;
     await user.save();
 
+    // Other devices are signed out; this one stays logged in
+    const sessionIds = await revokeUserSessions(user._id, 'password_change', getRequestSessionId(req));
+    disconnectSessions(req.app.get('io'), sessionIds);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -265,6 +275,60 @@ router.put('/change-password', authenticateToken, [
   }
 });
 
+// Secret feed URL for a calendar token
+const getCalendarFeedUrl = (token) => `${process.env.API_URL}/api/bookings/calendar/${token}.ics`;
+
+// @desc    Get calendar feed URL, creating the secret token on first use
+// @route   GET /api/users/calendar-feed
+// @access  Private (Student/Tutor)
+router.get('/calendar-feed', authenticateToken, authorizeRoles('student', 'tutor'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(32).toString('hex');
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      data: { feedUrl: getCalendarFeedUrl(user.calendarToken) }
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed'
+    });
+  }
+});
+
+// @desc    Replace the calendar feed token, disabling the old feed URL
+// @route   POST /api/users/calendar-feed/reset
+// @access  Private (Student/Tutor)
+router.post('/calendar-feed/reset', authenticateToken, authorizeRoles('student', 'tutor'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+
+    user.calendarToken = crypto.randomBytes(32).toString('hex');
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL reset successfully',
+      data: { feedUrl: getCalendarFeedUrl(user.calendarToken) }
+    });
+
+  } catch (error) {
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset calendar feed'
+    });
+  }
+});
+
 // @desc    Delete user account
 // @route   DELETE /api/users/account
 // @access  Private
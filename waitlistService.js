@@ -0,0 +1,106 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Tutor = require('../models/Tutor');
+const { getSlotConflict, getTutorTimezone } = require('./bookingUtils');
+const { DEFAULT_TIMEZONE, getSessionInstants, formatSession } = require('./timezoneUtils');
+const { sendEmail } = require('./emailService');
+const { sendSMS } = require('./smsService');
+
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+
+// Let the student know a slot is being held for them
+const notifyWaitlistOffer = async (entry, tutorTimezone) => {
+  const user = entry.student.user;
+  const claimLink = `${process.env.CLIENT_URL}/student/waitlist/${entry._id}`;
+  const instants = getSessionInstants(entry.scheduledDate, entry.startTime, entry.endTime, tutorTimezone);
+  const session = formatSession(instants, user.timezone || DEFAULT_TIMEZONE);
+  const slot = `${session.date} at ${session.startTime}`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'A slot you waitlisted is available - Ed Share',
+      html: `<p>Hi ${user.firstName},</p><p>The ${entry.subject} slot on ${slot} is now available and is being held for you for ${HOLD_MINUTES} minutes.</p><p><a href="${claimLink}">Book it now</a></p>`
+    });
+    await sendSMS(user.phone, `Good news! Your waitlisted ${entry.subject} slot on ${slot} is free. It is held for you for ${HOLD_MINUTES} minutes: ${claimLink}`);
+  } catch (notificationError) {
+    console.error('Waitlist notification failed:', notificationError);
+  }
+};
+
+// Offer a freed slot to the first waiting student whose requested time is now bookable
+const offerSlotToWaitlist = async (tutorId, date, startTime, endTime) => {
+  const tutor = await Tutor.findById(tutorId);
+  if (!tutor) {
+    return null;
+  }
+
+  const candidates = await WaitlistEntry.find({
+    tutor: tutorId,
+    scheduledDate: date,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+    status: 'waiting'
+  })
+    .sort({ createdAt: 1 })
+    .populate({ path: 'student', select: 'user', populate: { path: 'user', select: 'firstName email phone timezone' } });
+
+  for (const entry of candidates) {
+    const slotConflict = await getSlotConflict(tutor, entry.scheduledDate, entry.startTime, entry.endTime);
+    if (slotConflict) {
+      continue;
+    }
+
+    entry.status = 'offered';
+    entry.offeredAt = Date.now();
+    entry.holdExpiresAt = Date.now() + HOLD_MINUTES * 60 * 1000;
+    await entry.save();
+
+    await notifyWaitlistOffer(entry, await getTutorTimezone(tutor));
+    return entry;
+  }
+
+  return null;
+};
+
+// Expire a single offered entry and pass its slot to the next student in line
+const expireWaitlistOffer = async (entry) => {
+  entry.status = 'expired';
+  await entry.save();
+
+  return await offerSlotToWaitlist(entry.tutor, entry.scheduledDate, entry.startTime, entry.endTime);
+};
+
+// Expire all lapsed holds, offering each slot to the next student in line
+const expireWaitlistHolds = async () => {
+  const lapsedEntries = await WaitlistEntry.find({
+    status: 'offered',
+    holdExpiresAt: { $lte: new Date() }
+  });
+
+  for (const entry of lapsedEntries) {
+    try {
+      await expireWaitlistOffer(entry);
+    } catch (error) {
+      console.error(`Failed to expire waitlist hold ${entry._id}:`, error);
+    }
+  }
+
+  return lapsedEntries.length;
+};
+
+// Periodically expire lapsed holds (call once on server start)
+const startWaitlistJob = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    expireWaitlistHolds().catch(error => console.error('Waitlist job error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  offerSlotToWaitlist,
+  expireWaitlistOffer,
+  expireWaitlistHolds,
+  startWaitlistJob
+};
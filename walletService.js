@@ -0,0 +1,67 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+// Round a currency amount to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Get a student's wallet, creating an empty one on first use
+const getWallet = async (studentId) => {
+  return await Wallet.findOneAndUpdate(
+    { student: studentId },
+    { $setOnInsert: { balance: 0 } },
+    { upsert: true, new: true }
+  );
+};
+
+// Apply a credit or debit once per reference; debits return null when the balance is too low
+const applyWalletChange = async (studentId, type, amount, reason, { reference, booking, studentPackage, description }) => {
+  const existing = await WalletTransaction.findOne({ reference });
+  if (existing) {
+    return existing;
+  }
+
+  const value = roundAmount(amount);
+  const change = type === 'debit' ? -value : value;
+
+  await getWallet(studentId);
+  const wallet = await Wallet.findOneAndUpdate(
+    type === 'debit' ? { student: studentId, balance: { $gte: value } } : { student: studentId },
+    { $inc: { balance: change } },
+    { new: true }
+  );
+  if (!wallet) {
+    return null;
+  }
+
+  try {
+    return await WalletTransaction.create({
+      wallet: wallet._id,
+      student: studentId,
+      type,
+      amount: value,
+      balanceAfter: roundAmount(wallet.balance),
+      reason,
+      reference,
+      booking,
+      studentPackage,
+      description
+    });
+  } catch (error) {
+    // Undo the balance change; on a duplicate reference the other request's transaction stands
+    await Wallet.updateOne({ _id: wallet._id }, { $inc: { balance: -change } });
+    if (error.code === 11000) {
+      return await WalletTransaction.findOne({ reference });
+    }
+    throw error;
+  }
+};
+
+const creditWallet = (studentId, amount, reason, details) => applyWalletChange(studentId, 'credit', amount, reason, details);
+
+const debitWallet = (studentId, amount, reason, details) => applyWalletChange(studentId, 'debit', amount, reason, details);
+
+module.exports = {
+  getWallet,
+  creditWallet,
+  debitWallet
+};